@@ -0,0 +1,5 @@
+export const DEFAULT_ACCOUNT_NAME = 'Основний рахунок';
+
+// What happens when an outgoing transaction takes an account below zero: block rejects it, warn lets it
+// through with a warning in the response, allow lets it through up to the account's credit limit
+export const OVERDRAFT_POLICIES = ['block', 'warn', 'allow'];
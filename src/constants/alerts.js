@@ -0,0 +1,3 @@
+// budgetThreshold: a category reaches a share of its monthly budget; largeTransaction: a single expense is above
+// an amount; dailySpend: the expenses of one day add up to more than an amount
+export const ALERT_RULE_TYPES = ['budgetThreshold', 'largeTransaction', 'dailySpend'];
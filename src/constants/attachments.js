@@ -0,0 +1,9 @@
+export const ATTACHMENT_MAX_SIZE = 10 * 1024 * 1024;
+
+export const ATTACHMENT_MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf',
+};
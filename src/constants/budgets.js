@@ -0,0 +1,3 @@
+// limits: a spending limit per category and month; envelope: every hryvnia of income is assigned to a
+// category envelope, unspent money rolls over and overspending is covered from other envelopes
+export const BUDGETING_MODES = ['limits', 'envelope'];
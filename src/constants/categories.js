@@ -0,0 +1,41 @@
+export const FALLBACK_CATEGORY = 'Інше';
+
+export const DEFAULT_CATEGORIES = [
+  {
+    name: 'Продукти',
+    type: 'expense',
+    icon: 'cart',
+    color: '#4CAF50',
+    mccCodes: [5411, 5422, 5441, 5451, 5462, 5499],
+    forecastBaseAmount: 1000,
+  },
+  {
+    name: 'Транспорт',
+    type: 'expense',
+    icon: 'bus',
+    color: '#2196F3',
+    mccCodes: [4111, 4121, 4131, 4784, 5541, 5542, 7523],
+    forecastBaseAmount: 500,
+  },
+  {
+    name: 'Розваги',
+    type: 'expense',
+    icon: 'ticket',
+    color: '#9C27B0',
+    mccCodes: [5813, 5814, 7832, 7922, 7991, 7994, 7995, 7996, 7998, 7999],
+    forecastBaseAmount: 300,
+  },
+  {
+    name: 'Комунальні платежі',
+    type: 'expense',
+    icon: 'home',
+    color: '#FF9800',
+    mccCodes: [4900, 4911, 4814],
+    forecastBaseAmount: 800,
+  },
+  { name: FALLBACK_CATEGORY, type: 'expense', icon: 'dots', color: '#9E9E9E', forecastBaseAmount: 500 },
+  { name: 'Зарплата', type: 'income', icon: 'briefcase', color: '#009688', forecastBaseAmount: 2500 },
+  { name: 'Стипендія', type: 'income', icon: 'school', color: '#3F51B5', forecastBaseAmount: 1200 },
+  { name: 'Підробіток', type: 'income', icon: 'tools', color: '#795548', forecastBaseAmount: 800 },
+  { name: FALLBACK_CATEGORY, type: 'income', icon: 'dots', color: '#9E9E9E', forecastBaseAmount: 500 },
+];
@@ -0,0 +1,24 @@
+// Currencies a user can choose as the base one; accounts may be kept in any supported currency
+export const BASE_CURRENCIES = ['UAH', 'USD', 'EUR'];
+export const CURRENCIES = ['UAH', 'USD', 'EUR', 'PLN', 'GBP'];
+
+// Exchange rates are stored as the price of one unit in hryvnias
+export const RATE_QUOTE_CURRENCY = 'UAH';
+
+// ISO 4217 numeric codes used by Monobank
+export const CURRENCY_NUMERIC_CODES = {
+  980: 'UAH',
+  840: 'USD',
+  978: 'EUR',
+  985: 'PLN',
+  826: 'GBP',
+};
+
+// Digits after the decimal point; amounts are stored as integers in these minor units
+export const CURRENCY_MINOR_DIGITS = {
+  UAH: 2,
+  USD: 2,
+  EUR: 2,
+  PLN: 2,
+  GBP: 2,
+};
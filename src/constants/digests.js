@@ -0,0 +1,4 @@
+export const DIGEST_PERIODS = ['weekly', 'monthly'];
+
+export const DIGEST_TOP_CATEGORIES = 5;
+export const DIGEST_BIGGEST_TRANSACTIONS = 5;
@@ -0,0 +1,3 @@
+export const EMAIL_LANGUAGES = ['uk', 'en'];
+
+export const EMAIL_JOB_STATUSES = ['pending', 'sending', 'sent', 'failed'];
@@ -0,0 +1,8 @@
+import { ALERT_RULE_TYPES } from './alerts.js';
+
+export const NOTIFICATION_TYPES = [...ALERT_RULE_TYPES, 'goalAchieved', 'forecastRisk', 'syncFailed', 'digest'];
+
+export const NOTIFICATION_SEVERITIES = ['info', 'success', 'warning', 'critical'];
+
+// Forecast risk factors are scored 0-100; only the serious ones are worth a notification
+export const FORECAST_RISK_NOTIFY_SEVERITY = 70;
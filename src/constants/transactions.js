@@ -0,0 +1,7 @@
+export const TRANSACTION_TYPES = ['income', 'expense', 'transfer', 'adjustment'];
+
+// Types a client can enter; adjustments are only recorded by balance corrections and reconciliation
+export const ENTRY_TYPES = ['income', 'expense', 'transfer'];
+
+// Transfers move money between the user's own accounts and are neither income nor expense
+export const CASHFLOW_TYPES = ['income', 'expense'];
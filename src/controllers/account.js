@@ -0,0 +1,25 @@
+import { createAccount, deleteAccount, getAccounts, updateAccount } from '../services/accounts.js';
+
+export const getAccountsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const accounts = await getAccounts(userId, req.query);
+  res.status(200).json({ status: 200, message: 'Accounts found', data: accounts });
+};
+
+export const createAccountController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const account = await createAccount(userId, req.body);
+  res.status(201).json({ status: 201, message: 'Account created', data: account });
+};
+
+export const updateAccountController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const account = await updateAccount(userId, req.params.id, req.body);
+  res.status(200).json({ status: 200, message: 'Account updated', data: account });
+};
+
+export const deleteAccountController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const account = await deleteAccount(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Account deleted', data: account });
+};
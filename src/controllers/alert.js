@@ -0,0 +1,25 @@
+import { createAlertRule, deleteAlertRule, getAlertRules, updateAlertRule } from '../services/alerts.js';
+
+export const getAlertRulesController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rules = await getAlertRules(userId);
+  res.status(200).json({ status: 200, message: 'Alert rules found', data: rules });
+};
+
+export const createAlertRuleController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rule = await createAlertRule(userId, req.body);
+  res.status(201).json({ status: 201, message: 'Alert rule created', data: rule });
+};
+
+export const updateAlertRuleController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rule = await updateAlertRule(userId, req.params.id, req.body);
+  res.status(200).json({ status: 200, message: 'Alert rule updated', data: rule });
+};
+
+export const deleteAlertRuleController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rule = await deleteAlertRule(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Alert rule deleted', data: rule });
+};
@@ -0,0 +1,49 @@
+import { pipeline } from 'stream/promises';
+import {
+  addAttachment,
+  deleteAttachment,
+  getAttachmentUrl,
+  getAttachmentUsage,
+  getAttachments,
+  openSignedDownload,
+} from '../services/attachments.js';
+
+export const uploadAttachmentController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const attachment = await addAttachment(userId, req.params.id, req.file);
+  res.status(201).json({ status: 201, message: 'Attachment uploaded', data: attachment });
+};
+
+export const getAttachmentsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const [attachments, usage] = await Promise.all([getAttachments(userId, req.params.id), getAttachmentUsage(userId)]);
+  res.status(200).json({ status: 200, message: 'Attachments found', data: attachments, meta: { usage } });
+};
+
+export const getAttachmentUrlController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const download = await getAttachmentUrl(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Download link created', data: download });
+};
+
+export const downloadAttachmentController = async (req, res) => {
+  const { attachment, stream } = await openSignedDownload(req.params.id, req.query);
+
+  res.setHeader('Content-Type', attachment.mimeType);
+  res.setHeader('Content-Length', attachment.size);
+  res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`);
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // Headers are already sent at this point, so an interrupted download can only be logged
+    console.error('Attachment download interrupted:', error.message);
+  }
+};
+
+export const deleteAttachmentController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const attachment = await deleteAttachment(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Attachment deleted', data: attachment });
+};
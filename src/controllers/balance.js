@@ -1,18 +1,36 @@
 import * as balanceServices from '../services/balance.js';
+import { getBalanceHistory } from '../services/balanceHistory.js';
+import { getReconciliation, reconcileBalances } from '../services/reconciliation.js';
 
 export const getBalanceController = async (req, res) => {
-  const balance = await balanceServices.getBalance(req.user._id);
-  res.status(200).json({ status: 200, message: 'Balance found', data: { balance } });
+  const summary = await balanceServices.getBalance(req.user._id);
+  res.status(200).json({ status: 200, message: 'Balance found', data: { balance: summary.total, ...summary } });
 };
 
 export const updateBalanceController = async (req, res) => {
-  const { balance } = req.body;
-  const updatedUser = await balanceServices.updateBalance(req.user._id, balance);
+  const { balance, accountId, description } = req.body;
+  const { user, adjustment } = await balanceServices.updateBalance(req.user._id, balance, accountId, description);
   res.status(200).json({
     status: 200,
     message: 'Balance updated',
     data: {
-      balance: updatedUser.balance,
+      balance: user.balance,
+      adjustment,
     },
   });
 };
+
+export const getBalanceHistoryController = async (req, res) => {
+  const history = await getBalanceHistory(req.user._id, req.query);
+  res.status(200).json({ status: 200, message: 'Balance history found', data: history });
+};
+
+export const getReconciliationController = async (req, res) => {
+  const report = await getReconciliation(req.user._id);
+  res.status(200).json({ status: 200, message: 'Reconciliation report', data: report });
+};
+
+export const reconcileController = async (req, res) => {
+  const result = await reconcileBalances(req.user._id, req.body);
+  res.status(200).json({ status: 200, message: 'Balances reconciled', data: result });
+};
@@ -0,0 +1,89 @@
+import {
+  createBudget,
+  deleteBudget,
+  getBudgetReport,
+  getBudgets,
+  getBudgetSuggestions,
+  updateBudget,
+} from '../services/budgets.js';
+import {
+  assignToEnvelope,
+  getEnvelopes,
+  getToBeBudgeted,
+  moveBetweenEnvelopes,
+  setBudgetingMode,
+} from '../services/envelopes.js';
+
+export const getBudgetsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const budgets = await getBudgets(userId);
+  res.status(200).json({ status: 200, message: 'Budgets found', data: budgets });
+};
+
+export const getBudgetSuggestionsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const suggestions = await getBudgetSuggestions(userId, req.query.month);
+  res.status(200).json({ status: 200, message: 'Budget suggestions found', data: suggestions });
+};
+
+export const getBudgetReportController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const report = await getBudgetReport(userId, req.params.month);
+  res.status(200).json({ status: 200, message: 'Budget found', data: report });
+};
+
+export const createBudgetController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const budget = await createBudget(userId, req.body);
+  res.status(201).json({ status: 201, message: 'Budget created', data: budget });
+};
+
+export const updateBudgetController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const budget = await updateBudget(userId, req.params.month, req.body);
+  res.status(200).json({ status: 200, message: 'Budget updated', data: budget });
+};
+
+export const deleteBudgetController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const budget = await deleteBudget(userId, req.params.month);
+  res.status(200).json({ status: 200, message: 'Budget deleted', data: budget });
+};
+
+export const setBudgetingModeController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const user = await setBudgetingMode(userId, req.body);
+  res.status(200).json({
+    status: 200,
+    message: 'Budgeting mode updated',
+    data: {
+      budgetingMode: user.budgetingMode,
+      envelopeStartedAt: user.envelopeStartedAt,
+      envelopeOpeningBalance: user.envelopeOpeningBalance,
+    },
+  });
+};
+
+export const getToBeBudgetedController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const funds = await getToBeBudgeted(userId);
+  res.status(200).json({ status: 200, message: 'To be budgeted found', data: funds });
+};
+
+export const getEnvelopesController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const envelopes = await getEnvelopes(userId, req.params.month);
+  res.status(200).json({ status: 200, message: 'Envelopes found', data: envelopes });
+};
+
+export const assignToEnvelopeController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const envelope = await assignToEnvelope(userId, req.params.month, req.body);
+  res.status(200).json({ status: 200, message: 'Money assigned', data: envelope });
+};
+
+export const moveBetweenEnvelopesController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const envelopes = await moveBetweenEnvelopes(userId, req.params.month, req.body);
+  res.status(200).json({ status: 200, message: 'Money moved', data: envelopes });
+};
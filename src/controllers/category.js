@@ -0,0 +1,37 @@
+import {
+  createCategory,
+  deleteCategory,
+  getCategories,
+  mergeCategory,
+  updateCategory,
+} from '../services/categories.js';
+
+export const getCategoriesController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const categories = await getCategories(userId, req.query);
+  res.status(200).json({ status: 200, message: 'Categories found', data: categories });
+};
+
+export const createCategoryController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const category = await createCategory(userId, req.body);
+  res.status(201).json({ status: 201, message: 'Category created', data: category });
+};
+
+export const updateCategoryController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { category, migratedTransactions } = await updateCategory(userId, req.params.id, req.body);
+  res.status(200).json({ status: 200, message: 'Category updated', data: { category, migratedTransactions } });
+};
+
+export const mergeCategoryController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { category, migratedTransactions } = await mergeCategory(userId, req.params.id, req.body.targetId);
+  res.status(200).json({ status: 200, message: 'Categories merged', data: { category, migratedTransactions } });
+};
+
+export const deleteCategoryController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const category = await deleteCategory(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Category deleted', data: category });
+};
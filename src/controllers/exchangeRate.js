@@ -0,0 +1,26 @@
+import { convertAmount, deleteManualRate, getExchangeRates, setManualRate } from '../services/exchangeRates.js';
+
+export const getExchangeRatesController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rates = await getExchangeRates(userId, req.query);
+  res.status(200).json({ status: 200, message: 'Exchange rates found', data: rates });
+};
+
+export const setExchangeRateController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rate = await setManualRate(userId, req.body);
+  res.status(200).json({ status: 200, message: 'Exchange rate saved', data: rate });
+};
+
+export const deleteExchangeRateController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rate = await deleteManualRate(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Exchange rate deleted', data: rate });
+};
+
+export const convertController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { amount, from, to, date } = req.query;
+  const converted = await convertAmount(userId, amount, from, to, date);
+  res.status(200).json({ status: 200, message: 'Amount converted', data: { amount, from, to, converted } });
+};
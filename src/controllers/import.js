@@ -0,0 +1,51 @@
+import createHttpError from 'http-errors';
+import { commitImport, previewImport, readStatement } from '../services/import.js';
+import { importRequestSchema } from '../validation/import.js';
+
+const parseJsonField = (value, field) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw createHttpError(400, `Field "${field}" must be valid JSON`);
+  }
+};
+
+const parseImportRequest = (req) => {
+  if (!req.file) {
+    throw createHttpError(400, 'Statement file is required');
+  }
+
+  const { error, value } = importRequestSchema.validate(
+    {
+      ...req.body,
+      mapping: parseJsonField(req.body.mapping, 'mapping'),
+      excludeRows: parseJsonField(req.body.excludeRows, 'excludeRows'),
+    },
+    { abortEarly: false },
+  );
+
+  if (error) {
+    throw createHttpError(400, error.details.map((detail) => detail.message).join(' '));
+  }
+
+  return value;
+};
+
+export const previewImportController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const statement = await readStatement(userId, req.file, parseImportRequest(req));
+  const preview = await previewImport(userId, statement);
+
+  res.status(200).json({ status: 200, message: 'Import preview generated', data: preview });
+};
+
+export const commitImportController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { skipPossibleDuplicates, excludeRows, accountId, ...readOptions } = parseImportRequest(req);
+
+  const statement = await readStatement(userId, req.file, { ...readOptions, accountId });
+  const result = await commitImport(userId, statement, { skipPossibleDuplicates, excludeRows, accountId });
+
+  res.status(201).json({ status: 201, message: 'Transactions imported', data: result });
+};
@@ -18,6 +18,8 @@ export const connectMonobankController = async (req, res) => {
     data: {
       connected: true,
       accounts: result.accounts,
+      envelopeFunds: result.envelopeFunds,
+      notifications: result.notifications,
     },
   });
 };
@@ -0,0 +1,42 @@
+import {
+  deleteNotification,
+  getNotifications,
+  getUnreadCount,
+  markAllNotificationsRead,
+  markNotificationRead,
+} from '../services/notifications.js';
+
+export const getNotificationsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { notifications, unreadCount, nextBefore } = await getNotifications(userId, req.query);
+  res.status(200).json({
+    status: 200,
+    message: 'Notifications found',
+    data: notifications,
+    meta: { unreadCount, nextBefore, limit: req.query.limit },
+  });
+};
+
+export const getUnreadCountController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const unreadCount = await getUnreadCount(userId);
+  res.status(200).json({ status: 200, message: 'Unread notifications counted', data: { unreadCount } });
+};
+
+export const markNotificationReadController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const notification = await markNotificationRead(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Notification marked as read', data: notification });
+};
+
+export const markAllNotificationsReadController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const result = await markAllNotificationsRead(userId);
+  res.status(200).json({ status: 200, message: 'All notifications marked as read', data: result });
+};
+
+export const deleteNotificationController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const notification = await deleteNotification(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Notification deleted', data: notification });
+};
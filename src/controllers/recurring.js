@@ -0,0 +1,41 @@
+import {
+  createRecurring,
+  deleteRecurring,
+  getRecurring,
+  getRecurringById,
+  updateRecurring,
+} from '../services/recurring.js';
+
+export const createRecurringController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const recurring = await createRecurring(userId, req.body);
+  res.status(201).json({ status: 201, message: 'Recurring transaction created', data: recurring });
+};
+
+export const getRecurringController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const recurring = await getRecurring(userId);
+  res.status(200).json({ status: 200, message: 'Recurring transactions found', data: recurring });
+};
+
+export const getRecurringByIdController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const recurring = await getRecurringById(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Recurring transaction found', data: recurring });
+};
+
+export const updateRecurringController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { recurring, updatedOccurrences } = await updateRecurring(userId, req.params.id, req.body);
+  res.status(200).json({
+    status: 200,
+    message: 'Recurring transaction updated',
+    data: { recurring, updatedOccurrences },
+  });
+};
+
+export const deleteRecurringController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const recurring = await deleteRecurring(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Recurring transaction deleted', data: recurring });
+};
@@ -0,0 +1,7 @@
+import { getLatestDigest } from '../services/digests.js';
+
+export const getDigestController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const digest = await getLatestDigest(userId, req.query.period);
+  res.status(200).json({ status: 200, message: 'Digest found', data: digest });
+};
@@ -0,0 +1,44 @@
+import {
+  applyRulesRetroactively,
+  createRule,
+  deleteRule,
+  getRules,
+  previewRule,
+  updateRule,
+} from '../services/rules.js';
+
+export const getRulesController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rules = await getRules(userId);
+  res.status(200).json({ status: 200, message: 'Rules found', data: rules });
+};
+
+export const createRuleController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rule = await createRule(userId, req.body);
+  res.status(201).json({ status: 201, message: 'Rule created', data: rule });
+};
+
+export const updateRuleController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rule = await updateRule(userId, req.params.id, req.body);
+  res.status(200).json({ status: 200, message: 'Rule updated', data: rule });
+};
+
+export const deleteRuleController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const rule = await deleteRule(userId, req.params.id);
+  res.status(200).json({ status: 200, message: 'Rule deleted', data: rule });
+};
+
+export const previewRuleController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const preview = await previewRule(userId, req.body);
+  res.status(200).json({ status: 200, message: 'Rule preview', data: preview });
+};
+
+export const applyRulesController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const result = await applyRulesRetroactively(userId, req.body);
+  res.status(200).json({ status: 200, message: 'Rules applied', data: result });
+};
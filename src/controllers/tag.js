@@ -0,0 +1,25 @@
+import { getTagTotals, getTags, mergeTags, renameTag } from '../services/tags.js';
+
+export const getTagsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const tags = await getTags(userId);
+  res.status(200).json({ status: 200, message: 'Tags found', data: tags });
+};
+
+export const getTagTotalsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const totals = await getTagTotals(userId, req.query);
+  res.status(200).json({ status: 200, message: 'Tag totals calculated', data: totals });
+};
+
+export const renameTagController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const result = await renameTag(userId, req.params.name, req.body.name);
+  res.status(200).json({ status: 200, message: 'Tag renamed', data: result });
+};
+
+export const mergeTagsController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const result = await mergeTags(userId, req.body.sources, req.body.target);
+  res.status(200).json({ status: 200, message: 'Tags merged', data: result });
+};
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
-import { addTransaction, getTransactions } from '../services/transactions.js';
+import { addTransaction, deleteTransaction, getTransactions, updateTransaction } from '../services/transactions.js';
 import { transactionValidationSchema } from '../validation/transaction.js';
+import { EXPORT_CONTENT_TYPES, getExportFileName, streamTransactionsExport } from '../services/export.js';
 
 export const addTransactionController = async (req, res, next) => {
   try {
@@ -39,15 +40,25 @@ export const addTransactionController = async (req, res, next) => {
       data: {
         transaction: {
           _id: result.transaction._id,
+          accountId: result.transaction.accountId,
+          toAccountId: result.transaction.toAccountId,
           type: result.transaction.type,
           amount: result.transaction.amount,
+          originalAmount: result.transaction.originalAmount,
+          currency: result.transaction.currency,
+          exchangeRate: result.transaction.exchangeRate,
           category: result.transaction.category,
+          splits: result.transaction.splits,
+          tags: result.transaction.tags,
           description: result.transaction.description,
           date: result.transaction.date,
         },
         forecastUpdate: result.forecastUpdate || null,
         goalAchieved: result.goalAchieved || false,
         updatedGoal: result.updatedGoal || null,
+        warnings: result.warnings,
+        envelopeFunds: result.envelopeFunds,
+        notifications: result.notifications,
       },
     };
 
@@ -109,6 +120,67 @@ export const addTransactionController = async (req, res, next) => {
 
 export const getTransactionsController = async (req, res) => {
   const { _id: userId } = req.user;
-  const transactions = await getTransactions(userId);
-  res.status(200).json({ status: 200, message: 'Transactions found', data: transactions });
+  const { transactions, total, nextCursor } = await getTransactions(userId, req.query);
+  res.status(200).json({
+    status: 200,
+    message: 'Transactions found',
+    data: transactions,
+    meta: {
+      total,
+      nextCursor,
+      limit: req.query.limit,
+    },
+  });
+};
+
+export const updateTransactionController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { id } = req.params;
+  const result = await updateTransaction(userId, id, req.body);
+
+  res.status(200).json({
+    status: 200,
+    message: 'Transaction updated',
+    data: {
+      transaction: result.transaction,
+      forecastUpdate: result.forecastUpdate || null,
+      goalAchieved: result.goalAchieved,
+      updatedGoal: result.updatedGoal || null,
+      warnings: result.warnings,
+    },
+  });
+};
+
+export const deleteTransactionController = async (req, res) => {
+  const { _id: userId } = req.user;
+  const { id } = req.params;
+  const result = await deleteTransaction(userId, id);
+
+  res.status(200).json({
+    status: 200,
+    message: 'Transaction deleted',
+    data: {
+      transaction: result.transaction,
+      forecastUpdate: result.forecastUpdate || null,
+      updatedGoal: result.updatedGoal || null,
+    },
+  });
+};
+
+export const exportTransactionsController = async (req, res) => {
+  const { format } = req.query;
+
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFileName(format)}"`);
+
+  try {
+    await streamTransactionsExport(req.user, req.query, res);
+  } catch (error) {
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      throw error;
+    }
+    console.error('Transaction export failed mid-stream:', error);
+    res.destroy(error);
+  }
 };
@@ -2,6 +2,10 @@ import createHttpError from 'http-errors';
 import { cropUserData } from '../utils/cropUserData.js';
 import UserCollection from '../db/models/User.js';
 import bcrypt from 'bcrypt';
+import { BASE_CURRENCIES } from '../constants/currencies.js';
+import { changeBaseCurrency, getLatestRedenomination, previewRedenomination } from '../services/redenomination.js';
+import { getEmailPreferences, updateEmailPreferences } from '../services/email.js';
+
 export const getUserController = async (req, res) => {
   const user = req.user;
 
@@ -30,11 +34,8 @@ export const updateUserSettings = async (req, res) => {
     updateData.name = name;
   }
 
-  if (currency) {
-    if (!['UAH', 'USD', 'EUR'].includes(currency)) {
-      throw createHttpError(400, 'Invalid currency');
-    }
-    updateData.currency = currency;
+  if (currency && !BASE_CURRENCIES.includes(currency)) {
+    throw createHttpError(400, 'Invalid currency');
   }
 
   if (currentPassword && newPassword) {
@@ -53,6 +54,14 @@ export const updateUserSettings = async (req, res) => {
     updateData.password = hashedPassword;
   }
 
+  // The currency change goes first: it is the part that can still be refused (a change in progress, no
+  // exchange rate), and the other settings must not be saved when it is. Stored amounts are converted to the
+  // new base currency in the background.
+  let redenomination = null;
+  if (currency) {
+    redenomination = await changeBaseCurrency(_id, currency);
+  }
+
   const updatedUser = await UserCollection.findByIdAndUpdate(_id, { $set: updateData }, { new: true });
 
   if (!updatedUser) {
@@ -62,6 +71,29 @@ export const updateUserSettings = async (req, res) => {
   res.status(200).json({
     status: 200,
     message: 'Settings updated successfully',
-    data: cropUserData(updatedUser),
+    data: { ...cropUserData(updatedUser), ...(redenomination && { redenomination }) },
   });
 };
+
+export const previewCurrencyChangeController = async (req, res) => {
+  const preview = await previewRedenomination(req.user._id, req.query.currency);
+  res.status(200).json({ status: 200, message: 'Currency change preview', data: preview });
+};
+
+export const getCurrencyChangeStatusController = async (req, res) => {
+  const job = await getLatestRedenomination(req.user._id);
+  if (!job) {
+    throw createHttpError(404, 'No currency change found');
+  }
+  res.status(200).json({ status: 200, message: 'Currency change status', data: job });
+};
+
+export const getEmailPreferencesController = async (req, res) => {
+  const preferences = await getEmailPreferences(req.user._id);
+  res.status(200).json({ status: 200, message: 'Email preferences found', data: preferences });
+};
+
+export const updateEmailPreferencesController = async (req, res) => {
+  const preferences = await updateEmailPreferences(req.user._id, req.body);
+  res.status(200).json({ status: 200, message: 'Email preferences updated', data: preferences });
+};
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { CURRENCIES } from '../../constants/currencies.js';
+import { OVERDRAFT_POLICIES } from '../../constants/accounts.js';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+
+const accountSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['cash', 'card', 'savings', 'credit', 'monobank'],
+      default: 'cash',
+    },
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      default: 'UAH',
+    },
+    balance: moneyField({ default: 0 }),
+    // Unset means the default for the account type: credit accounts allow an overdraft, the rest block it
+    overdraftPolicy: {
+      type: String,
+      enum: OVERDRAFT_POLICIES,
+    },
+    // How far below zero an account with the allow policy may go; unset means there is no limit
+    creditLimit: moneyField({ min: 0 }),
+    monobankAccountId: String,
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
+);
+
+accountSchema.index({ userId: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+accountSchema.index(
+  { userId: 1, monobankAccountId: 1 },
+  { unique: true, partialFilterExpression: { monobankAccountId: { $type: 'string' } } },
+);
+
+export const AccountCollection = mongoose.model('Account', accountSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { ALERT_RULE_TYPES } from '../../constants/alerts.js';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+
+const alertRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: ALERT_RULE_TYPES,
+      required: true,
+    },
+    // Only expenses in this category count; null means every category
+    category: {
+      type: String,
+      default: null,
+    },
+    // Percent of the category's budget, for budgetThreshold rules
+    threshold: {
+      type: Number,
+      min: 1,
+      max: 1000,
+    },
+    // In the user's base currency, for largeTransaction and dailySpend rules
+    amount: moneyField({ min: 0 }),
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
+);
+
+alertRuleSchema.index({ userId: 1, isActive: 1 });
+
+export const AlertRuleCollection = mongoose.model('AlertRule', alertRuleSchema);
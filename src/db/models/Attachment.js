@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true,
+      index: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    storage: {
+      type: String,
+      enum: ['local', 's3'],
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+  },
+  { versionKey: false, timestamps: true },
+);
+
+attachmentSchema.index({ userId: 1 });
+
+export const AttachmentCollection = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+
+// End-of-day balance of an account, in the account's currency. Days without a snapshot had no change
+// and carry the previous day's balance.
+const balanceSnapshotSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    balance: moneyField({ required: true }),
+  },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
+);
+
+balanceSnapshotSchema.index({ accountId: 1, date: 1 }, { unique: true });
+balanceSnapshotSchema.index({ userId: 1, date: 1 });
+
+export const BalanceSnapshotCollection = mongoose.model('BalanceSnapshot', balanceSnapshotSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+import { MONTH_PATTERN } from '../../utils/dates.js';
+
+const budgetLimitSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+    },
+    // Planned spending for the month, in the user's base currency
+    amount: moneyField({ required: true, min: 0 }),
+  },
+  { _id: false, ...moneySchemaOptions },
+);
+
+const budgetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Calendar month in YYYY-MM form
+    month: {
+      type: String,
+      required: true,
+      match: MONTH_PATTERN,
+    },
+    limits: {
+      type: [budgetLimitSchema],
+      default: [],
+    },
+  },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
+);
+
+budgetSchema.index({ userId: 1, month: 1 }, { unique: true });
+
+export const BudgetCollection = mongoose.model('Budget', budgetSchema);
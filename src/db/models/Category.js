@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const categorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['income', 'expense'],
+      required: true,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    icon: {
+      type: String,
+      default: null,
+    },
+    color: {
+      type: String,
+      default: null,
+    },
+    mccCodes: {
+      type: [Number],
+      default: [],
+    },
+    forecastBaseAmount: {
+      type: Number,
+      default: null,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { versionKey: false, timestamps: true },
+);
+
+categorySchema.index({ userId: 1, type: 1, name: 1 }, { unique: true });
+
+export const CategoryCollection = mongoose.model('Category', categorySchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const conditionsSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['income', 'expense'],
+    },
+    descriptionPattern: String,
+    mccCodes: {
+      type: [Number],
+      default: undefined,
+    },
+    amountMin: Number,
+    amountMax: Number,
+    counterparty: String,
+    sources: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  { _id: false },
+);
+
+const actionsSchema = new mongoose.Schema(
+  {
+    category: String,
+    tags: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false },
+);
+
+const categoryRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    priority: {
+      type: Number,
+      default: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    conditions: {
+      type: conditionsSchema,
+      required: true,
+    },
+    actions: {
+      type: actionsSchema,
+      required: true,
+    },
+  },
+  { versionKey: false, timestamps: true },
+);
+
+categoryRuleSchema.index({ userId: 1, priority: 1 });
+
+export const CategoryRuleCollection = mongoose.model('CategoryRule', categoryRuleSchema);
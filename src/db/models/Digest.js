@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { DIGEST_PERIODS } from '../../constants/digests.js';
+
+const digestSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: DIGEST_PERIODS,
+      required: true,
+    },
+    // The period covered: from periodStart up to (not including) periodEnd
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    currency: String,
+    // A snapshot of the figures at generation time; free-form, so its amounts stay plain decimals
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Set once the digest has been sent through the notification channels
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { versionKey: false, timestamps: true },
+);
+
+digestSchema.index({ userId: 1, period: 1, periodStart: -1 }, { unique: true });
+
+export const DigestCollection = mongoose.model('Digest', digestSchema);
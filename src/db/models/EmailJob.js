@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { EMAIL_JOB_STATUSES } from '../../constants/email.js';
+
+// A rendered email waiting in the delivery queue; failed sends are retried with a growing delay
+const emailJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: String,
+    text: String,
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: EMAIL_JOB_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { versionKey: false, timestamps: true },
+);
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+export const EmailJobCollection = mongoose.model('EmailJob', emailJobSchema);
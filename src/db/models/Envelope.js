@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+import { MONTH_PATTERN } from '../../utils/dates.js';
+
+const envelopeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    month: {
+      type: String,
+      required: true,
+      match: MONTH_PATTERN,
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    // Money put into the envelope this month, in the base currency; moving money out can make it negative
+    assigned: moneyField({ default: 0 }),
+  },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
+);
+
+envelopeSchema.index({ userId: 1, month: 1, category: 1 }, { unique: true });
+
+export const EnvelopeCollection = mongoose.model('Envelope', envelopeSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { CURRENCIES } from '../../constants/currencies.js';
+
+// Price of one unit of a currency in hryvnias on a given day. Market rates are shared;
+// rates entered by a user (userId set) take precedence for that user.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['monobank', 'manual'],
+      default: 'manual',
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { versionKey: false, timestamps: true },
+);
+
+exchangeRateSchema.index({ currency: 1, userId: 1, date: -1 }, { unique: true });
+
+export const ExchangeRateCollection = mongoose.model('ExchangeRate', exchangeRateSchema);
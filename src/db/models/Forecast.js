@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
 
 const riskFactorSchema = new mongoose.Schema(
   {
@@ -21,30 +22,30 @@ const riskFactorSchema = new mongoose.Schema(
 const quickEstimateSchema = new mongoose.Schema(
   {
     monthStr: String,
-    projectedExpense: Number,
-    projectedIncome: Number,
-    projectedBalance: Number,
+    projectedExpense: moneyField(),
+    projectedIncome: moneyField(),
+    projectedBalance: moneyField(),
     confidence: Number,
     lastCalculated: {
       type: Date,
       default: Date.now,
     },
   },
-  { _id: false },
+  { _id: false, ...moneySchemaOptions },
 );
 
 const thirtyDayBudgetSchema = new mongoose.Schema(
   {
-    projectedExpense: Number,
-    projectedIncome: Number,
-    projectedBalance: Number,
+    projectedExpense: moneyField(),
+    projectedIncome: moneyField(),
+    projectedBalance: moneyField(),
     confidence: Number,
     lastCalculated: {
       type: Date,
       default: Date.now,
     },
   },
-  { _id: false },
+  { _id: false, ...moneySchemaOptions },
 );
 
 const forecastSchema = new mongoose.Schema(
@@ -58,9 +59,10 @@ const forecastSchema = new mongoose.Schema(
       {
         date: Date,
         monthStr: String,
-        projectedExpense: Number,
-        projectedIncome: Number,
-        projectedBalance: Number,
+        projectedExpense: moneyField(),
+        projectedIncome: moneyField(),
+        projectedBalance: moneyField(),
+        // Free-form, so its amounts stay plain decimals
         categoryPredictions: {
           type: mongoose.Schema.Types.Mixed,
           default: {},
@@ -98,14 +100,14 @@ const forecastSchema = new mongoose.Schema(
       bestCaseMonthsToGoal: Number,
       worstCaseMonthsToGoal: Number,
       projectedDate: Date,
-      monthlySavings: Number,
-      savingsVariability: Number,
+      monthlySavings: moneyField(),
+      savingsVariability: moneyField(),
       probability: Number,
       riskFactors: [riskFactorSchema],
 
       quickEstimate: {
         expectedMonthsToGoal: Number,
-        monthlySavings: Number,
+        monthlySavings: moneyField(),
         probability: Number,
         lastCalculated: {
           type: Date,
@@ -137,7 +139,7 @@ const forecastSchema = new mongoose.Schema(
       completeness: Number,
     },
   },
-  { versionKey: false, timestamps: true },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
 );
 
 forecastSchema.index({ userId: 1, lastUpdated: -1 });
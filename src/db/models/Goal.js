@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
 
 const goalSchema = new mongoose.Schema(
   {
@@ -11,16 +12,8 @@ const goalSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
-    targetAmount: {
-      type: Number,
-      required: true,
-      min: 0,
-    },
-    currentAmount: {
-      type: Number,
-      default: 0,
-      min: 0,
-    },
+    targetAmount: moneyField({ required: true, min: 0 }),
+    currentAmount: moneyField({ default: 0, min: 0 }),
     deadline: {
       type: Date,
       required: true,
@@ -29,12 +22,9 @@ const goalSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    highestAmount: {
-      type: Number,
-      default: 0,
-    },
+    highestAmount: moneyField({ default: 0 }),
   },
-  { versionKey: false, timestamps: true },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
 );
 
 export const GoalCollection = mongoose.model('goal', goalSchema);
@@ -34,6 +34,11 @@ const monobankTokenSchema = new mongoose.Schema(
         currencyCode: Number,
       },
     ],
+
+    excludedMonoIds: {
+      type: [String],
+      default: [],
+    },
   },
   { timestamps: true },
 );
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_SEVERITIES, NOTIFICATION_TYPES } from '../../constants/notifications.js';
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: NOTIFICATION_SEVERITIES,
+      default: 'info',
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      default: '',
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Where the frontend opens the notification: a screen name and its parameters, e.g. { screen: 'budget', params: { month } }
+    link: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule',
+      default: null,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+    // The same event is only notified once, e.g. one budget alert per category and month
+    dedupeKey: String,
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { versionKey: false, timestamps: true },
+);
+
+notificationSchema.index(
+  { userId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } },
+);
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+export const NotificationCollection = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'lastBusinessDay'],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+    },
+  },
+  { _id: false },
+);
+
+const recurringTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+    },
+    type: {
+      type: String,
+      enum: ['income', 'expense'],
+      required: true,
+    },
+    amount: moneyField({ required: true }),
+    category: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    schedule: {
+      type: scheduleSchema,
+      required: true,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // Consecutive failed attempts to materialize nextRunAt and when the next attempt is due
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+    retryAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
+);
+
+recurringTransactionSchema.index({ isActive: 1, nextRunAt: 1 });
+recurringTransactionSchema.index({ userId: 1 });
+
+export const RecurringTransactionCollection = mongoose.model('RecurringTransaction', recurringTransactionSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { BASE_CURRENCIES } from '../../constants/currencies.js';
+
+// Background conversion of a user's stored figures after a change of base currency
+const redenominationJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    fromCurrency: {
+      type: String,
+      enum: BASE_CURRENCIES,
+      required: true,
+    },
+    toCurrency: {
+      type: String,
+      enum: BASE_CURRENCIES,
+      required: true,
+    },
+    // Rate of the day the change was requested, used for figures that have no date of their own
+    rate: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+    },
+    // Steps already done, so that a failed job can be resumed without converting anything twice
+    completedSteps: {
+      type: [String],
+      default: [],
+    },
+    // Figures as they were before a step overwrote them, so that a resumed step converts these again
+    // rather than values it already converted
+    originals: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    error: String,
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  { versionKey: false, timestamps: true },
+);
+
+export const RedenominationJobCollection = mongoose.model('RedenominationJob', redenominationJobSchema);
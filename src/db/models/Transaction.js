@@ -1,4 +1,19 @@
 import mongoose from 'mongoose';
+import { CASHFLOW_TYPES, TRANSACTION_TYPES } from '../../constants/transactions.js';
+import { CURRENCIES } from '../../constants/currencies.js';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+
+const splitSchema = new mongoose.Schema(
+  {
+    amount: moneyField({ required: true }),
+    category: {
+      type: String,
+      required: true,
+    },
+    note: String,
+  },
+  moneySchemaOptions,
+);
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -7,20 +22,46 @@ const transactionSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+    },
+    // Destination of a transfer; accountId is its source
+    toAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+    },
     type: {
       type: String,
-      enum: ['income', 'expense'],
+      enum: TRANSACTION_TYPES,
       required: true,
     },
-    amount: {
-      type: Number,
-      required: true,
+    // Positive except for adjustments, where it is the signed correction. In the user's base currency; originalAmount is in the account's currency, converted at exchangeRate.
+    // Transactions stored before multi-currency support have neither and are in the base currency.
+    amount: moneyField({ required: true }),
+    originalAmount: moneyField(),
+    currency: {
+      type: String,
+      enum: CURRENCIES,
     },
+    exchangeRate: Number,
     category: {
       type: String,
-      required: true,
+      required: function () {
+        return CASHFLOW_TYPES.includes(this.type);
+      },
     },
     description: String,
+    splits: {
+      type: [splitSchema],
+      default: undefined,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    mcc: Number,
+    counterparty: String,
     date: {
       type: Date,
       default: Date.now,
@@ -30,13 +71,39 @@ const transactionSchema = new mongoose.Schema(
       index: true,
       sparse: true,
     },
+    // Incoming leg of a Monobank transfer between the user's own accounts
+    pairedMonoId: {
+      type: String,
+      index: true,
+      sparse: true,
+    },
+    importId: {
+      type: String,
+      index: true,
+      sparse: true,
+    },
     source: {
       type: String,
-      enum: ['manual', 'monobank'],
+      enum: ['manual', 'monobank', 'import'],
       default: 'manual',
     },
+    recurringId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringTransaction',
+      index: true,
+      sparse: true,
+    },
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
   },
-  { versionKey: false, timestamps: true },
+  { versionKey: false, timestamps: true, ...moneySchemaOptions },
 );
 
+transactionSchema.index({ userId: 1, date: -1 });
+transactionSchema.index({ userId: 1, category: 1, date: -1 });
+transactionSchema.index({ userId: 1, tags: 1 });
+transactionSchema.index({ userId: 1, accountId: 1, date: -1 });
+
 export const TransactionCollection = mongoose.model('Transaction', transactionSchema);
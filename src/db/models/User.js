@@ -1,5 +1,40 @@
 import { Schema, model } from 'mongoose';
 import { emailRegexp } from '../../constants/user.js';
+import { BASE_CURRENCIES } from '../../constants/currencies.js';
+import { BUDGETING_MODES } from '../../constants/budgets.js';
+import { NOTIFICATION_SEVERITIES } from '../../constants/notifications.js';
+import { EMAIL_LANGUAGES } from '../../constants/email.js';
+import { moneyField, moneySchemaOptions } from '../../utils/money.js';
+
+// Email is opt-in: nothing is sent until the user turns it on
+const emailPreferencesSchema = new Schema(
+  {
+    notifications: {
+      type: Boolean,
+      default: false,
+    },
+    // Notifications below this severity stay in-app only
+    minSeverity: {
+      type: String,
+      enum: NOTIFICATION_SEVERITIES,
+      default: 'warning',
+    },
+    weeklyDigest: {
+      type: Boolean,
+      default: false,
+    },
+    monthlyDigest: {
+      type: Boolean,
+      default: false,
+    },
+    language: {
+      type: String,
+      enum: EMAIL_LANGUAGES,
+      default: 'uk',
+    },
+  },
+  { _id: false },
+);
 
 const userSchema = new Schema(
   {
@@ -22,21 +57,34 @@ const userSchema = new Schema(
     },
     currency: {
       type: String,
-      enum: ['UAH', 'USD', 'EUR'],
+      enum: BASE_CURRENCIES,
       default: 'UAH',
     },
-    balance: {
-      type: Number,
-      default: 0,
-    },
+    balance: moneyField({ default: 0 }),
     lastBalanceUpdate: {
       type: Date,
       default: Date.now,
     },
+    budgetingMode: {
+      type: String,
+      enum: BUDGETING_MODES,
+      default: 'limits',
+    },
+    // Envelopes count money from the moment they were switched on: the balance then plus everything received since
+    envelopeStartedAt: {
+      type: Date,
+      default: null,
+    },
+    envelopeOpeningBalance: moneyField({ default: 0 }),
+    emailPreferences: {
+      type: emailPreferencesSchema,
+      default: () => ({}),
+    },
   },
   {
     timestamps: true,
     versionKey: false,
+    ...moneySchemaOptions,
   },
 );
 
@@ -1,10 +1,12 @@
 import { initMongoDB } from './db/initMongoDB.js';
 import { startServer } from './server.js';
+import { startScheduler } from './scheduler.js';
 
 const bootstrap = async () => {
   await initMongoDB();
 
   startServer();
+  startScheduler();
 };
 
 bootstrap();
@@ -0,0 +1,11 @@
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+
+export const isValidId =
+  (paramName = 'id') =>
+  (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params[paramName])) {
+      return next(createHttpError(400, `${req.params[paramName]} is not a valid id`));
+    }
+    next();
+  };
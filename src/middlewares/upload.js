@@ -0,0 +1,40 @@
+import multer from 'multer';
+import createHttpError from 'http-errors';
+import { ATTACHMENT_MAX_SIZE, ATTACHMENT_MIME_TYPES } from '../constants/attachments.js';
+
+const STATEMENT_MAX_SIZE = 5 * 1024 * 1024;
+const STATEMENT_EXTENSIONS = /\.(csv|txt|ofx|qfx|qif|xml)$/i;
+
+const handleUpload = (upload) => (req, res, next) =>
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(createHttpError(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400, error.message));
+    }
+    next(error);
+  });
+
+export const uploadStatement = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: STATEMENT_MAX_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (!STATEMENT_EXTENSIONS.test(file.originalname)) {
+        return cb(createHttpError(400, 'Unsupported statement file type'));
+      }
+      cb(null, true);
+    },
+  }).single('file'),
+);
+
+export const uploadAttachment = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ATTACHMENT_MAX_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (!ATTACHMENT_MIME_TYPES[file.mimetype]) {
+        return cb(createHttpError(415, 'Only JPEG, PNG, WEBP, HEIC images and PDF documents can be attached'));
+      }
+      cb(null, true);
+    },
+  }).single('file'),
+);
@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import validateBody from '../utils/validateBody.js';
+import validateQuery from '../utils/validateQuery.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { accountQuerySchema, accountUpdateSchema, accountValidationSchema } from '../validation/account.js';
+import {
+  createAccountController,
+  deleteAccountController,
+  getAccountsController,
+  updateAccountController,
+} from '../controllers/account.js';
+
+const accountsRouter = Router();
+
+accountsRouter.use(authenticate);
+
+accountsRouter.get('/', validateQuery(accountQuerySchema), ctrlWrapper(getAccountsController));
+accountsRouter.post('/', validateBody(accountValidationSchema), ctrlWrapper(createAccountController));
+accountsRouter.patch('/:id', isValidId(), validateBody(accountUpdateSchema), ctrlWrapper(updateAccountController));
+accountsRouter.delete('/:id', isValidId(), ctrlWrapper(deleteAccountController));
+
+export default accountsRouter;
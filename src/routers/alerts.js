@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import validateBody from '../utils/validateBody.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { alertRuleUpdateSchema, alertRuleValidationSchema } from '../validation/alert.js';
+import {
+  createAlertRuleController,
+  deleteAlertRuleController,
+  getAlertRulesController,
+  updateAlertRuleController,
+} from '../controllers/alert.js';
+
+const alertsRouter = Router();
+
+alertsRouter.use(authenticate);
+
+alertsRouter.get('/', ctrlWrapper(getAlertRulesController));
+alertsRouter.post('/', validateBody(alertRuleValidationSchema), ctrlWrapper(createAlertRuleController));
+alertsRouter.patch('/:id', isValidId(), validateBody(alertRuleUpdateSchema), ctrlWrapper(updateAlertRuleController));
+alertsRouter.delete('/:id', isValidId(), ctrlWrapper(deleteAlertRuleController));
+
+export default alertsRouter;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import {
+  deleteAttachmentController,
+  downloadAttachmentController,
+  getAttachmentUrlController,
+} from '../controllers/attachment.js';
+
+const attachmentsRouter = Router();
+
+// Signed links carry their own authorization so they can be opened directly by the browser
+attachmentsRouter.get('/:id/download', isValidId(), ctrlWrapper(downloadAttachmentController));
+attachmentsRouter.get('/:id/url', authenticate, isValidId(), ctrlWrapper(getAttachmentUrlController));
+attachmentsRouter.delete('/:id', authenticate, isValidId(), ctrlWrapper(deleteAttachmentController));
+
+export default attachmentsRouter;
@@ -1,12 +1,28 @@
 import { Router } from 'express';
 import ctrlWrapper from '../utils/crtlWrapper.js';
 import { authenticate } from '../middlewares/authenticate.js';
-import { getBalance, updateBalance } from '../services/balance.js';
-import { getBalanceController, updateBalanceController } from '../controllers/balance.js';
+import validateBody from '../utils/validateBody.js';
+import validateQuery from '../utils/validateQuery.js';
+import { balanceHistoryQuerySchema, balanceUpdateSchema, reconcileSchema } from '../validation/account.js';
+import {
+  getBalanceController,
+  getBalanceHistoryController,
+  getReconciliationController,
+  reconcileController,
+  updateBalanceController,
+} from '../controllers/balance.js';
 
 const balanceRouter = Router();
 
 balanceRouter.get('/', authenticate, ctrlWrapper(getBalanceController));
-balanceRouter.put('/', authenticate, ctrlWrapper(updateBalanceController));
+balanceRouter.get(
+  '/history',
+  authenticate,
+  validateQuery(balanceHistoryQuerySchema),
+  ctrlWrapper(getBalanceHistoryController),
+);
+balanceRouter.get('/reconciliation', authenticate, ctrlWrapper(getReconciliationController));
+balanceRouter.post('/reconcile', authenticate, validateBody(reconcileSchema), ctrlWrapper(reconcileController));
+balanceRouter.put('/', authenticate, validateBody(balanceUpdateSchema), ctrlWrapper(updateBalanceController));
 
 export default balanceRouter;
@@ -0,0 +1,56 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import validateBody from '../utils/validateBody.js';
+import validateQuery from '../utils/validateQuery.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import {
+  budgetingModeSchema,
+  budgetSuggestionQuerySchema,
+  budgetUpdateSchema,
+  budgetValidationSchema,
+  envelopeAssignSchema,
+  envelopeMoveSchema,
+} from '../validation/budget.js';
+import {
+  assignToEnvelopeController,
+  createBudgetController,
+  deleteBudgetController,
+  getBudgetReportController,
+  getBudgetsController,
+  getBudgetSuggestionsController,
+  getEnvelopesController,
+  getToBeBudgetedController,
+  moveBetweenEnvelopesController,
+  setBudgetingModeController,
+  updateBudgetController,
+} from '../controllers/budget.js';
+
+const budgetsRouter = Router();
+
+budgetsRouter.use(authenticate);
+
+budgetsRouter.get('/', ctrlWrapper(getBudgetsController));
+budgetsRouter.get(
+  '/suggestions',
+  validateQuery(budgetSuggestionQuerySchema),
+  ctrlWrapper(getBudgetSuggestionsController),
+);
+budgetsRouter.put('/mode', validateBody(budgetingModeSchema), ctrlWrapper(setBudgetingModeController));
+budgetsRouter.get('/envelopes/to-be-budgeted', ctrlWrapper(getToBeBudgetedController));
+budgetsRouter.get('/envelopes/:month', ctrlWrapper(getEnvelopesController));
+budgetsRouter.post(
+  '/envelopes/:month/assign',
+  validateBody(envelopeAssignSchema),
+  ctrlWrapper(assignToEnvelopeController),
+);
+budgetsRouter.post(
+  '/envelopes/:month/move',
+  validateBody(envelopeMoveSchema),
+  ctrlWrapper(moveBetweenEnvelopesController),
+);
+budgetsRouter.get('/:month', ctrlWrapper(getBudgetReportController));
+budgetsRouter.post('/', validateBody(budgetValidationSchema), ctrlWrapper(createBudgetController));
+budgetsRouter.put('/:month', validateBody(budgetUpdateSchema), ctrlWrapper(updateBudgetController));
+budgetsRouter.delete('/:month', ctrlWrapper(deleteBudgetController));
+
+export default budgetsRouter;
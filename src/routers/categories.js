@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import validateBody from '../utils/validateBody.js';
+import validateQuery from '../utils/validateQuery.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import {
+  categoryMergeSchema,
+  categoryQuerySchema,
+  categoryUpdateSchema,
+  categoryValidationSchema,
+} from '../validation/category.js';
+import {
+  createCategoryController,
+  deleteCategoryController,
+  getCategoriesController,
+  mergeCategoryController,
+  updateCategoryController,
+} from '../controllers/category.js';
+
+const categoriesRouter = Router();
+
+categoriesRouter.use(authenticate);
+
+categoriesRouter.get('/', validateQuery(categoryQuerySchema), ctrlWrapper(getCategoriesController));
+categoriesRouter.post('/', validateBody(categoryValidationSchema), ctrlWrapper(createCategoryController));
+categoriesRouter.patch('/:id', isValidId(), validateBody(categoryUpdateSchema), ctrlWrapper(updateCategoryController));
+categoriesRouter.post(
+  '/:id/merge',
+  isValidId(),
+  validateBody(categoryMergeSchema),
+  ctrlWrapper(mergeCategoryController),
+);
+categoriesRouter.delete('/:id', isValidId(), ctrlWrapper(deleteCategoryController));
+
+export default categoriesRouter;
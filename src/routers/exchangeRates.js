@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import validateBody from '../utils/validateBody.js';
+import validateQuery from '../utils/validateQuery.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { convertQuerySchema, exchangeRateQuerySchema, exchangeRateSchema } from '../validation/exchangeRate.js';
+import {
+  convertController,
+  deleteExchangeRateController,
+  getExchangeRatesController,
+  setExchangeRateController,
+} from '../controllers/exchangeRate.js';
+
+const exchangeRatesRouter = Router();
+
+exchangeRatesRouter.use(authenticate);
+
+exchangeRatesRouter.get('/', validateQuery(exchangeRateQuerySchema), ctrlWrapper(getExchangeRatesController));
+exchangeRatesRouter.get('/convert', validateQuery(convertQuerySchema), ctrlWrapper(convertController));
+exchangeRatesRouter.post('/', validateBody(exchangeRateSchema), ctrlWrapper(setExchangeRateController));
+exchangeRatesRouter.delete('/:id', isValidId(), ctrlWrapper(deleteExchangeRateController));
+
+export default exchangeRatesRouter;
@@ -6,6 +6,17 @@ import transactionsRouter from './transactions.js';
 import goalRouter from './goal.js';
 import forecastRouter from './forecasts.js';
 import monobankRouter from './monobank.js';
+import recurringRouter from './recurring.js';
+import categoriesRouter from './categories.js';
+import rulesRouter from './rules.js';
+import tagsRouter from './tags.js';
+import attachmentsRouter from './attachments.js';
+import accountsRouter from './accounts.js';
+import exchangeRatesRouter from './exchangeRates.js';
+import budgetsRouter from './budgets.js';
+import alertsRouter from './alerts.js';
+import notificationsRouter from './notifications.js';
+import reportsRouter from './reports.js';
 
 const router = Router();
 
@@ -16,4 +27,15 @@ router.use('/transactions', transactionsRouter);
 router.use('/goal', goalRouter);
 router.use('/forecasts', forecastRouter);
 router.use('/api/monobank', monobankRouter);
+router.use('/recurring', recurringRouter);
+router.use('/categories', categoriesRouter);
+router.use('/rules', rulesRouter);
+router.use('/tags', tagsRouter);
+router.use('/attachments', attachmentsRouter);
+router.use('/accounts', accountsRouter);
+router.use('/exchange-rates', exchangeRatesRouter);
+router.use('/budgets', budgetsRouter);
+router.use('/alerts', alertsRouter);
+router.use('/notifications', notificationsRouter);
+router.use('/reports', reportsRouter);
 export default router;
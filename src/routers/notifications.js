@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import validateQuery from '../utils/validateQuery.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { notificationQuerySchema } from '../validation/notification.js';
+import {
+  deleteNotificationController,
+  getNotificationsController,
+  getUnreadCountController,
+  markAllNotificationsReadController,
+  markNotificationReadController,
+} from '../controllers/notification.js';
+
+const notificationsRouter = Router();
+
+notificationsRouter.use(authenticate);
+
+notificationsRouter.get('/', validateQuery(notificationQuerySchema), ctrlWrapper(getNotificationsController));
+notificationsRouter.get('/unread-count', ctrlWrapper(getUnreadCountController));
+notificationsRouter.post('/read-all', ctrlWrapper(markAllNotificationsReadController));
+notificationsRouter.patch('/:id/read', isValidId(), ctrlWrapper(markNotificationReadController));
+notificationsRouter.delete('/:id', isValidId(), ctrlWrapper(deleteNotificationController));
+
+export default notificationsRouter;
@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import validateBody from '../utils/validateBody.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { recurringUpdateSchema, recurringValidationSchema } from '../validation/recurring.js';
+import {
+  createRecurringController,
+  deleteRecurringController,
+  getRecurringByIdController,
+  getRecurringController,
+  updateRecurringController,
+} from '../controllers/recurring.js';
+
+const recurringRouter = Router();
+
+recurringRouter.use(authenticate);
+
+recurringRouter.post('/', validateBody(recurringValidationSchema), ctrlWrapper(createRecurringController));
+recurringRouter.get('/', ctrlWrapper(getRecurringController));
+recurringRouter.get('/:id', isValidId(), ctrlWrapper(getRecurringByIdController));
+recurringRouter.patch('/:id', isValidId(), validateBody(recurringUpdateSchema), ctrlWrapper(updateRecurringController));
+recurringRouter.delete('/:id', isValidId(), ctrlWrapper(deleteRecurringController));
+
+export default recurringRouter;
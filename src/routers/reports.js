@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import validateQuery from '../utils/validateQuery.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { digestQuerySchema } from '../validation/report.js';
+import { getDigestController } from '../controllers/report.js';
+
+const reportsRouter = Router();
+
+reportsRouter.use(authenticate);
+
+reportsRouter.get('/digest', validateQuery(digestQuerySchema), ctrlWrapper(getDigestController));
+
+export default reportsRouter;
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import validateBody from '../utils/validateBody.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { ruleApplySchema, rulePreviewSchema, ruleUpdateSchema, ruleValidationSchema } from '../validation/rule.js';
+import {
+  applyRulesController,
+  createRuleController,
+  deleteRuleController,
+  getRulesController,
+  previewRuleController,
+  updateRuleController,
+} from '../controllers/rule.js';
+
+const rulesRouter = Router();
+
+rulesRouter.use(authenticate);
+
+rulesRouter.get('/', ctrlWrapper(getRulesController));
+rulesRouter.post('/', validateBody(ruleValidationSchema), ctrlWrapper(createRuleController));
+rulesRouter.post('/preview', validateBody(rulePreviewSchema), ctrlWrapper(previewRuleController));
+rulesRouter.post('/apply', validateBody(ruleApplySchema), ctrlWrapper(applyRulesController));
+rulesRouter.patch('/:id', isValidId(), validateBody(ruleUpdateSchema), ctrlWrapper(updateRuleController));
+rulesRouter.delete('/:id', isValidId(), ctrlWrapper(deleteRuleController));
+
+export default rulesRouter;
@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/authenticate.js';
+import validateBody from '../utils/validateBody.js';
+import validateQuery from '../utils/validateQuery.js';
+import ctrlWrapper from '../utils/crtlWrapper.js';
+import { tagMergeSchema, tagRenameSchema, tagTotalsQuerySchema } from '../validation/tag.js';
+import {
+  getTagTotalsController,
+  getTagsController,
+  mergeTagsController,
+  renameTagController,
+} from '../controllers/tag.js';
+
+const tagsRouter = Router();
+
+tagsRouter.use(authenticate);
+
+tagsRouter.get('/', ctrlWrapper(getTagsController));
+tagsRouter.get('/totals', validateQuery(tagTotalsQuerySchema), ctrlWrapper(getTagTotalsController));
+tagsRouter.post('/merge', validateBody(tagMergeSchema), ctrlWrapper(mergeTagsController));
+tagsRouter.patch('/:name', validateBody(tagRenameSchema), ctrlWrapper(renameTagController));
+
+export default tagsRouter;
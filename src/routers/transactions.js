@@ -1,8 +1,24 @@
 import { Router } from 'express';
 import { authenticate } from '../middlewares/authenticate.js';
+import { isValidId } from '../middlewares/isValidId.js';
+import { uploadAttachment, uploadStatement } from '../middlewares/upload.js';
 import validateBody from '../utils/validateBody.js';
-import { transactionValidationSchema } from '../validation/transaction.js';
-import { addTransactionController, getTransactionsController } from '../controllers/transactions.js';
+import validateQuery from '../utils/validateQuery.js';
+import {
+  transactionExportSchema,
+  transactionQuerySchema,
+  transactionUpdateSchema,
+  transactionValidationSchema,
+} from '../validation/transaction.js';
+import {
+  addTransactionController,
+  deleteTransactionController,
+  exportTransactionsController,
+  getTransactionsController,
+  updateTransactionController,
+} from '../controllers/transactions.js';
+import { commitImportController, previewImportController } from '../controllers/import.js';
+import { getAttachmentsController, uploadAttachmentController } from '../controllers/attachment.js';
 import ctrlWrapper from '../utils/crtlWrapper.js';
 
 const transactionsRouter = Router();
@@ -13,5 +29,34 @@ transactionsRouter.post(
   validateBody(transactionValidationSchema),
   ctrlWrapper(addTransactionController),
 );
-transactionsRouter.get('/', authenticate, ctrlWrapper(getTransactionsController));
+transactionsRouter.get(
+  '/',
+  authenticate,
+  validateQuery(transactionQuerySchema),
+  ctrlWrapper(getTransactionsController),
+);
+transactionsRouter.get(
+  '/export',
+  authenticate,
+  validateQuery(transactionExportSchema),
+  ctrlWrapper(exportTransactionsController),
+);
+transactionsRouter.post('/import/preview', authenticate, uploadStatement, ctrlWrapper(previewImportController));
+transactionsRouter.post('/import/commit', authenticate, uploadStatement, ctrlWrapper(commitImportController));
+transactionsRouter.patch(
+  '/:id',
+  authenticate,
+  isValidId(),
+  validateBody(transactionUpdateSchema),
+  ctrlWrapper(updateTransactionController),
+);
+transactionsRouter.delete('/:id', authenticate, isValidId(), ctrlWrapper(deleteTransactionController));
+transactionsRouter.get('/:id/attachments', authenticate, isValidId(), ctrlWrapper(getAttachmentsController));
+transactionsRouter.post(
+  '/:id/attachments',
+  authenticate,
+  isValidId(),
+  uploadAttachment,
+  ctrlWrapper(uploadAttachmentController),
+);
 export default transactionsRouter;
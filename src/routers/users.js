@@ -1,7 +1,17 @@
 import { Router } from 'express';
 import { authenticate } from '../middlewares/authenticate.js';
 import ctrlWrapper from '../utils/crtlWrapper.js';
-import { getUserController, updateUserSettings } from '../controllers/user.js';
+import validateQuery from '../utils/validateQuery.js';
+import validateBody from '../utils/validateBody.js';
+import { currencyQuerySchema, emailPreferencesSchema } from '../validation/user.js';
+import {
+  getCurrencyChangeStatusController,
+  getEmailPreferencesController,
+  getUserController,
+  previewCurrencyChangeController,
+  updateEmailPreferencesController,
+  updateUserSettings,
+} from '../controllers/user.js';
 
 const usersRouter = Router();
 
@@ -9,5 +19,13 @@ usersRouter.use(authenticate);
 
 usersRouter.get('/current', ctrlWrapper(getUserController));
 usersRouter.patch('/settings', ctrlWrapper(updateUserSettings));
+usersRouter.get('/currency/preview', validateQuery(currencyQuerySchema), ctrlWrapper(previewCurrencyChangeController));
+usersRouter.get('/currency/status', ctrlWrapper(getCurrencyChangeStatusController));
+usersRouter.get('/email-preferences', ctrlWrapper(getEmailPreferencesController));
+usersRouter.patch(
+  '/email-preferences',
+  validateBody(emailPreferencesSchema),
+  ctrlWrapper(updateEmailPreferencesController),
+);
 
 export default usersRouter;
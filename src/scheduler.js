@@ -0,0 +1,40 @@
+import { materializeDueRecurring } from './services/recurring.js';
+import { refreshMarketRates } from './services/exchangeRates.js';
+import { snapshotAllAccounts } from './services/balanceHistory.js';
+import { processEmailQueue } from './services/email.js';
+import { generateDueDigests } from './services/digests.js';
+import { isEmailEnabled } from './utils/email/index.js';
+
+const MINUTE = 60 * 1000;
+
+const jobs = [
+  { name: 'recurring-transactions', interval: 15 * MINUTE, run: () => materializeDueRecurring() },
+  { name: 'exchange-rates', interval: 60 * MINUTE, run: () => refreshMarketRates() },
+  // Hourly runs make sure every day gets a snapshot, including days without any change
+  { name: 'balance-snapshots', interval: 60 * MINUTE, run: () => snapshotAllAccounts() },
+  // Digests go out on the first run after a week or month ends
+  { name: 'digests', interval: 60 * MINUTE, run: () => generateDueDigests() },
+  // Without EMAIL_ENABLED=true emails are still queued, just not sent
+  ...(isEmailEnabled() ? [{ name: 'email-queue', interval: MINUTE, run: () => processEmailQueue() }] : []),
+];
+
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+export const startScheduler = () => {
+  jobs.forEach((job) => {
+    runJob(job);
+    setInterval(() => runJob(job), job.interval).unref();
+  });
+  console.log(`Scheduler started with ${jobs.length} job(s)`);
+};
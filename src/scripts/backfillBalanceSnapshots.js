@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import { initMongoDB } from '../db/initMongoDB.js';
+import UserCollection from '../db/models/User.js';
+import { ensureDefaultAccount } from '../services/accounts.js';
+import { rebuildBalanceSnapshots } from '../services/balanceHistory.js';
+
+// Rebuilds every user's daily balance snapshots from their transactions. Safe to run repeatedly.
+const backfillBalanceSnapshots = async () => {
+  await initMongoDB();
+
+  let users = 0;
+  let snapshots = 0;
+  for await (const user of UserCollection.find({}, { _id: 1 }).cursor()) {
+    await ensureDefaultAccount(user._id);
+    snapshots += await rebuildBalanceSnapshots(user._id);
+    users++;
+  }
+
+  console.log(`${snapshots} balance snapshots rebuilt for ${users} users`);
+};
+
+backfillBalanceSnapshots()
+  .catch((error) => {
+    console.error('Balance snapshot backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
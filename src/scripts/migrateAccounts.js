@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import { initMongoDB } from '../db/initMongoDB.js';
+import UserCollection from '../db/models/User.js';
+import { ensureDefaultAccount } from '../services/accounts.js';
+
+// One-off migration: gives every existing user a default account holding their current balance
+// and attaches their transactions to it. Safe to run repeatedly.
+const migrateAccounts = async () => {
+  await initMongoDB();
+
+  let migrated = 0;
+  for await (const user of UserCollection.find({}, { _id: 1 }).cursor()) {
+    await ensureDefaultAccount(user._id);
+    migrated++;
+  }
+
+  console.log(`Default accounts ensured for ${migrated} users`);
+};
+
+migrateAccounts()
+  .catch((error) => {
+    console.error('Account migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { initMongoDB } from '../db/initMongoDB.js';
+import UserCollection from '../db/models/User.js';
+import { AccountCollection } from '../db/models/Account.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { GoalCollection } from '../db/models/Goal.js';
+import { RecurringTransactionCollection } from '../db/models/RecurringTransaction.js';
+import { ForecastCollection } from '../db/models/Forecast.js';
+
+const MIGRATION_ID = 'money-minor-units';
+
+// Marks documents already converted, so that an interrupted run can be started again
+const MARKER = 'moneyInMinorUnits';
+
+const toMinorUnits = (path) => ({
+  $cond: [{ $isNumber: path }, { $round: [{ $multiply: [path, 100] }, 0] }, path],
+});
+
+const TARGETS = [
+  {
+    collection: TransactionCollection,
+    set: {
+      amount: toMinorUnits('$amount'),
+      originalAmount: toMinorUnits('$originalAmount'),
+      splits: {
+        $cond: [
+          { $isArray: '$splits' },
+          {
+            $map: {
+              input: '$splits',
+              as: 'split',
+              in: { $mergeObjects: ['$$split', { amount: toMinorUnits('$$split.amount') }] },
+            },
+          },
+          '$splits',
+        ],
+      },
+    },
+  },
+  { collection: UserCollection, set: { balance: toMinorUnits('$balance') } },
+  { collection: AccountCollection, set: { balance: toMinorUnits('$balance') } },
+  {
+    collection: GoalCollection,
+    set: {
+      targetAmount: toMinorUnits('$targetAmount'),
+      currentAmount: toMinorUnits('$currentAmount'),
+      highestAmount: toMinorUnits('$highestAmount'),
+    },
+  },
+  { collection: RecurringTransactionCollection, set: { amount: toMinorUnits('$amount') } },
+];
+
+// One-off migration: amounts stored as decimals become integer minor units (kopecks, cents).
+// Run it before starting the version that reads minor units; a completed run is recorded and not repeated.
+const migrateMoney = async () => {
+  await initMongoDB();
+
+  const migrations = mongoose.connection.db.collection('migrations');
+  if (await migrations.findOne({ _id: MIGRATION_ID })) {
+    console.log('Amounts are already stored in minor units');
+    return;
+  }
+
+  for (const { collection, set } of TARGETS) {
+    // Raw driver calls: schema setters would convert the values a second time
+    const result = await collection.collection.updateMany({ [MARKER]: { $exists: false } }, [
+      { $set: { ...set, [MARKER]: true } },
+    ]);
+    console.log(`${collection.modelName}: ${result.modifiedCount} documents converted`);
+  }
+
+  // Cached forecasts are recalculated on the next request
+  const { deletedCount } = await ForecastCollection.deleteMany({});
+  console.log(`Forecast: ${deletedCount} cached forecasts dropped`);
+
+  await migrations.insertOne({ _id: MIGRATION_ID, completedAt: new Date() });
+  for (const { collection } of TARGETS) {
+    await collection.collection.updateMany({}, { $unset: { [MARKER]: '' } });
+  }
+
+  console.log('Amounts migrated to minor units');
+};
+
+migrateMoney()
+  .catch((error) => {
+    console.error('Money migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { initMongoDB } from '../db/initMongoDB.js';
+import UserCollection from '../db/models/User.js';
+import { getReconciliation, reconcileBalances } from '../services/reconciliation.js';
+
+// Admin command after data fixes: makes every user's stored balances agree with their transactions.
+//   --dry-run          only report the users whose balances differ
+//   --strategy=record  keep the stored balances and record the differences as adjustments instead
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const strategy = args.find((arg) => arg.startsWith('--strategy='))?.split('=')[1] || 'recompute';
+
+const recomputeBalances = async () => {
+  if (!['recompute', 'record'].includes(strategy)) {
+    throw new Error(`Unknown strategy "${strategy}"`);
+  }
+
+  await initMongoDB();
+
+  let checked = 0;
+  let reconciled = 0;
+  for await (const user of UserCollection.find({}, { _id: 1 }).cursor()) {
+    checked++;
+    const report = await getReconciliation(user._id);
+    if (report.isBalanced) continue;
+
+    console.log(`User ${user._id}: total differs by ${report.total.difference} ${report.currency}`);
+    if (!dryRun) {
+      await reconcileBalances(user._id, { strategy });
+    }
+    reconciled++;
+  }
+
+  console.log(`${reconciled} of ${checked} users ${dryRun ? 'need reconciliation' : `reconciled (${strategy})`}`);
+};
+
+recomputeBalances()
+  .catch((error) => {
+    console.error('Balance recomputation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
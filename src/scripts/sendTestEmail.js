@@ -0,0 +1,28 @@
+import { getMailer, getSender } from '../utils/email/index.js';
+import { renderEmail } from '../utils/email/templates.js';
+
+// Sends a sample notification email through the configured SMTP transport, e.g. to check the settings
+// against a local fake SMTP server: node src/scripts/sendTestEmail.js someone@example.com en
+const sendTestEmail = async () => {
+  const [to, language = 'uk'] = process.argv.slice(2);
+  if (!to) {
+    throw new Error('Usage: node src/scripts/sendTestEmail.js <address> [uk|en]');
+  }
+
+  const { subject, html, text } = renderEmail('notification', language, {
+    name: '',
+    notification: {
+      severity: 'warning',
+      title: 'Test notification',
+      message: 'Email delivery is configured correctly.',
+    },
+  });
+
+  const info = await getMailer().sendMail({ from: getSender(), to, subject, html, text });
+  console.log(`Test email sent to ${to}: ${info.messageId}`);
+};
+
+sendTestEmail().catch((error) => {
+  console.error('Test email failed:', error);
+  process.exitCode = 1;
+});
@@ -2,6 +2,8 @@ import { ForecastCollection } from '../db/models/Forecast.js';
 import { GoalCollection } from '../db/models/Goal.js';
 import { TransactionCollection } from '../db/models/Transaction.js';
 import * as tf from '@tensorflow/tfjs';
+import { getCategoryLines } from '../utils/splits.js';
+import { CASHFLOW_TYPES } from '../constants/transactions.js';
 import { addMonths, subMonths, format, differenceInMonths, parseISO, isValid } from 'date-fns';
 
 export default class AdvancedAIForecastService {
@@ -20,6 +22,7 @@ export default class AdvancedAIForecastService {
 
     const transactions = await TransactionCollection.find({
       userId,
+      type: { $in: CASHFLOW_TYPES },
       date: { $gte: startDate },
     }).sort({ date: 1 });
 
@@ -44,15 +47,17 @@ export default class AdvancedAIForecastService {
       }
       monthlyData[monthStr].transactionCount++;
 
-      monthlyData[monthStr].categories.add(transaction.category);
+      getCategoryLines(transaction).forEach(({ category, amount, type }) => {
+        monthlyData[monthStr].categories.add(category);
 
-      if (!monthlyData[monthStr].categoryBreakdown[transaction.category]) {
-        monthlyData[monthStr].categoryBreakdown[transaction.category] = {
-          amount: 0,
-          type: transaction.type,
-        };
-      }
-      monthlyData[monthStr].categoryBreakdown[transaction.category].amount += transaction.amount;
+        if (!monthlyData[monthStr].categoryBreakdown[category]) {
+          monthlyData[monthStr].categoryBreakdown[category] = {
+            amount: 0,
+            type,
+          };
+        }
+        monthlyData[monthStr].categoryBreakdown[category].amount += amount;
+      });
     });
 
     const dates = Object.keys(monthlyData).sort();
@@ -847,6 +852,7 @@ export default class AdvancedAIForecastService {
 
       const transactions = await TransactionCollection.find({
         userId,
+        type: { $in: CASHFLOW_TYPES },
         date: { $gte: addMonths(new Date(), -6) },
       });
 
@@ -1197,20 +1203,21 @@ export default class AdvancedAIForecastService {
       try {
         const recentTransactions = await TransactionCollection.find({
           userId: this.currentUserId,
+          type: { $in: CASHFLOW_TYPES },
           date: { $gte: subMonths(new Date(), 3) },
         }).sort({ date: -1 });
 
         const categoryTotals = {};
-        recentTransactions.forEach((transaction) => {
-          if (!categoryTotals[transaction.category]) {
-            categoryTotals[transaction.category] = {
+        recentTransactions.flatMap(getCategoryLines).forEach(({ category, amount, type }) => {
+          if (!categoryTotals[category]) {
+            categoryTotals[category] = {
               total: 0,
               count: 0,
-              type: transaction.type,
+              type,
             };
           }
-          categoryTotals[transaction.category].total += transaction.amount;
-          categoryTotals[transaction.category].count += 1;
+          categoryTotals[category].total += amount;
+          categoryTotals[category].count += 1;
         });
 
         for (const [category, data] of Object.entries(categoryTotals)) {
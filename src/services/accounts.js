@@ -0,0 +1,339 @@
+import createHttpError from 'http-errors';
+import { AccountCollection } from '../db/models/Account.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import UserCollection from '../db/models/User.js';
+import { DEFAULT_ACCOUNT_NAME } from '../constants/accounts.js';
+import { CURRENCY_NUMERIC_CODES } from '../constants/currencies.js';
+import { convertAmount, getCurrencyConverter } from './exchangeRates.js';
+import { addMoney, fromMinorUnits, sumMoney } from '../utils/money.js';
+import { getMinimumBalanceSince, recordAccountSnapshots, recordBalanceChanges } from './balanceHistory.js';
+import { startOfUtcDay } from '../utils/dates.js';
+import { BalanceSnapshotCollection } from '../db/models/BalanceSnapshot.js';
+
+// Users created before accounts existed get a default account holding their whole balance,
+// and their transactions are attached to it
+export const ensureDefaultAccount = async (userId) => {
+  const existing = await AccountCollection.findOne({ userId, isDefault: true });
+  if (existing) return existing;
+
+  const user = await UserCollection.findById(userId);
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+
+  let account;
+  try {
+    account = await AccountCollection.create({
+      userId,
+      name: DEFAULT_ACCOUNT_NAME,
+      type: 'cash',
+      currency: user.currency,
+      balance: user.balance,
+      isDefault: true,
+    });
+  } catch (error) {
+    // The index allows one default account per user; if another request got there first, that one is used
+    if (error.code !== 11000) throw error;
+    return AccountCollection.findOne({ userId, isDefault: true });
+  }
+
+  await TransactionCollection.updateMany(
+    { userId, accountId: { $exists: false } },
+    { $set: { accountId: account._id } },
+  );
+
+  return account;
+};
+
+export const getAccounts = async (userId, { includeArchived = false } = {}) => {
+  await ensureDefaultAccount(userId);
+
+  const filter = { userId };
+  if (!includeArchived) filter.isArchived = false;
+
+  return AccountCollection.find(filter).sort({ isDefault: -1, createdAt: 1 });
+};
+
+export const getAccountById = async (userId, accountId) => {
+  const account = await AccountCollection.findOne({ _id: accountId, userId });
+  if (!account) {
+    throw new createHttpError(404, 'Account not found');
+  }
+  return account;
+};
+
+// Balance effect of a transaction per account; a transfer moves money between two accounts and keeps the total.
+// amount is in the account's currency and baseAmount in the user's base currency, which the total is kept in.
+// A direction of -1 gives the changes that roll the transaction back.
+export const getAccountChanges = ({ type, amount, originalAmount, accountId, toAccountId, date }, direction = 1) => {
+  const value = Number(originalAmount ?? amount) * direction;
+  const baseValue = Number(amount) * direction;
+  if (type === 'transfer') {
+    return [
+      { accountId, amount: -value, baseAmount: -baseValue, date },
+      { accountId: toAccountId, amount: value, baseAmount: baseValue, date },
+    ];
+  }
+  // Adjustments carry their own sign
+  const sign = type === 'expense' ? -1 : 1;
+  return [{ accountId, amount: sign * value, baseAmount: sign * baseValue, date }];
+};
+
+// Change of the user's total, in the base currency
+export const getTotalChange = (changes) => sumMoney(changes.map((change) => change.baseAmount ?? change.amount));
+
+const sumByAccount = (changes) => {
+  const byAccount = new Map();
+  changes.forEach(({ accountId, amount }) => {
+    const key = String(accountId);
+    byAccount.set(key, addMoney(byAccount.get(key) || 0, amount));
+  });
+  return byAccount;
+};
+
+// Accounts without a policy of their own: credit accounts are expected to go below zero, the others are not
+export const getOverdraftPolicy = (account) =>
+  account.overdraftPolicy || (account.type === 'credit' ? 'allow' : 'block');
+
+// An account's outgoing changes are checked at the earliest of their dates; undated changes happen now
+const getCheckDate = (changes, accountId) => {
+  const dates = changes
+    .filter((change) => String(change.accountId) === accountId && change.amount < 0)
+    .map((change) => (change.date ? new Date(change.date) : new Date()));
+  return new Date(Math.min(...dates));
+};
+
+// A backdated transaction is checked against the lowest balance from its day through today rather than
+// today's, so it cannot push any day in between below zero
+const getAvailableBalance = (account, date) =>
+  date < startOfUtcDay(new Date()) ? getMinimumBalanceSince(account, date) : account.balance;
+
+// Applies each account's overdraft policy to the changes. A blocked overdraft throws; overdrafts the
+// policy lets through with a warning are returned so that the caller can pass them on.
+export const checkSufficientFunds = async (userId, changes) => {
+  const warnings = [];
+
+  for (const [accountId, amount] of sumByAccount(changes)) {
+    if (amount >= 0) continue;
+
+    const account = await getAccountById(userId, accountId);
+    const date = getCheckDate(changes, accountId);
+    const balance = await getAvailableBalance(account, date);
+    const remaining = addMoney(balance, amount);
+    if (remaining >= 0) continue;
+
+    const policy = getOverdraftPolicy(account);
+    if (policy === 'block') {
+      throw new createHttpError(400, 'Not enough balance');
+    }
+    if (policy === 'allow') {
+      if (account.creditLimit != null && -remaining > account.creditLimit) {
+        throw new createHttpError(400, `Credit limit of ${account.creditLimit} ${account.currency} exceeded`);
+      }
+      continue;
+    }
+
+    warnings.push({
+      accountId: account._id,
+      accountName: account.name,
+      currency: account.currency,
+      balance,
+      balanceAfter: remaining,
+      date,
+      message: `${account.name} goes below zero: ${remaining} ${account.currency}`,
+    });
+  }
+
+  return warnings;
+};
+
+// Transactions without an explicit account go to the default one
+export const resolveAccount = async (userId, accountId) => {
+  if (!accountId) return ensureDefaultAccount(userId);
+
+  const account = await getAccountById(userId, accountId);
+  if (account.isArchived) {
+    throw new createHttpError(400, 'Account is archived');
+  }
+  return account;
+};
+
+// Account balances and the user's total move together; changes is a list of { accountId, amount, baseAmount }
+export const applyAccountBalanceChanges = async (userId, changes, session = null) => {
+  const byAccount = sumByAccount(changes);
+
+  const operations = [...byAccount.entries()]
+    .filter(([, amount]) => amount !== 0)
+    .map(([accountId, amount]) => ({
+      updateOne: { filter: { _id: accountId, userId }, update: { $inc: { balance: amount } } },
+    }));
+
+  if (operations.length > 0) {
+    await AccountCollection.bulkWrite(operations, session ? { session } : undefined);
+  }
+  // Recorded even when the legs cancel out: moving a transaction to another day leaves the balance as it is
+  // but changes the days in between
+  if (changes.some((change) => change.amount !== 0)) {
+    await recordBalanceChanges(userId, changes, session);
+  }
+
+  return UserCollection.findByIdAndUpdate(
+    userId,
+    { $inc: { balance: getTotalChange(changes) }, lastBalanceUpdate: new Date() },
+    { new: true, ...(session && { session }) },
+  );
+};
+
+// Converts an amount held on an account into the user's base currency at today's rate
+export const toBaseAmount = async (userId, account, amount) => {
+  const user = await UserCollection.findById(userId, { currency: 1 });
+  return convertAmount(userId, amount, account.currency, user.currency);
+};
+
+export const createAccount = async (userId, data) => {
+  await ensureDefaultAccount(userId);
+
+  const account = new AccountCollection({ ...data, userId, isDefault: false });
+  // Converted up front so that a missing exchange rate does not leave an account the total ignores
+  const convert = await getCurrencyConverter(userId);
+  const opening = account.balance ? await convert({ amount: account.balance }, account.currency) : null;
+
+  await account.save();
+  await recordAccountSnapshots([account]);
+  if (opening) {
+    // The opening balance is written to the ledger as well, so that reconciliation accounts for it
+    await TransactionCollection.create({
+      userId,
+      accountId: account._id,
+      type: 'adjustment',
+      description: 'Opening balance',
+      source: 'manual',
+      ...opening,
+    });
+    await UserCollection.findByIdAndUpdate(userId, {
+      $inc: { balance: opening.amount },
+      lastBalanceUpdate: new Date(),
+    });
+  }
+  return account;
+};
+
+export const updateAccount = async (userId, accountId, updateData) => {
+  const account = await getAccountById(userId, accountId);
+
+  if (updateData.isArchived && account.isDefault) {
+    throw new createHttpError(400, 'The default account cannot be archived');
+  }
+  let totalDifference = 0;
+  if (updateData.currency && updateData.currency !== account.currency) {
+    const hasTransactions = await TransactionCollection.exists({ userId, accountId });
+    if (hasTransactions) {
+      throw new createHttpError(409, 'Currency cannot be changed for an account with transactions');
+    }
+    // The same balance is now worth a different amount in the base currency
+    if (account.balance) {
+      totalDifference =
+        (await toBaseAmount(userId, { currency: updateData.currency }, account.balance)) -
+        (await toBaseAmount(userId, account, account.balance));
+    }
+  }
+
+  Object.assign(account, updateData);
+  await account.save();
+  if (updateData.currency) {
+    // Earlier snapshots are in the previous currency
+    await BalanceSnapshotCollection.deleteMany({ accountId: account._id });
+    await recordAccountSnapshots([account]);
+  }
+  if (totalDifference) {
+    await UserCollection.findByIdAndUpdate(userId, {
+      $inc: { balance: totalDifference },
+      lastBalanceUpdate: new Date(),
+    });
+  }
+  return account;
+};
+
+export const deleteAccount = async (userId, accountId) => {
+  const account = await getAccountById(userId, accountId);
+
+  if (account.isDefault) {
+    throw new createHttpError(400, 'The default account cannot be deleted');
+  }
+  // Balance adjustments alone do not keep an account alive; they go with it
+  const hasTransactions = await TransactionCollection.exists({
+    userId,
+    $or: [{ accountId }, { toAccountId: accountId }],
+    type: { $ne: 'adjustment' },
+  });
+  if (hasTransactions) {
+    throw new createHttpError(409, 'Account has transactions; archive it instead');
+  }
+
+  const remainingBalance = account.balance ? await toBaseAmount(userId, account, account.balance) : 0;
+
+  await AccountCollection.deleteOne({ _id: account._id });
+  await TransactionCollection.deleteMany({ userId, accountId: account._id, type: 'adjustment' });
+  await BalanceSnapshotCollection.deleteMany({ accountId: account._id });
+  if (remainingBalance) {
+    await UserCollection.findByIdAndUpdate(userId, {
+      $inc: { balance: -remainingBalance },
+      lastBalanceUpdate: new Date(),
+    });
+  }
+  return account;
+};
+
+// Each Monobank card or jar becomes its own account, created on first sync. The statement only reaches back
+// so far, so the account opens with the balance the bank reports now less the operations the sync adds to it.
+export const linkMonobankAccount = async (userId, monoAccount, statement = []) => {
+  const filter = { userId, monobankAccountId: monoAccount.id };
+  const linked = await AccountCollection.findOne(filter);
+  if (linked) return linked;
+
+  const currency = CURRENCY_NUMERIC_CODES[monoAccount.currencyCode] || 'UAH';
+  const synced = fromMinorUnits(
+    statement.reduce((sum, item) => sum + item.amount, 0),
+    currency,
+  );
+
+  try {
+    return await createAccount(userId, {
+      name: monoAccount.name ? `Monobank ${monoAccount.name}` : 'Monobank',
+      type: 'monobank',
+      currency,
+      monobankAccountId: monoAccount.id,
+      balance: addMoney(monoAccount.balance || 0, -synced, currency),
+    });
+  } catch (error) {
+    // Two syncs running side by side can both find the account missing; the unique index keeps the second out
+    if (error.code !== 11000) throw error;
+    return AccountCollection.findOne(filter);
+  }
+};
+
+export const getBalanceSummary = async (userId) => {
+  const [user, accounts] = await Promise.all([UserCollection.findById(userId), getAccounts(userId)]);
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+
+  const totalsByCurrency = accounts.reduce((acc, account) => {
+    acc[account.currency] = addMoney(acc[account.currency] || 0, account.balance, account.currency);
+    return acc;
+  }, {});
+
+  return {
+    total: user.balance,
+    currency: user.currency,
+    totalsByCurrency,
+    accounts: accounts.map(({ _id, name, type, currency, balance, isDefault }) => ({
+      _id,
+      name,
+      type,
+      currency,
+      balance,
+      isDefault,
+    })),
+  };
+};
@@ -0,0 +1,185 @@
+import createHttpError from 'http-errors';
+import { AlertRuleCollection } from '../db/models/AlertRule.js';
+import { BudgetCollection } from '../db/models/Budget.js';
+import UserCollection from '../db/models/User.js';
+import { assertCategory } from './categories.js';
+import { getSpendingByCategory } from './budgets.js';
+import { createNotifications } from './notifications.js';
+import { getCategoryLines } from '../utils/splits.js';
+import { sumMoney } from '../utils/money.js';
+import { addUtcDays, addUtcMonths, parseMonth, startOfUtcDay, toMonthString } from '../utils/dates.js';
+
+const assertRuleFields = (type, { threshold, amount }) => {
+  if (type === 'budgetThreshold' && amount !== undefined) {
+    throw new createHttpError(400, 'A budget threshold alert has a threshold, not an amount');
+  }
+  if (type !== 'budgetThreshold' && threshold !== undefined) {
+    throw new createHttpError(400, 'Only budget threshold alerts have a threshold');
+  }
+};
+
+export const getAlertRules = (userId) => AlertRuleCollection.find({ userId }).sort({ createdAt: 1 });
+
+export const createAlertRule = async (userId, data) => {
+  if (data.category) {
+    await assertCategory(userId, data.category, 'expense');
+  }
+  return AlertRuleCollection.create({ ...data, userId });
+};
+
+export const updateAlertRule = async (userId, ruleId, updateData) => {
+  const rule = await AlertRuleCollection.findOne({ _id: ruleId, userId });
+  if (!rule) {
+    throw new createHttpError(404, 'Alert rule not found');
+  }
+  assertRuleFields(rule.type, updateData);
+  if (updateData.category) {
+    await assertCategory(userId, updateData.category, 'expense');
+  }
+
+  Object.assign(rule, updateData);
+  await rule.save();
+  return rule;
+};
+
+export const deleteAlertRule = async (userId, ruleId) => {
+  const rule = await AlertRuleCollection.findOneAndDelete({ _id: ruleId, userId });
+  if (!rule) {
+    throw new createHttpError(404, 'Alert rule not found');
+  }
+  return rule;
+};
+
+const matchesCategory = (rule, transaction) =>
+  !rule.category || getCategoryLines(transaction).some((line) => line.category === rule.category);
+
+// Spending totals are shared by every rule of one evaluation
+const createSpendingCache = (userId) => {
+  const cache = new Map();
+  return (from, to) => {
+    const key = `${from.toISOString()}|${to.toISOString()}`;
+    if (!cache.has(key)) cache.set(key, getSpendingByCategory(userId, from, to));
+    return cache.get(key);
+  };
+};
+
+const uniqueBy = (values, toKey) => [...new Map(values.map((value) => [toKey(value), value])).values()];
+
+const evaluateLargeTransaction = async (rule, expenses, { currency }) =>
+  expenses
+    .filter((transaction) => transaction.amount > rule.amount && matchesCategory(rule, transaction))
+    .map((transaction) => ({
+      type: rule.type,
+      ruleId: rule._id,
+      transactionId: transaction._id,
+      severity: 'warning',
+      title: 'Large transaction',
+      message: `${transaction.description || transaction.category}: ${transaction.amount} ${currency} is above ${rule.amount} ${currency}`,
+      data: { amount: transaction.amount, category: transaction.category, limit: rule.amount },
+      link: { screen: 'transaction', params: { transactionId: transaction._id } },
+      dedupeKey: `${rule._id}:${transaction._id}`,
+    }));
+
+const evaluateDailySpend = async (rule, expenses, { currency, getSpending }) => {
+  const notifications = [];
+  const days = uniqueBy(
+    expenses
+      .filter((transaction) => matchesCategory(rule, transaction))
+      .map((transaction) => startOfUtcDay(transaction.date)),
+    (day) => day.getTime(),
+  );
+
+  for (const day of days) {
+    const spending = await getSpending(day, addUtcDays(day, 1));
+    const spent = rule.category ? spending.get(rule.category) || 0 : sumMoney([...spending.values()]);
+    if (spent <= rule.amount) continue;
+
+    const date = day.toISOString().slice(0, 10);
+    notifications.push({
+      type: rule.type,
+      ruleId: rule._id,
+      severity: 'warning',
+      title: 'Daily spending limit exceeded',
+      message: `${rule.category ? `${rule.category}: ` : ''}${spent} ${currency} spent on ${date}, above ${rule.amount} ${currency}`,
+      data: { date, spent, limit: rule.amount, category: rule.category },
+      link: {
+        screen: 'transactions',
+        params: { from: date, to: date, ...(rule.category && { category: rule.category }) },
+      },
+      dedupeKey: `${rule._id}:${date}`,
+    });
+  }
+  return notifications;
+};
+
+// Compares the month's spending with the budget of each category the new expenses touched
+const evaluateBudgetThreshold = async (rule, expenses, { userId, currency, getSpending }) => {
+  const notifications = [];
+  const months = [...new Set(expenses.map((transaction) => toMonthString(transaction.date)))];
+
+  for (const month of months) {
+    const budget = await BudgetCollection.findOne({ userId, month });
+    if (!budget) continue;
+
+    const touched = new Set(
+      expenses
+        .filter((transaction) => toMonthString(transaction.date) === month)
+        .flatMap((transaction) => getCategoryLines(transaction).map((line) => line.category)),
+    );
+    const start = parseMonth(month);
+    const spending = await getSpending(start, addUtcMonths(start, 1));
+
+    budget.limits
+      .filter(
+        ({ category, amount }) => amount > 0 && touched.has(category) && (!rule.category || rule.category === category),
+      )
+      .forEach(({ category, amount }) => {
+        const spent = spending.get(category) || 0;
+        const percentUsed = Math.round((spent / amount) * 1000) / 10;
+        if (percentUsed < rule.threshold) return;
+
+        notifications.push({
+          type: rule.type,
+          ruleId: rule._id,
+          severity: percentUsed >= 100 ? 'critical' : 'warning',
+          title: percentUsed >= 100 ? 'Budget exceeded' : 'Budget almost used',
+          message: `${category}: ${percentUsed}% of the ${month} budget used (${spent} of ${amount} ${currency})`,
+          data: { month, category, spent, planned: amount, percentUsed, threshold: rule.threshold },
+          link: { screen: 'budget', params: { month, category } },
+          dedupeKey: `${rule._id}:${month}:${category}`,
+        });
+      });
+  }
+  return notifications;
+};
+
+const EVALUATORS = {
+  budgetThreshold: evaluateBudgetThreshold,
+  largeTransaction: evaluateLargeTransaction,
+  dailySpend: evaluateDailySpend,
+};
+
+// Runs the user's alert rules against newly recorded transactions. Alerts are not critical: a failure is
+// logged and the transactions are kept.
+export const evaluateAlerts = async (userId, transactions) => {
+  try {
+    const expenses = transactions.filter((transaction) => transaction.type === 'expense');
+    if (expenses.length === 0) return [];
+
+    const rules = await AlertRuleCollection.find({ userId, isActive: true });
+    if (rules.length === 0) return [];
+
+    const user = await UserCollection.findById(userId, { currency: 1 });
+    const context = { userId, currency: user?.currency, getSpending: createSpendingCache(userId) };
+
+    const notifications = [];
+    for (const rule of rules) {
+      notifications.push(...(await EVALUATORS[rule.type](rule, expenses, context)));
+    }
+
+    return await createNotifications(userId, notifications);
+  } catch (error) {
+    console.error('Error evaluating alerts (non-critical):', error.message);
+    return [];
+  }
+};
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+import { AttachmentCollection } from '../db/models/Attachment.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { ATTACHMENT_MIME_TYPES } from '../constants/attachments.js';
+import { getStorage } from '../utils/storage/index.js';
+import { env } from '../utils/env.js';
+
+const DOWNLOAD_URL_TTL = Number(env('ATTACHMENT_URL_TTL_MINUTES', '15')) * 60 * 1000;
+const QUOTA_BYTES = Number(env('ATTACHMENT_QUOTA_MB', '100')) * 1024 * 1024;
+
+let urlSecret = process.env.ATTACHMENT_URL_SECRET;
+if (!urlSecret) {
+  // Links signed with a per-process secret stop working after a restart, which is fine for development only
+  console.warn('ATTACHMENT_URL_SECRET is not set, using a random secret for attachment download links');
+  urlSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// The declared MIME type comes from the client, so it is checked against the file's leading bytes
+const detectMimeType = (buffer) => {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 8) === 'ftyp' && ['heic', 'heix', 'mif1', 'msf1'].includes(ascii(8, 12))) return 'image/heic';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+};
+
+const signDownload = (attachmentId, expires) =>
+  crypto.createHmac('sha256', urlSecret).update(`${attachmentId}:${expires}`).digest('base64url');
+
+export const createDownloadUrl = (attachment) => {
+  const expires = Date.now() + DOWNLOAD_URL_TTL;
+  const signature = signDownload(attachment._id, expires);
+  return {
+    url: `/attachments/${attachment._id}/download?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires),
+  };
+};
+
+const withDownloadUrl = (attachment) => ({ ...attachment.toObject(), download: createDownloadUrl(attachment) });
+
+const getUsedBytes = async (userId) => {
+  const [usage] = await AttachmentCollection.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, total: { $sum: '$size' } } },
+  ]);
+  return usage?.total || 0;
+};
+
+export const getAttachmentUsage = async (userId) => ({ used: await getUsedBytes(userId), quota: QUOTA_BYTES });
+
+export const addAttachment = async (userId, transactionId, file) => {
+  if (!file) {
+    throw new createHttpError(400, 'Attachment file is required');
+  }
+
+  const transaction = await TransactionCollection.exists({ _id: transactionId, userId });
+  if (!transaction) {
+    throw new createHttpError(404, 'Transaction not found');
+  }
+
+  if (detectMimeType(file.buffer) !== file.mimetype) {
+    throw new createHttpError(415, 'File content does not match its declared type');
+  }
+
+  if ((await getUsedBytes(userId)) + file.size > QUOTA_BYTES) {
+    throw new createHttpError(413, 'Attachment storage quota exceeded');
+  }
+
+  const storage = getStorage();
+  const storageKey = `${userId}/${transactionId}/${crypto.randomUUID()}${ATTACHMENT_MIME_TYPES[file.mimetype]}`;
+  await storage.save(storageKey, file.buffer, file.mimetype);
+
+  try {
+    const attachment = await AttachmentCollection.create({
+      userId,
+      transactionId,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      storage: storage.name,
+      storageKey,
+    });
+    return withDownloadUrl(attachment);
+  } catch (error) {
+    await storage.remove(storageKey);
+    throw error;
+  }
+};
+
+export const getAttachments = async (userId, transactionId) => {
+  const attachments = await AttachmentCollection.find({ userId, transactionId }).sort({ createdAt: 1 });
+  return attachments.map(withDownloadUrl);
+};
+
+export const getAttachmentUrl = async (userId, attachmentId) => {
+  const attachment = await AttachmentCollection.findOne({ _id: attachmentId, userId });
+  if (!attachment) {
+    throw new createHttpError(404, 'Attachment not found');
+  }
+  return createDownloadUrl(attachment);
+};
+
+export const openSignedDownload = async (attachmentId, { expires, signature }) => {
+  const expected = Buffer.from(signDownload(attachmentId, expires));
+  const provided = Buffer.from(String(signature || ''));
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new createHttpError(403, 'Invalid download link');
+  }
+  if (Number(expires) < Date.now()) {
+    throw new createHttpError(403, 'Download link has expired');
+  }
+
+  const attachment = await AttachmentCollection.findById(attachmentId);
+  if (!attachment) {
+    throw new createHttpError(404, 'Attachment not found');
+  }
+
+  const stream = await getStorage().read(attachment.storageKey);
+  return { attachment, stream };
+};
+
+export const deleteAttachment = async (userId, attachmentId) => {
+  const attachment = await AttachmentCollection.findOneAndDelete({ _id: attachmentId, userId });
+  if (!attachment) {
+    throw new createHttpError(404, 'Attachment not found');
+  }
+
+  await getStorage().remove(attachment.storageKey);
+  return attachment;
+};
+
+export const removeTransactionAttachments = async (userId, transactionId) => {
+  const attachments = await AttachmentCollection.find({ userId, transactionId });
+  if (attachments.length === 0) return 0;
+
+  const storage = getStorage();
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Failed to remove attachment file ${attachment.storageKey}:`, error.message);
+    }
+  }
+
+  await AttachmentCollection.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+  return attachments.length;
+};
@@ -1,31 +1,34 @@
 import createHttpError from 'http-errors';
 import UserCollection from '../db/models/User.js';
+import { getBalanceSummary, resolveAccount } from './accounts.js';
+import { recordAdjustment } from './transactions.js';
+import { fromMinorUnits, toMinorUnits } from '../utils/money.js';
 
 import mongoose from 'mongoose';
 
-export const updateBalance = async (userId, balance) => {
-  const user = await UserCollection.findOneAndUpdate(
-    { _id: new mongoose.Types.ObjectId(userId) },
-    {
-      $set: {
-        balance: balance,
-        lastBalanceUpdate: new Date(),
-      },
-    },
-    { new: true },
-  );
+// Setting a balance by hand records the difference on the chosen account (the default one if none is given)
+// as an adjustment transaction, so the ledger keeps explaining the balance
+export const updateBalance = async (userId, balance, accountId = null, description = 'Balance correction') => {
+  const account = await resolveAccount(userId, accountId);
+  const correction = fromMinorUnits(toMinorUnits(balance) - toMinorUnits(account.balance));
 
+  let adjustment = null;
+  if (correction !== 0) {
+    ({ transaction: adjustment } = await recordAdjustment(userId, {
+      accountId: account._id,
+      amount: correction,
+      description,
+    }));
+  }
+
+  const user = await UserCollection.findById(userId);
   if (!user) {
     throw new createHttpError(404, 'User not found');
   }
 
-  return user;
+  return { user, adjustment };
 };
 
 export const getBalance = async (userId) => {
-  const user = await UserCollection.findById(new mongoose.Types.ObjectId(userId));
-  if (!user) {
-    throw new createHttpError(404, 'User not found');
-  }
-  return user.balance;
+  return getBalanceSummary(new mongoose.Types.ObjectId(userId));
 };
@@ -0,0 +1,251 @@
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+import { BalanceSnapshotCollection } from '../db/models/BalanceSnapshot.js';
+import { AccountCollection } from '../db/models/Account.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import UserCollection from '../db/models/User.js';
+import { getAccountChanges } from './accounts.js';
+import { getCurrencyConverter } from './exchangeRates.js';
+import { addMoney, sumMoney } from '../utils/money.js';
+import { addUtcDays, addUtcMonths, startOfUtcDay, startOfUtcMonth, startOfUtcWeek } from '../utils/dates.js';
+
+const BATCH_SIZE = 500;
+const MAX_POINTS = 1000;
+
+const GRANULARITIES = {
+  day: { start: startOfUtcDay, next: (date) => addUtcDays(date, 1) },
+  week: { start: startOfUtcWeek, next: (date) => addUtcDays(date, 7) },
+  month: { start: startOfUtcMonth, next: (date) => addUtcMonths(date, 1) },
+};
+
+const withSession = (session) => (session ? { session } : undefined);
+
+// Today's snapshot of each account holds its current balance
+export const recordAccountSnapshots = async (accounts, session = null) => {
+  if (accounts.length === 0) return;
+
+  const today = startOfUtcDay(new Date());
+  await BalanceSnapshotCollection.bulkWrite(
+    accounts.map((account) => ({
+      updateOne: {
+        filter: { accountId: account._id, date: today },
+        update: { $set: { userId: account.userId, balance: account.balance } },
+        upsert: true,
+      },
+    })),
+    withSession(session),
+  );
+};
+
+// changes is a list of { accountId, amount, date } already applied to the accounts. A change dated in the
+// past also moves every end-of-day balance recorded since that day. When its own day has no snapshot yet,
+// that day was carrying the previous snapshot's balance, so it gets a snapshot of its own first; otherwise
+// the days up to the next snapshot would keep showing the balance without the change.
+export const recordBalanceChanges = async (userId, changes, session = null) => {
+  const today = startOfUtcDay(new Date());
+
+  const backdated = changes.filter((change) => change.amount !== 0 && change.date && change.date < today);
+  for (const { accountId, date } of backdated) {
+    const day = startOfUtcDay(date);
+    const previous = await BalanceSnapshotCollection.findOne(
+      { accountId, date: { $lt: day } },
+      null,
+      withSession(session),
+    ).sort({ date: -1 });
+    if (previous) {
+      await BalanceSnapshotCollection.updateOne(
+        { accountId, date: day },
+        { $setOnInsert: { userId, balance: previous.balance } },
+        { upsert: true, ...withSession(session) },
+      );
+    }
+  }
+  if (backdated.length > 0) {
+    await BalanceSnapshotCollection.bulkWrite(
+      backdated.map(({ accountId, amount, date }) => ({
+        updateMany: {
+          filter: { accountId, date: { $gte: startOfUtcDay(date), $lt: today } },
+          update: { $inc: { balance: amount } },
+        },
+      })),
+      withSession(session),
+    );
+  }
+
+  const accountIds = [...new Set(changes.map((change) => String(change.accountId)))];
+  const accounts = await AccountCollection.find({ _id: { $in: accountIds }, userId }, null, withSession(session));
+  await recordAccountSnapshots(accounts, session);
+};
+
+// End-of-day balance of an account on the given day, from the latest snapshot on or before it. Accounts
+// without snapshots going back that far fall back to their current balance.
+export const getBalanceAsOf = async (account, date) => {
+  const snapshot = await BalanceSnapshotCollection.findOne({
+    accountId: account._id,
+    date: { $lte: startOfUtcDay(date) },
+  }).sort({ date: -1 });
+  return snapshot ? snapshot.balance : account.balance;
+};
+
+// Lowest end-of-day balance of an account from the given day through today. A backdated change moves every
+// one of them, so it only fits if it fits the lowest.
+export const getMinimumBalanceSince = async (account, date) => {
+  const later = { accountId: account._id, date: { $gt: startOfUtcDay(date) } };
+  const [opening, lowest] = await Promise.all([
+    getBalanceAsOf(account, date),
+    BalanceSnapshotCollection.findOne(later).sort({ balance: 1 }),
+  ]);
+  return Math.min(opening, lowest ? lowest.balance : opening, account.balance);
+};
+
+export const snapshotAllAccounts = async () => {
+  let batch = [];
+  let count = 0;
+
+  for await (const account of AccountCollection.find({ isArchived: false }).cursor()) {
+    batch.push(account);
+    if (batch.length >= BATCH_SIZE) {
+      await recordAccountSnapshots(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  await recordAccountSnapshots(batch);
+  count += batch.length;
+
+  console.log(`Balance snapshots recorded for ${count} accounts`);
+};
+
+// Replays the ledger backwards from today's balances: the end-of-day balance of a day is the current
+// balance minus everything dated after it. The day before an account's first transaction gets its opening balance.
+export const rebuildBalanceSnapshots = async (userId) => {
+  const accounts = await AccountCollection.find({ userId });
+  const running = new Map(accounts.map((account) => [String(account._id), account.balance]));
+  const today = startOfUtcDay(new Date());
+
+  const snapshots = new Map();
+  const record = (accountId, date) => {
+    const key = `${accountId}|${date.toISOString()}`;
+    if (!snapshots.has(key)) {
+      snapshots.set(key, { userId, accountId, date, balance: running.get(accountId) });
+    }
+  };
+  const earliestDays = new Map();
+
+  accounts.forEach((account) => record(String(account._id), today));
+
+  const cursor = TransactionCollection.find(
+    { userId, accountId: { $exists: true } },
+    { type: 1, amount: 1, originalAmount: 1, accountId: 1, toAccountId: 1, date: 1 },
+  )
+    .sort({ date: -1 })
+    .cursor();
+
+  for await (const transaction of cursor) {
+    const day = startOfUtcDay(transaction.date);
+
+    getAccountChanges(transaction).forEach(({ accountId, amount }) => {
+      const key = String(accountId);
+      if (!running.has(key)) return;
+
+      if (day < today) record(key, day);
+      running.set(key, addMoney(running.get(key), -amount));
+      earliestDays.set(key, day);
+    });
+  }
+
+  earliestDays.forEach((day, accountId) => record(accountId, addUtcDays(day, -1)));
+
+  await BalanceSnapshotCollection.deleteMany({ userId });
+  const documents = [...snapshots.values()];
+  for (let index = 0; index < documents.length; index += BATCH_SIZE) {
+    await BalanceSnapshotCollection.insertMany(documents.slice(index, index + BATCH_SIZE));
+  }
+
+  return documents.length;
+};
+
+// Balance of an account at the end of each point, taken from the latest snapshot on or before it;
+// points before the account's first snapshot have no balance
+const buildAccountSeries = (pointEnds, snapshots, previous) => {
+  let index = 0;
+  let balance = previous ? previous.balance : null;
+
+  return pointEnds.map((end) => {
+    while (index < snapshots.length && snapshots[index].date <= end) {
+      balance = snapshots[index].balance;
+      index += 1;
+    }
+    return balance;
+  });
+};
+
+export const getBalanceHistory = async (userId, { from, to = new Date(), granularity = 'day', accountId } = {}) => {
+  const { start: startOf, next } = GRANULARITIES[granularity];
+  const end = startOfUtcDay(to);
+  const start = startOf(from ?? addUtcDays(end, -30));
+
+  const dates = [];
+  for (let date = start; date <= end; date = next(date)) {
+    dates.push(date);
+    if (dates.length > MAX_POINTS) {
+      throw new createHttpError(400, `Too many points; choose a shorter range or a coarser granularity`);
+    }
+  }
+  // Each point is the balance at the close of its period, or as of `to` for the period still running
+  const pointEnds = dates.map((date) => {
+    const lastDay = addUtcDays(next(date), -1);
+    return lastDay < end ? lastDay : end;
+  });
+
+  const user = await UserCollection.findById(userId, { currency: 1 });
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+
+  const accountFilter = { userId };
+  if (accountId) {
+    accountFilter._id = { $in: [].concat(accountId).map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+  const accounts = await AccountCollection.find(accountFilter).sort({ isDefault: -1, createdAt: 1 });
+  if (accountId && accounts.length === 0) {
+    throw new createHttpError(404, 'Account not found');
+  }
+
+  const convert = await getCurrencyConverter(userId);
+  const totals = pointEnds.map(() => []);
+
+  const series = [];
+  for (const account of accounts) {
+    const [previous, snapshots] = await Promise.all([
+      BalanceSnapshotCollection.findOne({ accountId: account._id, date: { $lt: start } }).sort({ date: -1 }),
+      BalanceSnapshotCollection.find({ accountId: account._id, date: { $gte: start, $lte: end } }).sort({ date: 1 }),
+    ]);
+    const balances = buildAccountSeries(pointEnds, snapshots, previous);
+
+    for (const [index, balance] of balances.entries()) {
+      if (balance === null) continue;
+      const { amount } = await convert({ amount: balance, date: pointEnds[index] }, account.currency);
+      totals[index].push(amount);
+    }
+
+    series.push({
+      accountId: account._id,
+      name: account.name,
+      currency: account.currency,
+      points: dates.map((date, index) => ({ date, balance: balances[index] })),
+    });
+  }
+
+  return {
+    granularity,
+    currency: user.currency,
+    from: start,
+    to: end,
+    points: dates.map((date, index) => ({
+      date,
+      balance: totals[index].length > 0 ? sumMoney(totals[index], user.currency) : null,
+    })),
+    accounts: series,
+  };
+};
@@ -0,0 +1,149 @@
+import createHttpError from 'http-errors';
+import { BudgetCollection } from '../db/models/Budget.js';
+import { ForecastCollection } from '../db/models/Forecast.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import UserCollection from '../db/models/User.js';
+import { assertCategory, getUserCategories } from './categories.js';
+import { getCategoryLines } from '../utils/splits.js';
+import { addMoney, fromMinorUnits, roundMoney, sumMoney, toMinorUnits } from '../utils/money.js';
+import { MONTH_PATTERN, addUtcMonths, parseMonth, toMonthString } from '../utils/dates.js';
+
+const assertMonth = (month) => {
+  if (!MONTH_PATTERN.test(month)) {
+    throw new createHttpError(400, 'Month must be in YYYY-MM format');
+  }
+};
+
+const assertLimitCategories = async (userId, limits) => {
+  for (const { category } of limits) {
+    await assertCategory(userId, category, 'expense');
+  }
+};
+
+export const getBudgets = (userId) => BudgetCollection.find({ userId }).sort({ month: -1 });
+
+export const getBudget = async (userId, month) => {
+  assertMonth(month);
+  const budget = await BudgetCollection.findOne({ userId, month });
+  if (!budget) {
+    throw new createHttpError(404, 'Budget not found');
+  }
+  return budget;
+};
+
+// Expense categories the forecast predicts for the month become the suggested limits. Predictions are
+// free-form decimals in the base currency; without a forecast for that month the nearest one is used.
+export const getBudgetSuggestions = async (userId, month = toMonthString(new Date())) => {
+  assertMonth(month);
+
+  const forecast = await ForecastCollection.findOne({ userId }).sort({ lastUpdated: -1 });
+  const monthForecasts = forecast?.budgetForecasts || [];
+  const monthForecast = monthForecasts.find((item) => item.monthStr === month) || monthForecasts[0];
+
+  const limits = Object.entries(monthForecast?.categoryPredictions || {})
+    .filter(([, prediction]) => prediction?.type === 'expense' && Number(prediction.amount) > 0)
+    .map(([category, prediction]) => ({ category, amount: roundMoney(prediction.amount) }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return {
+    month,
+    forecastMonth: monthForecast?.monthStr ?? null,
+    generatedAt: forecast?.lastUpdated ?? null,
+    limits,
+  };
+};
+
+const mergeLimits = (suggested, explicit) => {
+  const byCategory = new Map(suggested.map((limit) => [limit.category, limit]));
+  explicit.forEach((limit) => byCategory.set(limit.category, limit));
+  return [...byCategory.values()];
+};
+
+export const createBudget = async (userId, { month, limits = [], useSuggestions = false }) => {
+  assertMonth(month);
+  if (await BudgetCollection.exists({ userId, month })) {
+    throw new createHttpError(409, `A budget for ${month} already exists`);
+  }
+
+  await assertLimitCategories(userId, limits);
+
+  // Suggested categories the user no longer has are dropped rather than rejected
+  let suggested = [];
+  if (useSuggestions) {
+    const [suggestions, categories] = await Promise.all([
+      getBudgetSuggestions(userId, month),
+      getUserCategories(userId, { type: 'expense', includeArchived: false }),
+    ]);
+    const names = new Set(categories.map((category) => category.name));
+    suggested = suggestions.limits.filter((limit) => names.has(limit.category));
+  }
+
+  return BudgetCollection.create({ userId, month, limits: mergeLimits(suggested, limits) });
+};
+
+export const updateBudget = async (userId, month, { limits }) => {
+  const budget = await getBudget(userId, month);
+  await assertLimitCategories(userId, limits);
+
+  budget.limits = limits;
+  await budget.save();
+  return budget;
+};
+
+export const deleteBudget = async (userId, month) => {
+  const budget = await getBudget(userId, month);
+  await BudgetCollection.deleteOne({ _id: budget._id });
+  return budget;
+};
+
+// Expenses from `from` up to (not including) `to` per category, in the base currency; split transactions
+// count per line item
+export const getSpendingByCategory = async (userId, from, to) => {
+  const transactions = await TransactionCollection.find(
+    { userId, type: 'expense', date: { $gte: from, $lt: to } },
+    { type: 1, category: 1, amount: 1, splits: 1, exchangeRate: 1 },
+  );
+
+  const spending = new Map();
+  transactions.flatMap(getCategoryLines).forEach(({ category, amount }) => {
+    spending.set(category, addMoney(spending.get(category) || 0, amount));
+  });
+  return spending;
+};
+
+const percentOf = (spent, planned) => (planned > 0 ? Math.round((spent / planned) * 1000) / 10 : null);
+
+const summarize = (planned, spent) => ({
+  planned,
+  spent,
+  remaining: fromMinorUnits(toMinorUnits(planned) - toMinorUnits(spent)),
+  percentUsed: percentOf(spent, planned),
+});
+
+// Planned against actual spending for every budgeted category. Spending in categories without a limit
+// is listed separately, so the budget total only covers what was planned.
+export const getBudgetReport = async (userId, month) => {
+  const budget = await getBudget(userId, month);
+  const [user, spending] = await Promise.all([
+    UserCollection.findById(userId, { currency: 1 }),
+    getSpendingByCategory(userId, parseMonth(month), addUtcMonths(parseMonth(month), 1)),
+  ]);
+
+  const categories = budget.limits.map(({ category, amount }) => ({
+    category,
+    ...summarize(amount, spending.get(category) || 0),
+  }));
+  const budgeted = new Set(budget.limits.map(({ category }) => category));
+  const unbudgeted = [...spending]
+    .filter(([category]) => !budgeted.has(category))
+    .map(([category, spent]) => ({ category, spent }))
+    .sort((a, b) => b.spent - a.spent);
+
+  return {
+    month,
+    currency: user?.currency,
+    total: summarize(sumMoney(categories.map((row) => row.planned)), sumMoney(categories.map((row) => row.spent))),
+    categories,
+    unbudgeted,
+  };
+};
@@ -0,0 +1,252 @@
+import createHttpError from 'http-errors';
+import { CategoryCollection } from '../db/models/Category.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { RecurringTransactionCollection } from '../db/models/RecurringTransaction.js';
+import { CategoryRuleCollection } from '../db/models/CategoryRule.js';
+import { BudgetCollection } from '../db/models/Budget.js';
+import { EnvelopeCollection } from '../db/models/Envelope.js';
+import { AlertRuleCollection } from '../db/models/AlertRule.js';
+import { DEFAULT_CATEGORIES, FALLBACK_CATEGORY } from '../constants/categories.js';
+import { addMoney } from '../utils/money.js';
+
+export const ensureDefaultCategories = async (userId) => {
+  const count = await CategoryCollection.countDocuments({ userId });
+  if (count > 0) return;
+
+  try {
+    await CategoryCollection.insertMany(
+      DEFAULT_CATEGORIES.map((category) => ({ ...category, userId, isDefault: true })),
+      { ordered: false },
+    );
+  } catch (error) {
+    // Unordered, so the defaults another request inserted meanwhile are skipped and the rest still go in
+    if (error.code !== 11000) throw error;
+  }
+};
+
+export const getUserCategories = async (userId, { type, includeArchived = true } = {}) => {
+  await ensureDefaultCategories(userId);
+
+  const filter = { userId };
+  if (type) filter.type = type;
+  if (!includeArchived) filter.isArchived = false;
+
+  return CategoryCollection.find(filter).sort({ type: 1, name: 1 });
+};
+
+const buildTree = (categories) => {
+  const nodes = categories.map((category) => ({ ...category.toObject(), children: [] }));
+  const byId = new Map(nodes.map((node) => [String(node._id), node]));
+
+  return nodes.filter((node) => {
+    const parent = node.parentId && byId.get(String(node.parentId));
+    if (parent) {
+      parent.children.push(node);
+      return false;
+    }
+    return true;
+  });
+};
+
+export const getCategories = async (userId, { tree = false, ...options } = {}) => {
+  const categories = await getUserCategories(userId, options);
+  return tree ? buildTree(categories) : categories;
+};
+
+export const getCategoryById = async (userId, categoryId) => {
+  const category = await CategoryCollection.findOne({ _id: categoryId, userId });
+  if (!category) {
+    throw new createHttpError(404, 'Category not found');
+  }
+  return category;
+};
+
+export const assertCategory = async (userId, name, type) => {
+  const categories = await getUserCategories(userId, { type, includeArchived: false });
+  if (!categories.some((category) => category.name === name)) {
+    throw new createHttpError(
+      400,
+      `For "${type}" type, category must be one of: ${categories.map((category) => category.name).join(', ')}.`,
+    );
+  }
+};
+
+// Loads the user's categories once and returns a lookup usable for a whole batch (sync, import)
+export const getCategoryResolver = async (userId) => {
+  const categories = await getUserCategories(userId, { includeArchived: false });
+
+  const findByName = (name, type) => categories.find((category) => category.type === type && category.name === name);
+
+  const fallback = (type) =>
+    findByName(FALLBACK_CATEGORY, type)?.name ||
+    categories.find((category) => category.type === type)?.name ||
+    FALLBACK_CATEGORY;
+
+  return {
+    byName: (name, type) => findByName(name, type)?.name || null,
+    byMcc: (mcc, type) =>
+      categories.find((category) => category.type === type && category.mccCodes.includes(mcc))?.name || fallback(type),
+    fallback,
+  };
+};
+
+const validateParent = async (userId, parentId, type, categoryId = null) => {
+  if (!parentId) return;
+
+  if (categoryId && String(parentId) === String(categoryId)) {
+    throw new createHttpError(400, 'Category cannot be its own parent');
+  }
+
+  const parent = await getCategoryById(userId, parentId);
+  if (parent.type !== type) {
+    throw new createHttpError(400, 'Parent category must have the same type');
+  }
+  if (parent.parentId) {
+    throw new createHttpError(400, 'Subcategories cannot have their own subcategories');
+  }
+};
+
+const assertNameAvailable = async (userId, name, type, categoryId = null) => {
+  const existing = await CategoryCollection.findOne({ userId, type, name, _id: { $ne: categoryId } });
+  if (existing) {
+    throw new createHttpError(409, `Category "${name}" already exists`);
+  }
+};
+
+// A budget that already plans for the target category, as after a merge, keeps one limit with both amounts
+const migrateBudgetLimits = async (userId, fromName, toName) => {
+  const budgets = await BudgetCollection.find({ userId, 'limits.category': fromName });
+  await Promise.all(
+    budgets.map((budget) => {
+      const source = budget.limits.find((limit) => limit.category === fromName);
+      const target = budget.limits.find((limit) => limit.category === toName);
+      if (target) {
+        target.amount = addMoney(target.amount, source.amount);
+        budget.limits = budget.limits.filter((limit) => limit !== source);
+      } else {
+        source.category = toName;
+      }
+      return budget.save();
+    }),
+  );
+};
+
+// Envelopes are unique per month and category, so the money is added to the target's envelope of the same
+// month, which is created when there is none yet
+const migrateEnvelopes = async (userId, fromName, toName) => {
+  const envelopes = await EnvelopeCollection.find({ userId, category: fromName });
+  if (envelopes.length === 0) return;
+
+  await EnvelopeCollection.bulkWrite(
+    envelopes.map(({ month, assigned }) => ({
+      updateOne: {
+        filter: { userId, month, category: toName },
+        update: { $inc: { assigned } },
+        upsert: true,
+      },
+    })),
+  );
+  await EnvelopeCollection.deleteMany({ userId, category: fromName });
+};
+
+const migrateCategoryName = async (userId, type, fromName, toName) => {
+  const [transactions] = await Promise.all([
+    TransactionCollection.updateMany({ userId, type, category: fromName }, { $set: { category: toName } }),
+    TransactionCollection.updateMany(
+      { userId, type, 'splits.category': fromName },
+      { $set: { 'splits.$[split].category': toName } },
+      { arrayFilters: [{ 'split.category': fromName }] },
+    ),
+    RecurringTransactionCollection.updateMany({ userId, type, category: fromName }, { $set: { category: toName } }),
+    CategoryRuleCollection.updateMany(
+      { userId, 'conditions.type': type, 'actions.category': fromName },
+      { $set: { 'actions.category': toName } },
+    ),
+    // Budgets, envelopes and alert rules only ever refer to expense categories
+    type === 'expense' && migrateBudgetLimits(userId, fromName, toName),
+    type === 'expense' && migrateEnvelopes(userId, fromName, toName),
+    type === 'expense' &&
+      AlertRuleCollection.updateMany({ userId, category: fromName }, { $set: { category: toName } }),
+  ]);
+  return transactions.modifiedCount;
+};
+
+// The model trims names when saving; the name is compared and copied onto transactions before that,
+// so it has to be trimmed the same way first
+const withTrimmedName = (data) => (typeof data.name === 'string' ? { ...data, name: data.name.trim() } : data);
+
+export const createCategory = async (userId, categoryData) => {
+  const data = withTrimmedName(categoryData);
+  await ensureDefaultCategories(userId);
+  await assertNameAvailable(userId, data.name, data.type);
+  await validateParent(userId, data.parentId, data.type);
+
+  return CategoryCollection.create({ ...data, userId });
+};
+
+export const updateCategory = async (userId, categoryId, changes) => {
+  const updateData = withTrimmedName(changes);
+  const category = await getCategoryById(userId, categoryId);
+
+  if (updateData.parentId !== undefined) {
+    await validateParent(userId, updateData.parentId, category.type, categoryId);
+    if (updateData.parentId && (await CategoryCollection.exists({ userId, parentId: categoryId }))) {
+      throw new createHttpError(400, 'A category with subcategories cannot become a subcategory');
+    }
+  }
+
+  let migratedTransactions = 0;
+  if (updateData.name && updateData.name !== category.name) {
+    await assertNameAvailable(userId, updateData.name, category.type, categoryId);
+    migratedTransactions = await migrateCategoryName(userId, category.type, category.name, updateData.name);
+  }
+
+  Object.assign(category, updateData);
+  await category.save();
+
+  return { category, migratedTransactions };
+};
+
+export const mergeCategory = async (userId, sourceId, targetId) => {
+  if (String(sourceId) === String(targetId)) {
+    throw new createHttpError(400, 'Cannot merge a category into itself');
+  }
+
+  const source = await getCategoryById(userId, sourceId);
+  const target = await getCategoryById(userId, targetId);
+
+  if (source.type !== target.type) {
+    throw new createHttpError(400, 'Only categories of the same type can be merged');
+  }
+  if (target.parentId && String(target.parentId) === String(source._id)) {
+    throw new createHttpError(400, 'Cannot merge a category into its own subcategory');
+  }
+
+  const migratedTransactions = await migrateCategoryName(userId, source.type, source.name, target.name);
+
+  await CategoryCollection.updateMany(
+    { userId, parentId: source._id },
+    { $set: { parentId: target.parentId ? target.parentId : target._id } },
+  );
+  await CategoryCollection.deleteOne({ _id: source._id });
+
+  return { category: target, migratedTransactions };
+};
+
+export const deleteCategory = async (userId, categoryId) => {
+  const category = await getCategoryById(userId, categoryId);
+
+  const inUse = await TransactionCollection.exists({
+    userId,
+    type: category.type,
+    $or: [{ category: category.name }, { 'splits.category': category.name }],
+  });
+  if (inUse) {
+    throw new createHttpError(409, 'Category has transactions; archive it or merge it into another category');
+  }
+
+  await CategoryCollection.updateMany({ userId, parentId: category._id }, { $set: { parentId: null } });
+  await CategoryCollection.deleteOne({ _id: category._id });
+
+  return category;
+};
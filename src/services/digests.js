@@ -0,0 +1,207 @@
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+import { DigestCollection } from '../db/models/Digest.js';
+import { ForecastCollection } from '../db/models/Forecast.js';
+import { GoalCollection } from '../db/models/Goal.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import UserCollection from '../db/models/User.js';
+import { CASHFLOW_TYPES } from '../constants/transactions.js';
+import { DIGEST_BIGGEST_TRANSACTIONS, DIGEST_PERIODS, DIGEST_TOP_CATEGORIES } from '../constants/digests.js';
+import { getSpendingByCategory } from './budgets.js';
+import { createNotifications } from './notifications.js';
+import { enqueueEmail } from './email.js';
+import { fromMinorUnits, sumMoney } from '../utils/money.js';
+import { addUtcDays, addUtcMonths, startOfUtcMonth, startOfUtcWeek, toMonthString } from '../utils/dates.js';
+
+// A digest covers the last completed week (Monday to Sunday) or calendar month before the date
+const getPeriodRange = (period, date = new Date()) => {
+  if (period === 'weekly') {
+    const end = startOfUtcWeek(date);
+    return { start: addUtcDays(end, -7), end };
+  }
+  const end = startOfUtcMonth(date);
+  return { start: addUtcMonths(end, -1), end };
+};
+
+const getCashflow = async (userId, start, end) => {
+  const totals = await TransactionCollection.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        type: { $in: CASHFLOW_TYPES },
+        date: { $gte: start, $lt: end },
+      },
+    },
+    { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+  ]);
+
+  const byType = Object.fromEntries(
+    totals.map(({ _id, amount, count }) => [_id, { amount: fromMinorUnits(amount), count }]),
+  );
+  const income = byType.income?.amount || 0;
+  const expense = byType.expense?.amount || 0;
+  return {
+    income,
+    expense,
+    net: sumMoney([income, -expense]),
+    transactionCount: (byType.income?.count || 0) + (byType.expense?.count || 0),
+  };
+};
+
+const getTopCategories = async (userId, start, end, expense) => {
+  const spending = await getSpendingByCategory(userId, start, end);
+  return [...spending]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, DIGEST_TOP_CATEGORIES)
+    .map(([category, amount]) => ({
+      category,
+      amount,
+      share: expense > 0 ? Math.round((amount / expense) * 1000) / 10 : 0,
+    }));
+};
+
+const getBiggestTransactions = async (userId, start, end) => {
+  const transactions = await TransactionCollection.find({ userId, type: 'expense', date: { $gte: start, $lt: end } })
+    .sort({ amount: -1 })
+    .limit(DIGEST_BIGGEST_TRANSACTIONS);
+
+  return transactions.map(({ _id, amount, category, description, date }) => ({
+    _id,
+    amount,
+    category,
+    description,
+    date,
+  }));
+};
+
+const getGoalProgress = async (userId) => {
+  const goal = await GoalCollection.findOne({ userId, isActive: true });
+  if (!goal) return null;
+
+  return {
+    _id: goal._id,
+    title: goal.title,
+    currentAmount: goal.currentAmount,
+    targetAmount: goal.targetAmount,
+    percent: goal.targetAmount > 0 ? Math.round((goal.currentAmount / goal.targetAmount) * 1000) / 10 : 0,
+    deadline: goal.deadline,
+  };
+};
+
+// The stored forecast for the month after the digest was generated
+const getNextMonthProjection = async (userId) => {
+  const forecast = await ForecastCollection.findOne({ userId }).sort({ lastUpdated: -1 });
+  const nextMonth = toMonthString(addUtcMonths(new Date(), 1));
+  const monthForecast = forecast?.budgetForecasts?.find((item) => item.monthStr === nextMonth);
+  if (!monthForecast) return null;
+
+  return {
+    month: monthForecast.monthStr,
+    projectedIncome: monthForecast.projectedIncome,
+    projectedExpense: monthForecast.projectedExpense,
+    projectedBalance: monthForecast.projectedBalance,
+  };
+};
+
+const composeSummary = async (userId, start, end) => {
+  const cashflow = await getCashflow(userId, start, end);
+  const [topCategories, biggestTransactions, goal, projection] = await Promise.all([
+    getTopCategories(userId, start, end, cashflow.expense),
+    getBiggestTransactions(userId, start, end),
+    getGoalProgress(userId),
+    getNextMonthProjection(userId),
+  ]);
+
+  return { ...cashflow, topCategories, biggestTransactions, goal, projection };
+};
+
+// Composes the digest of the last completed period, or refreshes it if it is already stored
+export const generateDigest = async (userId, period, date = new Date()) => {
+  const user = await UserCollection.findById(userId, { currency: 1 });
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+
+  const { start, end } = getPeriodRange(period, date);
+  const summary = await composeSummary(userId, start, end);
+
+  const filter = { userId, period, periodStart: start };
+  const update = { $set: { periodEnd: end, currency: user.currency, summary } };
+  try {
+    return await DigestCollection.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two upserts of the same period can both try to insert; the second one is repeated as a plain update
+    if (error.code !== 11000) throw error;
+    return DigestCollection.findOneAndUpdate(filter, update, { new: true });
+  }
+};
+
+const PREFERENCE_BY_PERIOD = { weekly: 'weeklyDigest', monthly: 'monthlyDigest' };
+
+// In-app for everyone, by email for users who subscribed to this period's digest. Digest notifications are
+// not emailed as notifications: the digest email replaces them.
+const deliverDigest = async (digest) => {
+  const user = await UserCollection.findById(digest.userId);
+  if (!user) return;
+
+  // Nothing to tell about a period without transactions
+  if (!digest.summary.transactionCount) {
+    digest.deliveredAt = new Date();
+    await digest.save();
+    return;
+  }
+
+  const from = digest.periodStart.toISOString().slice(0, 10);
+  const to = addUtcDays(digest.periodEnd, -1).toISOString().slice(0, 10);
+  await createNotifications(digest.userId, [
+    {
+      type: 'digest',
+      severity: 'info',
+      title: digest.period === 'weekly' ? 'Your week in review' : 'Your month in review',
+      message: `${from} – ${to}: income ${digest.summary.income} ${digest.currency}, expenses ${digest.summary.expense} ${digest.currency}`,
+      data: { digestId: digest._id, period: digest.period },
+      link: { screen: 'digest', params: { period: digest.period } },
+      dedupeKey: `digest:${digest.period}:${from}`,
+    },
+  ]);
+
+  if (user.emailPreferences?.[PREFERENCE_BY_PERIOD[digest.period]]) {
+    await enqueueEmail(user, { template: 'digest', data: { digest } });
+  }
+
+  digest.deliveredAt = new Date();
+  await digest.save();
+};
+
+// Run on a schedule: every user gets each period's digest once, right after the period ends
+export const generateDueDigests = async (date = new Date()) => {
+  let count = 0;
+
+  for (const period of DIGEST_PERIODS) {
+    const { start } = getPeriodRange(period, date);
+
+    for await (const user of UserCollection.find({}, { _id: 1 }).cursor()) {
+      const existing = await DigestCollection.findOne({ userId: user._id, period, periodStart: start });
+      if (existing?.deliveredAt) continue;
+
+      try {
+        const digest = existing || (await generateDigest(user._id, period, date));
+        await deliverDigest(digest);
+        count += 1;
+      } catch (error) {
+        console.error(`Error generating ${period} digest for user ${user._id}:`, error.message);
+      }
+    }
+  }
+
+  if (count > 0) {
+    console.log(`Digests delivered: ${count}`);
+  }
+};
+
+// The digest of the last completed period; composed on demand when the schedule has not produced it yet
+export const getLatestDigest = async (userId, period = 'monthly') => {
+  const { start } = getPeriodRange(period);
+  const existing = await DigestCollection.findOne({ userId, period, periodStart: start });
+  return existing || generateDigest(userId, period);
+};
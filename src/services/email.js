@@ -0,0 +1,121 @@
+import createHttpError from 'http-errors';
+import { EmailJobCollection } from '../db/models/EmailJob.js';
+import UserCollection from '../db/models/User.js';
+import { NOTIFICATION_SEVERITIES } from '../constants/notifications.js';
+import { getMailer, getSender } from '../utils/email/index.js';
+import { renderEmail } from '../utils/email/templates.js';
+
+const MINUTE = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+// Jobs of one run of the queue; the rest wait for the next run
+const QUEUE_BATCH_SIZE = 50;
+// A job still marked as sending after this long was interrupted, e.g. by a restart
+const STALE_SENDING_AGE = 10 * MINUTE;
+
+const withSession = (session) => (session ? { session } : undefined);
+
+const getUser = async (userId, session = null) => {
+  const user = await UserCollection.findById(userId, null, withSession(session));
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+  return user;
+};
+
+export const getEmailPreferences = async (userId) => (await getUser(userId)).emailPreferences;
+
+export const updateEmailPreferences = async (userId, preferences) => {
+  const update = Object.fromEntries(
+    Object.entries(preferences).map(([key, value]) => [`emailPreferences.${key}`, value]),
+  );
+  const user = await UserCollection.findByIdAndUpdate(userId, { $set: update }, { new: true, runValidators: true });
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+  return user.emailPreferences;
+};
+
+// Renders the template in the user's language and puts it in the delivery queue
+export const enqueueEmail = async (user, { template, data, notificationId = null }, session = null) => {
+  const { subject, html, text } = renderEmail(template, user.emailPreferences?.language, { name: user.name, ...data });
+
+  const [job] = await EmailJobCollection.create(
+    [{ userId: user._id, template, to: user.email, subject, html, text, notificationId }],
+    withSession(session),
+  );
+  return job;
+};
+
+const severityRank = (severity) => NOTIFICATION_SEVERITIES.indexOf(severity);
+
+// Emails the notifications the user wants by email. Not critical: a failure leaves the notifications in-app only.
+export const enqueueNotificationEmails = async (userId, notifications, session = null) => {
+  try {
+    const user = await getUser(userId, session);
+    const { notifications: enabled, minSeverity } = user.emailPreferences || {};
+    if (!enabled) return;
+
+    // Digests have their own email, sent by the digest generator
+    const wanted = notifications.filter(
+      (notification) =>
+        notification.type !== 'digest' && severityRank(notification.severity) >= severityRank(minSeverity),
+    );
+    for (const notification of wanted) {
+      await enqueueEmail(
+        user,
+        { template: 'notification', data: { notification }, notificationId: notification._id },
+        session,
+      );
+    }
+  } catch (error) {
+    console.error('Error queueing notification emails (non-critical):', error.message);
+  }
+};
+
+const claimNextJob = (now) =>
+  EmailJobCollection.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', updatedAt: { $lt: new Date(now.getTime() - STALE_SENDING_AGE) } },
+      ],
+    },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  );
+
+const sendJob = async (job) => {
+  try {
+    await getMailer().sendMail({ from: getSender(), to: job.to, subject: job.subject, html: job.html, text: job.text });
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.status = 'failed';
+    } else {
+      // 1, 2, 4, 8 minutes between attempts
+      job.status = 'pending';
+      job.nextAttemptAt = new Date(Date.now() + MINUTE * 2 ** (job.attempts - 1));
+    }
+  }
+  await job.save();
+  return job.status;
+};
+
+export const processEmailQueue = async () => {
+  const now = new Date();
+  const counts = { sent: 0, pending: 0, failed: 0 };
+
+  for (let index = 0; index < QUEUE_BATCH_SIZE; index += 1) {
+    const job = await claimNextJob(now);
+    if (!job) break;
+    counts[await sendJob(job)] += 1;
+  }
+
+  if (counts.sent || counts.pending || counts.failed) {
+    console.log(`Email queue: ${counts.sent} sent, ${counts.pending} to retry, ${counts.failed} failed`);
+  }
+  return counts;
+};
@@ -0,0 +1,212 @@
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+import { EnvelopeCollection } from '../db/models/Envelope.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import UserCollection from '../db/models/User.js';
+import { assertCategory, getUserCategories } from './categories.js';
+import { getSpendingByCategory } from './budgets.js';
+import { fromMinorUnits, sumMoney, toMinorUnits } from '../utils/money.js';
+import { MONTH_PATTERN, addUtcMonths, parseMonth, toMonthString } from '../utils/dates.js';
+
+const getUser = async (userId) => {
+  const user = await UserCollection.findById(userId);
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+  return user;
+};
+
+const getEnvelopeUser = async (userId) => {
+  const user = await getUser(userId);
+  if (user.budgetingMode !== 'envelope') {
+    throw new createHttpError(400, 'Envelope budgeting is not enabled');
+  }
+  return user;
+};
+
+const assertEnvelopeMonth = (user, month) => {
+  if (!MONTH_PATTERN.test(month)) {
+    throw new createHttpError(400, 'Month must be in YYYY-MM format');
+  }
+  const startMonth = toMonthString(user.envelopeStartedAt);
+  if (month < startMonth) {
+    throw new createHttpError(400, `Envelope budgeting started in ${startMonth}`);
+  }
+};
+
+// Switching envelopes on again resumes the previous envelopes unless reset is asked for
+export const setBudgetingMode = async (userId, { mode, reset = false }) => {
+  const user = await getUser(userId);
+
+  const update = { budgetingMode: mode };
+  if (mode === 'envelope' && (!user.envelopeStartedAt || reset)) {
+    update.envelopeStartedAt = new Date();
+    update.envelopeOpeningBalance = user.balance;
+    await EnvelopeCollection.deleteMany({ userId });
+  }
+
+  return UserCollection.findByIdAndUpdate(userId, { $set: update }, { new: true });
+};
+
+const sumMinorUnits = async (collection, pipeline) => {
+  const [result] = await collection.aggregate([...pipeline, { $group: { _id: null, amount: { $sum: '$amount' } } }]);
+  return fromMinorUnits(result?.amount || 0);
+};
+
+// Money not in any envelope yet: the opening balance and all income received since envelopes were switched on
+// (balance corrections included), less everything assigned to envelopes in any month
+const calculateToBeBudgeted = async (user) => {
+  const userId = new mongoose.Types.ObjectId(user._id);
+
+  const [received, assigned] = await Promise.all([
+    sumMinorUnits(TransactionCollection, [
+      { $match: { userId, type: { $in: ['income', 'adjustment'] }, date: { $gte: user.envelopeStartedAt } } },
+    ]),
+    sumMinorUnits(EnvelopeCollection, [{ $match: { userId } }, { $project: { amount: '$assigned' } }]),
+  ]);
+
+  return {
+    currency: user.currency,
+    openingBalance: user.envelopeOpeningBalance,
+    received,
+    assigned,
+    toBeBudgeted: sumMoney([user.envelopeOpeningBalance, received, -assigned]),
+  };
+};
+
+export const getToBeBudgeted = async (userId) => calculateToBeBudgeted(await getEnvelopeUser(userId));
+
+// For responses to new income: what is now waiting to be assigned, or null outside envelope mode
+export const getEnvelopeFunds = async (userId) => {
+  const user = await getUser(userId);
+  if (user.budgetingMode !== 'envelope') return null;
+
+  const { currency, toBeBudgeted } = await calculateToBeBudgeted(user);
+  return { currency, toBeBudgeted };
+};
+
+const sumByCategory = (rows, field) => {
+  const sums = new Map();
+  rows.forEach((row) => sums.set(row.category, sumMoney([sums.get(row.category) || 0, row[field]])));
+  return sums;
+};
+
+// Each envelope of the month: what rolled over from earlier months, what was assigned and spent this
+// month and what is left. A negative balance is overspending that has to be covered from another envelope.
+const buildEnvelopes = async (user, month) => {
+  const start = parseMonth(month);
+  const end = addUtcMonths(start, 1);
+  const startedAt = user.envelopeStartedAt;
+
+  const [assignments, spentBefore, spentInMonth, categories] = await Promise.all([
+    EnvelopeCollection.find({ userId: user._id, month: { $lte: month } }),
+    start > startedAt ? getSpendingByCategory(user._id, startedAt, start) : new Map(),
+    getSpendingByCategory(user._id, start > startedAt ? start : startedAt, end),
+    getUserCategories(user._id, { type: 'expense', includeArchived: false }),
+  ]);
+
+  const assignedBefore = sumByCategory(
+    assignments.filter((envelope) => envelope.month < month),
+    'assigned',
+  );
+  const assignedInMonth = sumByCategory(
+    assignments.filter((envelope) => envelope.month === month),
+    'assigned',
+  );
+
+  const names = new Set([
+    ...categories.map((category) => category.name),
+    ...assignedBefore.keys(),
+    ...assignedInMonth.keys(),
+    ...spentBefore.keys(),
+    ...spentInMonth.keys(),
+  ]);
+
+  return [...names].map((category) => {
+    const carriedOver = sumMoney([assignedBefore.get(category) || 0, -(spentBefore.get(category) || 0)]);
+    const assigned = assignedInMonth.get(category) || 0;
+    const spent = spentInMonth.get(category) || 0;
+    const available = sumMoney([carriedOver, assigned, -spent]);
+    return { category, carriedOver, assigned, spent, available, isOverspent: available < 0 };
+  });
+};
+
+export const getEnvelopes = async (userId, month) => {
+  const user = await getEnvelopeUser(userId);
+  assertEnvelopeMonth(user, month);
+
+  const [envelopes, funds] = await Promise.all([buildEnvelopes(user, month), calculateToBeBudgeted(user)]);
+
+  return {
+    month,
+    currency: user.currency,
+    toBeBudgeted: funds.toBeBudgeted,
+    total: {
+      assigned: sumMoney(envelopes.map((envelope) => envelope.assigned)),
+      spent: sumMoney(envelopes.map((envelope) => envelope.spent)),
+      available: sumMoney(envelopes.map((envelope) => envelope.available)),
+    },
+    envelopes,
+  };
+};
+
+const findEnvelope = async (user, month, category) =>
+  (await buildEnvelopes(user, month)).find((envelope) => envelope.category === category);
+
+// Sets the amount assigned to an envelope for the month; more money can only come out of what is still to be budgeted
+export const assignToEnvelope = async (userId, month, { category, amount }) => {
+  const user = await getEnvelopeUser(userId);
+  assertEnvelopeMonth(user, month);
+  await assertCategory(userId, category, 'expense');
+
+  const current = await EnvelopeCollection.findOne({ userId, month, category });
+  const increase = toMinorUnits(amount) - toMinorUnits(current?.assigned || 0);
+  if (increase > 0) {
+    const { toBeBudgeted } = await calculateToBeBudgeted(user);
+    if (increase > toMinorUnits(toBeBudgeted)) {
+      throw new createHttpError(400, `Only ${toBeBudgeted} ${user.currency} is left to be budgeted`);
+    }
+  }
+
+  await EnvelopeCollection.findOneAndUpdate(
+    { userId, month, category },
+    { $set: { assigned: amount } },
+    { upsert: true, new: true },
+  );
+
+  return findEnvelope(user, month, category);
+};
+
+// Moves money between two envelopes of the month, e.g. to cover overspending; the source cannot go below zero
+export const moveBetweenEnvelopes = async (userId, month, { from, to, amount }) => {
+  const user = await getEnvelopeUser(userId);
+  assertEnvelopeMonth(user, month);
+  if (from === to) {
+    throw new createHttpError(400, 'Source and destination envelopes must differ');
+  }
+  await assertCategory(userId, to, 'expense');
+
+  const source = await findEnvelope(user, month, from);
+  if (!source || toMinorUnits(source.available) < toMinorUnits(amount)) {
+    throw new createHttpError(400, `Envelope "${from}" only has ${source?.available ?? 0} ${user.currency} available`);
+  }
+
+  await EnvelopeCollection.bulkWrite(
+    [
+      { category: from, amount: -amount },
+      { category: to, amount },
+    ].map(({ category, amount: change }) => ({
+      updateOne: {
+        filter: { userId: user._id, month, category },
+        update: { $inc: { assigned: change } },
+        upsert: true,
+      },
+    })),
+  );
+
+  const envelopes = await buildEnvelopes(user, month);
+  return {
+    from: envelopes.find((envelope) => envelope.category === from),
+    to: envelopes.find((envelope) => envelope.category === to),
+  };
+};
@@ -0,0 +1,147 @@
+import axios from 'axios';
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+import { ExchangeRateCollection } from '../db/models/ExchangeRate.js';
+import UserCollection from '../db/models/User.js';
+import { CURRENCY_NUMERIC_CODES, RATE_QUOTE_CURRENCY } from '../constants/currencies.js';
+import { env } from '../utils/env.js';
+import { roundMoney } from '../utils/money.js';
+import { startOfUtcDay } from '../utils/dates.js';
+
+// Public endpoint, no token needed; overridable so that a local mock can stand in for Monobank
+const MONOBANK_CURRENCY_URL = env('MONOBANK_CURRENCY_URL', 'https://api.monobank.ua/bank/currency');
+
+// Rates are kept per calendar day (UTC)
+const toRateDate = startOfUtcDay;
+
+export const refreshMarketRates = async () => {
+  const { data } = await axios.get(MONOBANK_CURRENCY_URL);
+
+  const rates = data
+    .filter(
+      (item) =>
+        CURRENCY_NUMERIC_CODES[item.currencyCodeB] === RATE_QUOTE_CURRENCY &&
+        CURRENCY_NUMERIC_CODES[item.currencyCodeA],
+    )
+    .map((item) => ({
+      currency: CURRENCY_NUMERIC_CODES[item.currencyCodeA],
+      rate: item.rateCross || (item.rateBuy + item.rateSell) / 2,
+      date: toRateDate(item.date * 1000),
+    }));
+
+  if (rates.length > 0) {
+    await ExchangeRateCollection.bulkWrite(
+      rates.map(({ currency, rate, date }) => ({
+        updateOne: {
+          filter: { currency, userId: null, date },
+          update: { $set: { rate, source: 'monobank' } },
+          upsert: true,
+        },
+      })),
+    );
+  }
+
+  console.log(`Exchange rates refreshed: ${rates.map(({ currency, rate }) => `${currency}=${rate}`).join(', ')}`);
+  return rates;
+};
+
+// Monobank throttles the endpoint, so it is only asked when today's rates are missing; stale rates still work
+export const ensureMarketRates = async () => {
+  const exists = await ExchangeRateCollection.exists({
+    userId: null,
+    source: 'monobank',
+    date: toRateDate(new Date()),
+  });
+  if (exists) return;
+
+  try {
+    await refreshMarketRates();
+  } catch (error) {
+    console.error('Error refreshing exchange rates (using stored ones):', error.message);
+  }
+};
+
+// Price of one unit in hryvnias: the latest rate on or before the date, the user's own rate winning over
+// the market one for the same day. Dates older than any stored rate use the earliest one.
+const findQuoteRate = async (userId, currency, date) => {
+  if (currency === RATE_QUOTE_CURRENCY) return 1;
+
+  const filter = { currency, userId: { $in: [new mongoose.Types.ObjectId(userId), null] } };
+  const latest = await ExchangeRateCollection.findOne({ ...filter, date: { $lte: toRateDate(date) } }).sort({
+    date: -1,
+    userId: -1,
+  });
+  const rate = latest || (await ExchangeRateCollection.findOne(filter).sort({ date: 1, userId: -1 }));
+
+  if (!rate) {
+    throw new createHttpError(422, `No exchange rate available for ${currency}`);
+  }
+  return rate.rate;
+};
+
+export const getExchangeRate = async (userId, from, to, date = new Date()) => {
+  if (from === to) return 1;
+
+  const [fromRate, toRate] = await Promise.all([findQuoteRate(userId, from, date), findQuoteRate(userId, to, date)]);
+  return Number((fromRate / toRate).toFixed(6));
+};
+
+export const convertAmount = async (userId, amount, from, to, date = new Date()) =>
+  roundMoney(amount * (await getExchangeRate(userId, from, to, date)), to);
+
+// Returns a function that prices an amount in the user's base currency (or the given one) at the rate of its date.
+// Rates are looked up once per currency and day, which keeps imports and syncs cheap.
+export const getCurrencyConverter = async (userId, targetCurrency = null) => {
+  const user = targetCurrency ? { currency: targetCurrency } : await UserCollection.findById(userId, { currency: 1 });
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+
+  const rates = new Map();
+  return async ({ amount, date = new Date() }, currency) => {
+    const key = `${currency}|${toRateDate(date).toISOString()}`;
+    if (!rates.has(key)) {
+      rates.set(key, getExchangeRate(userId, currency, user.currency, date));
+    }
+    const exchangeRate = await rates.get(key);
+
+    return {
+      amount: roundMoney(amount * exchangeRate, user.currency),
+      originalAmount: amount,
+      currency,
+      exchangeRate,
+    };
+  };
+};
+
+export const getExchangeRates = async (userId, { currency, from, to } = {}) => {
+  const filter = { userId: { $in: [new mongoose.Types.ObjectId(userId), null] } };
+  if (currency) filter.currency = currency;
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = toRateDate(from);
+    if (to) filter.date.$lte = toRateDate(to);
+  }
+
+  return ExchangeRateCollection.find(filter).sort({ date: -1, currency: 1 }).limit(500);
+};
+
+export const setManualRate = async (userId, { currency, rate, date = new Date() }) => {
+  if (currency === RATE_QUOTE_CURRENCY) {
+    throw new createHttpError(400, `Rates are quoted in ${RATE_QUOTE_CURRENCY}; its own rate is always 1`);
+  }
+
+  return ExchangeRateCollection.findOneAndUpdate(
+    { currency, userId, date: toRateDate(date) },
+    { $set: { rate, source: 'manual' } },
+    { upsert: true, new: true, runValidators: true },
+  );
+};
+
+export const deleteManualRate = async (userId, rateId) => {
+  const rate = await ExchangeRateCollection.findOneAndDelete({ _id: rateId, userId });
+  if (!rate) {
+    throw new createHttpError(404, 'Exchange rate not found');
+  }
+  return rate;
+};
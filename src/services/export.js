@@ -0,0 +1,159 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { format } from 'date-fns';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { buildTransactionFilter } from './transactions.js';
+import { toCsvLine } from '../utils/csv.js';
+
+const EXPORT_LABELS = {
+  uk: {
+    columns: {
+      date: 'Дата',
+      type: 'Тип',
+      category: 'Категорія',
+      description: 'Опис',
+      amount: 'Сума',
+      currency: 'Валюта',
+      originalAmount: 'Сума у валюті рахунку',
+      originalCurrency: 'Валюта рахунку',
+      source: 'Джерело',
+    },
+    types: { income: 'Дохід', expense: 'Витрата', transfer: 'Переказ', adjustment: 'Коригування' },
+    sources: { manual: 'Вручну', monobank: 'Монобанк', import: 'Імпорт' },
+    sheet: 'Транзакції',
+  },
+  en: {
+    columns: {
+      date: 'Date',
+      type: 'Type',
+      category: 'Category',
+      description: 'Description',
+      amount: 'Amount',
+      currency: 'Currency',
+      originalAmount: 'Account amount',
+      originalCurrency: 'Account currency',
+      source: 'Source',
+    },
+    types: { income: 'Income', expense: 'Expense', transfer: 'Transfer', adjustment: 'Adjustment' },
+    sources: { manual: 'Manual', monobank: 'Monobank', import: 'Import' },
+    sheet: 'Transactions',
+  },
+};
+
+const COLUMNS = [
+  'date',
+  'type',
+  'category',
+  'description',
+  'amount',
+  'currency',
+  'originalAmount',
+  'originalCurrency',
+  'source',
+];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+const signed = (transaction, amount) => (transaction.type === 'expense' ? -amount : amount);
+
+// amount is in the user's base currency; rows stored before multi-currency support are in it already
+const toExportRow = (transaction, labels, currency) => ({
+  date: transaction.date,
+  type: labels.types[transaction.type] || transaction.type,
+  category: transaction.splits?.length
+    ? transaction.splits.map((split) => split.category).join(', ')
+    : transaction.category || '',
+  description: transaction.description || '',
+  amount: signed(transaction, transaction.amount),
+  currency,
+  originalAmount: signed(transaction, transaction.originalAmount ?? transaction.amount),
+  originalCurrency: transaction.currency || currency,
+  source: labels.sources[transaction.source] || transaction.source,
+});
+
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await once(output, 'drain');
+  }
+};
+
+const writeCsv = async (cursor, output, labels, currency) => {
+  // BOM lets Excel detect UTF-8 and show Cyrillic headers correctly
+  await write(output, '\uFEFF' + toCsvLine(COLUMNS.map((column) => labels.columns[column])));
+
+  for await (const transaction of cursor) {
+    const row = toExportRow(transaction, labels, currency);
+    await write(
+      output,
+      toCsvLine(COLUMNS.map((column) => (column === 'date' ? format(row.date, 'yyyy-MM-dd HH:mm') : row[column]))),
+    );
+  }
+  output.end();
+};
+
+const writeJson = async (cursor, output, labels, currency) => {
+  await write(output, '[');
+
+  let first = true;
+  for await (const transaction of cursor) {
+    const row = toExportRow(transaction, labels, currency);
+    await write(output, (first ? '' : ',') + JSON.stringify({ _id: transaction._id, ...row }));
+    first = false;
+  }
+
+  await write(output, ']');
+  output.end();
+};
+
+const writeXlsx = async (cursor, output, labels, currency) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const worksheet = workbook.addWorksheet(labels.sheet);
+
+  worksheet.columns = COLUMNS.map((column) => ({
+    header: labels.columns[column],
+    key: column,
+    width: column === 'description' ? 40 : 16,
+    style:
+      column === 'date'
+        ? { numFmt: 'yyyy-mm-dd hh:mm' }
+        : ['amount', 'originalAmount'].includes(column)
+          ? { numFmt: '#,##0.00' }
+          : {},
+  }));
+
+  for await (const transaction of cursor) {
+    worksheet.addRow(toExportRow(transaction, labels, currency)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+export const getExportFileName = (exportFormat) => `transactions-${format(new Date(), 'yyyy-MM-dd')}.${exportFormat}`;
+
+export const streamTransactionsExport = async (user, query, output) => {
+  const { format: exportFormat = 'csv', lang = 'uk', sortBy = 'date', order = 'desc', ...filters } = query;
+
+  const labels = EXPORT_LABELS[lang] || EXPORT_LABELS.uk;
+  const direction = order === 'asc' ? 1 : -1;
+
+  const cursor = TransactionCollection.find(buildTransactionFilter(user._id, filters))
+    .sort({ [sortBy]: direction, _id: direction })
+    .cursor();
+
+  try {
+    if (exportFormat === 'xlsx') {
+      await writeXlsx(cursor, output, labels, user.currency);
+    } else if (exportFormat === 'json') {
+      await writeJson(cursor, output, labels, user.currency);
+    } else {
+      await writeCsv(cursor, output, labels, user.currency);
+    }
+  } finally {
+    await cursor.close();
+  }
+};
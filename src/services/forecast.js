@@ -2,6 +2,10 @@ import AdvancedMachineLearningForecastService from './AIForecastService.js';
 import { ForecastCollection } from '../db/models/Forecast.js';
 import { TransactionCollection } from '../db/models/Transaction.js';
 import { format, addMonths, subMonths } from 'date-fns';
+import { getUserCategories } from './categories.js';
+import { CASHFLOW_TYPES } from '../constants/transactions.js';
+import { FORECAST_RISK_NOTIFY_SEVERITY } from '../constants/notifications.js';
+import { createNotifications } from './notifications.js';
 
 const forecastService = new AdvancedMachineLearningForecastService();
 
@@ -10,6 +14,31 @@ const BUDGET_FORECAST_CACHE_DURATION = 12 * 60 * 60 * 1000;
 const CATEGORY_FORECAST_CACHE_DURATION = 6 * 60 * 60 * 1000;
 const QUICK_ESTIMATE_CACHE_DURATION = 15 * 60 * 1000;
 
+// Serious risks to the active goal are notified once per risk type and month
+const notifyForecastRisks = async (userId, forecast) => {
+  const { goalId, riskFactors = [] } = forecast?.goalForecast || {};
+  const risks = riskFactors.filter((risk) => risk.severity >= FORECAST_RISK_NOTIFY_SEVERITY);
+  if (!goalId || risks.length === 0) return;
+
+  const month = format(new Date(), 'yyyy-MM');
+  try {
+    await createNotifications(
+      userId,
+      risks.map((risk) => ({
+        type: 'forecastRisk',
+        severity: risk.severity >= 90 ? 'critical' : 'warning',
+        title: 'Goal at risk',
+        message: risk.description,
+        data: { goalId, riskType: risk.type, riskSeverity: risk.severity },
+        link: { screen: 'forecast', params: { goalId } },
+        dedupeKey: `forecastRisk:${goalId}:${risk.type}:${month}`,
+      })),
+    );
+  } catch (error) {
+    console.error('Error notifying forecast risks (non-critical):', error.message);
+  }
+};
+
 export const updateForecasts = async (userId, session = null, forceUpdate = false) => {
   try {
     console.log(`Starting forecast update process for user ${userId}, forceUpdate: ${forceUpdate}`);
@@ -56,6 +85,7 @@ export const updateForecasts = async (userId, session = null, forceUpdate = fals
     }
 
     console.log(`Forecast update completed in ${Date.now() - startTime}ms`);
+    await notifyForecastRisks(userId, result);
     return result;
   } catch (error) {
     console.error('Error updating forecasts:', error);
@@ -69,6 +99,7 @@ export const generateQuickEstimates = async (userId) => {
 
     const recentTransactions = await TransactionCollection.find({
       userId,
+      type: { $in: CASHFLOW_TYPES },
       date: { $gte: subMonths(new Date(), 3) },
     }).sort({ date: -1 });
 
@@ -164,6 +195,7 @@ export const generateThirtyDayBudget = async (userId) => {
 
     const recentTransactions = await TransactionCollection.find({
       userId,
+      type: { $in: CASHFLOW_TYPES },
       date: { $gte: subMonths(new Date(), 3) },
     }).sort({ date: -1 });
 
@@ -317,7 +349,7 @@ export const getCategoryForecasts = async (userId, specificCategory = null) => {
 
     if (!hasCategoryPredictions) {
       console.log('No category predictions found, generating defaults for new account');
-      return generateDefaultCategoryForecasts(specificCategory);
+      return generateDefaultCategoryForecasts(userId, specificCategory);
     }
 
     forecast.budgetForecasts.forEach((monthForecast) => {
@@ -356,9 +388,8 @@ export const getCategoryForecasts = async (userId, specificCategory = null) => {
   }
 };
 
-function generateDefaultCategoryForecasts(specificCategory = null) {
-  const defaultExpenseCategories = ['Продукти', 'Транспорт', 'Розваги', 'Комунальні платежі'];
-  const defaultIncomeCategories = ['Зарплата', 'Стипендія', 'Підробіток', 'Інше'];
+async function generateDefaultCategoryForecasts(userId, specificCategory = null) {
+  const userCategories = await getUserCategories(userId, { includeArchived: false });
 
   const categoryData = {};
 
@@ -374,59 +405,21 @@ function generateDefaultCategoryForecasts(specificCategory = null) {
     });
   }
 
-  defaultExpenseCategories.forEach((category) => {
-    if (specificCategory && category !== specificCategory) return;
-
-    categoryData[category] = {
-      category,
-      type: 'expense',
-      monthlyPredictions: [],
-    };
-
-    const baseAmount =
-      category === 'Продукти'
-        ? 1000
-        : category === 'Транспорт'
-        ? 500
-        : category === 'Розваги'
-        ? 300
-        : category === 'Комунальні платежі'
-        ? 800
-        : 500;
-
-    months.forEach((month) => {
-      const variation = 0.9 + Math.random() * 0.3;
-      categoryData[category].monthlyPredictions.push({
-        month: month.monthStr,
-        date: month.date,
-        amount: Math.round(baseAmount * variation),
-      });
-    });
-  });
-
-  defaultIncomeCategories.forEach((category) => {
+  userCategories.forEach(({ name: category, type, forecastBaseAmount }) => {
     if (specificCategory && category !== specificCategory) return;
 
-    categoryData[category] = {
+    const key = `${type}:${category}`;
+    categoryData[key] = {
       category,
-      type: 'income',
+      type,
       monthlyPredictions: [],
     };
 
-    const baseAmount =
-      category === 'Зарплата'
-        ? 2500
-        : category === 'Стипендія'
-        ? 1200
-        : category === 'Підробіток'
-        ? 800
-        : category === 'Інше'
-        ? 500
-        : 1000;
+    const baseAmount = forecastBaseAmount ?? (type === 'income' ? 1000 : 500);
 
     months.forEach((month) => {
-      const variation = 0.95 + Math.random() * 0.2;
-      categoryData[category].monthlyPredictions.push({
+      const variation = type === 'income' ? 0.95 + Math.random() * 0.2 : 0.9 + Math.random() * 0.3;
+      categoryData[key].monthlyPredictions.push({
         month: month.monthStr,
         date: month.date,
         amount: Math.round(baseAmount * variation),
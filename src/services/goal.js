@@ -2,6 +2,8 @@ import createHttpError from 'http-errors';
 import { GoalCollection } from '../db/models/Goal.js';
 import mongoose from 'mongoose';
 import { updateForecasts } from './forecast.js';
+import { addMoney } from '../utils/money.js';
+import { notify } from './notifications.js';
 
 export const createGoal = async (goalData) => {
   const session = await mongoose.startSession();
@@ -34,7 +36,7 @@ export const updateGoalProgress = async (userId, balanceChange, session = null)
   if (!activeGoal) return null;
 
   if (balanceChange > 0) {
-    const newAmount = Math.min(activeGoal.currentAmount + balanceChange, activeGoal.targetAmount);
+    const newAmount = Math.min(addMoney(activeGoal.currentAmount, balanceChange), activeGoal.targetAmount);
     const highestAmount = Math.max(newAmount, activeGoal.highestAmount);
 
     const updatedGoal = await GoalCollection.findByIdAndUpdate(
@@ -47,13 +49,30 @@ export const updateGoalProgress = async (userId, balanceChange, session = null)
       { new: true, session },
     );
 
+    const isAchieved = newAmount >= activeGoal.targetAmount;
+    if (isAchieved) {
+      await notify(
+        userId,
+        {
+          type: 'goalAchieved',
+          severity: 'success',
+          title: 'Goal achieved',
+          message: `"${activeGoal.title}" reached ${activeGoal.targetAmount}`,
+          data: { goalId: activeGoal._id, targetAmount: activeGoal.targetAmount },
+          link: { screen: 'goal', params: { goalId: activeGoal._id } },
+          dedupeKey: `goalAchieved:${activeGoal._id}`,
+        },
+        session,
+      );
+    }
+
     await updateForecasts(userId, session);
     return {
       goal: updatedGoal,
-      isAchieved: newAmount >= activeGoal.targetAmount,
+      isAchieved,
     };
   } else {
-    const potentialNewAmount = activeGoal.currentAmount + balanceChange;
+    const potentialNewAmount = addMoney(activeGoal.currentAmount, balanceChange);
     if (potentialNewAmount < activeGoal.highestAmount) {
       const updatedGoal = await GoalCollection.findByIdAndUpdate(
         activeGoal._id,
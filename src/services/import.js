@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { format } from 'date-fns';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { addTransactionsBatch } from './transactions.js';
+import { detectStatementFormat, parseStatement } from '../utils/statements/index.js';
+import { getCategoryResolver } from './categories.js';
+import { getRuleEngine } from './rules.js';
+import { resolveAccount } from './accounts.js';
+import { getCurrencyConverter } from './exchangeRates.js';
+
+// Rule amount limits are in the base currency, so rows are matched with their amount converted from the
+// currency of the account they are imported into
+const normalizeEntries = async (entries, { categories, applyRules, toBaseAmount }, defaultCategory) => {
+  const normalized = [];
+
+  for (const entry of entries) {
+    const amount = entry.errors.length === 0 ? await toBaseAmount(entry) : entry.amount;
+    const ruleResult = applyRules({ ...entry, amount, source: 'import' });
+    const category =
+      categories.byName(entry.category, entry.type) ||
+      ruleResult.category ||
+      categories.byName(defaultCategory, entry.type) ||
+      categories.fallback(entry.type);
+
+    const warnings =
+      entry.category && entry.category !== category
+        ? [`Unknown category "${entry.category}", using "${category}"`]
+        : [];
+
+    normalized.push({ ...entry, category, tags: ruleResult.tags, warnings });
+  }
+
+  return normalized;
+};
+
+// Rows without a bank-provided reference get a content fingerprint; identical rows within
+// one file are numbered so that re-importing the same file produces the same keys
+const assignImportIds = (entries, prefix) => {
+  const occurrences = new Map();
+
+  return entries.map((entry) => {
+    if (entry.errors.length > 0) return entry;
+
+    if (entry.externalId) {
+      return { ...entry, importId: `${prefix}:${entry.externalId}` };
+    }
+
+    const fingerprint = crypto
+      .createHash('sha1')
+      .update([format(entry.date, 'yyyy-MM-dd'), entry.type, entry.amount.toFixed(2), entry.description].join('|'))
+      .digest('hex');
+    const occurrence = (occurrences.get(fingerprint) || 0) + 1;
+    occurrences.set(fingerprint, occurrence);
+
+    return { ...entry, importId: `${prefix}:${fingerprint}:${occurrence}` };
+  });
+};
+
+// Statement rows are in the account's currency, which stored transactions keep as their original amount
+const duplicateKey = ({ date, type, amount, originalAmount }) =>
+  `${format(date, 'yyyy-MM-dd')}|${type}|${Number(originalAmount ?? amount).toFixed(2)}`;
+
+export const readStatement = async (
+  userId,
+  file,
+  { format: statementFormat, mapping, defaultCategory, dateFormat, encoding, accountId } = {},
+) => {
+  const resolvedFormat = statementFormat || detectStatementFormat(file.originalname, file.buffer);
+  const entries = parseStatement(file.buffer, resolvedFormat, { mapping, dateFormat, encoding });
+  const account = await resolveAccount(userId, accountId);
+  const convert = await getCurrencyConverter(userId);
+  const rowContext = {
+    categories: await getCategoryResolver(userId),
+    applyRules: await getRuleEngine(userId),
+    toBaseAmount: async (entry) => (await convert(entry, account.currency)).amount,
+  };
+
+  return {
+    format: resolvedFormat,
+    entries: await normalizeEntries(entries, rowContext, defaultCategory || mapping?.defaultCategory),
+  };
+};
+
+export const previewImport = async (userId, { format: statementFormat, entries: parsedEntries }) => {
+  const entries = assignImportIds(parsedEntries, statementFormat);
+  const validEntries = entries.filter((entry) => entry.errors.length === 0);
+
+  const existingImportIds = new Set(
+    await TransactionCollection.distinct('importId', {
+      userId,
+      importId: { $in: validEntries.map((entry) => entry.importId) },
+    }),
+  );
+
+  const existingKeys = new Set();
+  if (validEntries.length > 0) {
+    const timestamps = validEntries.map((entry) => entry.date.getTime());
+    const from = new Date(Math.min(...timestamps));
+    const to = new Date(Math.max(...timestamps));
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+
+    const candidates = await TransactionCollection.find(
+      { userId, date: { $gte: from, $lte: to } },
+      { date: 1, type: 1, amount: 1, originalAmount: 1 },
+    );
+    candidates.forEach((transaction) => existingKeys.add(duplicateKey(transaction)));
+  }
+
+  const rows = entries.map((entry) => {
+    let status = 'new';
+    if (entry.errors.length > 0) status = 'invalid';
+    else if (existingImportIds.has(entry.importId)) status = 'duplicate';
+    else if (existingKeys.has(duplicateKey(entry))) status = 'possibleDuplicate';
+
+    return { ...entry, status };
+  });
+
+  const summary = rows.reduce(
+    (acc, row) => {
+      acc[row.status] += 1;
+      return acc;
+    },
+    { total: rows.length, new: 0, duplicate: 0, possibleDuplicate: 0, invalid: 0 },
+  );
+
+  return { format: statementFormat, rows, summary };
+};
+
+export const commitImport = async (userId, statement, options = {}) => {
+  const { skipPossibleDuplicates = true, excludeRows = [], accountId } = options;
+  const account = await resolveAccount(userId, accountId);
+  const { rows, summary } = await previewImport(userId, statement);
+
+  const excluded = new Set(excludeRows);
+  const toImport = rows.filter(
+    (row) =>
+      !excluded.has(row.row) &&
+      (row.status === 'new' || (row.status === 'possibleDuplicate' && !skipPossibleDuplicates)),
+  );
+
+  const result = await addTransactionsBatch(
+    userId,
+    toImport.map(({ date, type, amount, description, category, tags, counterparty, importId }) => ({
+      date,
+      type,
+      amount,
+      description,
+      category,
+      tags,
+      counterparty: counterparty || undefined,
+      importId,
+      accountId: account._id,
+      source: 'import',
+    })),
+  );
+
+  return {
+    format: statement.format,
+    imported: result.transactions.length,
+    skipped: summary.total - result.transactions.length,
+    summary,
+    goalAchieved: result.goalAchieved,
+    updatedGoal: result.updatedGoal || null,
+    forecastUpdate: result.forecastUpdate,
+    notifications: result.notifications,
+  };
+};
@@ -3,15 +3,26 @@ import axios from 'axios';
 import createHttpError from 'http-errors';
 import MonobankToken from '../db/models/MonobankToken.js';
 import { TransactionCollection } from '../db/models/Transaction.js';
-import UserCollection from '../db/models/User.js';
 import mongoose from 'mongoose';
 import { updateGoalProgress } from './goal.js';
 import { updateForecasts } from './forecast.js';
-import { mapMonoCategory } from '../utils/categoryMapper.js';
+import { getCategoryResolver } from './categories.js';
+import { getRuleEngine } from './rules.js';
+import { applyAccountBalanceChanges, getAccountChanges, getTotalChange, linkMonobankAccount } from './accounts.js';
+import { ensureMarketRates, getCurrencyConverter } from './exchangeRates.js';
+import { getEnvelopeFunds } from './envelopes.js';
+import { evaluateAlerts } from './alerts.js';
+import { notify } from './notifications.js';
+import { CURRENCY_NUMERIC_CODES } from '../constants/currencies.js';
+import { fromMinorUnits } from '../utils/money.js';
+import { supportsTransactions } from '../utils/dbSession.js';
 
 // Базовый URL API Монобанка
 const MONOBANK_API_URL = 'https://api.monobank.ua';
 
+// Максимальная разница во времени между списанием и зачислением одного перевода
+const TRANSFER_PAIR_WINDOW = 10 * 60 * 1000;
+
 // Функция для подключения Монобанка (сохранение токена)
 export const connectMonobank = async (userId, token) => {
   try {
@@ -43,7 +54,7 @@ export const connectMonobank = async (userId, token) => {
     const accounts = clientInfo.accounts.map((account) => ({
       id: account.id,
       name: account.maskedPan.length ? account.maskedPan[0] : 'Счет',
-      balance: account.balance / 100,
+      balance: fromMinorUnits(account.balance, CURRENCY_NUMERIC_CODES[account.currencyCode]),
       currencyCode: account.currencyCode,
     }));
 
@@ -105,7 +116,7 @@ export const syncMonobankTransactions = async (userId) => {
     const updatedAccounts = clientInfo.accounts.map((account) => ({
       id: account.id,
       name: account.maskedPan.length ? account.maskedPan[0] : 'Счет',
-      balance: account.balance / 100,
+      balance: fromMinorUnits(account.balance, CURRENCY_NUMERIC_CODES[account.currencyCode]),
       currencyCode: account.currencyCode,
     }));
 
@@ -120,39 +131,59 @@ export const syncMonobankTransactions = async (userId) => {
       fromTime = currentTime - 30 * 24 * 60 * 60;
     }
 
+    const categories = await getCategoryResolver(userId);
+    const applyRules = await getRuleEngine(userId);
+
+    // Суммы валютных счетов пересчитываются в базовую валюту пользователя по курсу на дату операции
+    await ensureMarketRates();
+    const convert = await getCurrencyConverter(userId);
+
     // Получаем транзакции для каждого счета
     const allTransactions = [];
 
     for (const account of tokenRecord.accounts) {
-      if (account.currencyCode !== 980) {
-        // Пропускаем не-гривневые счета (980 - код гривны)
+      const currency = CURRENCY_NUMERIC_CODES[account.currencyCode];
+      if (!currency) {
+        // Пропускаем счета в неподдерживаемых валютах
         continue;
       }
 
       const monoTransactions = await getMonobankTransactions(token, account.id, fromTime);
+      // Счёт, который подключается впервые, открывается с текущим балансом из банка без операций выписки
+      const current = updatedAccounts.find((item) => item.id === account.id);
+      const linkedAccount = await linkMonobankAccount(
+        userId,
+        { ...account, balance: current ? current.balance : account.balance },
+        monoTransactions.filter((transaction) => !tokenRecord.excludedMonoIds?.includes(transaction.id)),
+      );
 
       // Преобразуем транзакции в формат нашего приложения
-      const formattedTransactions = monoTransactions.map((transaction) => {
+      for (const transaction of monoTransactions) {
         // Определяем тип транзакции (доход/расход)
         const type = transaction.amount > 0 ? 'income' : 'expense';
 
-        return {
+        const formatted = {
           monoId: transaction.id,
           userId,
-          amount: Math.abs(transaction.amount) / 100,
+          accountId: linkedAccount._id,
+          amount: fromMinorUnits(Math.abs(transaction.amount), currency),
           type,
-          category: mapMonoCategory(transaction.mcc, type),
           description: transaction.description,
+          mcc: transaction.mcc,
+          counterparty: transaction.counterName,
           date: new Date(transaction.time * 1000),
           source: 'monobank',
         };
-      });
+        const converted = { ...formatted, ...(await convert(formatted, currency)) };
 
-      allTransactions.push(...formattedTransactions);
+        // Пользовательские правила имеют приоритет над категорией по MCC; суммы в правилах — в базовой валюте
+        const { category, tags } = applyRules(converted);
+        allTransactions.push({ ...converted, category: category || categories.byMcc(transaction.mcc, type), tags });
+      }
     }
 
     // Запускаем транзакцию в MongoDB для атомарного обновления данных
-    const isTransactionSupported = await checkTransactionSupport();
+    const isTransactionSupported = await supportsTransactions();
     if (isTransactionSupported) {
       session = await mongoose.startSession();
       session.startTransaction();
@@ -175,16 +206,41 @@ export const syncMonobankTransactions = async (userId) => {
       await session.commitTransaction();
     }
 
+    // Новые поступления в режиме конвертов попадают в сумму, которую осталось распределить
+    const hasIncome = savedTransactions.some((transaction) => transaction.type === 'income');
+
+    // Правила оповещений проверяются после фиксации, чтобы не оповещать об операциях, которые откатились
+    const notifications = await evaluateAlerts(userId, savedTransactions);
+
     return {
       transactionsCount: savedTransactions.length,
       lastSync: new Date(),
       accounts: updatedAccounts,
+      envelopeFunds: hasIncome ? await getEnvelopeFunds(userId) : null,
+      notifications,
     };
   } catch (error) {
     if (session) {
       await session.abortTransaction();
     }
 
+    // Пользователь узнаёт о сбое синхронизации, даже если она запускалась не им; не чаще раза в день.
+    // Сбой самого оповещения не должен подменять исходную ошибку синхронизации
+    if (error.status !== 404) {
+      try {
+        await notify(userId, {
+          type: 'syncFailed',
+          severity: 'critical',
+          title: 'Monobank sync failed',
+          message: error.response?.data?.errorDescription || error.message,
+          link: { screen: 'monobank' },
+          dedupeKey: `syncFailed:${new Date().toISOString().slice(0, 10)}`,
+        });
+      } catch (notifyError) {
+        console.error('Failed to send sync failure notification:', notifyError);
+      }
+    }
+
     if (error.response) {
       if (error.response.status === 403) {
         throw new createHttpError(403, 'Токен Монобанка недействителен. Пожалуйста, обновите подключение.');
@@ -220,14 +276,40 @@ export const getMonobankStatus = async (userId) => {
 
 // Вспомогательные функции
 
-// Проверка поддержки транзакций MongoDB
-const checkTransactionSupport = async () => {
-  try {
-    const status = await mongoose.connection.db.admin().command({ replSetGetStatus: 1 });
-    return !!status;
-  } catch {
-    return false;
-  }
+// Объединение списания и зачисления между своими счетами в один перевод:
+// та же сумма в той же валюте, разные счета и небольшая разница во времени
+const pairTransferLegs = (transactions) => {
+  const paired = new Set();
+  const transfers = [];
+
+  transactions
+    .filter((transaction) => transaction.type === 'expense')
+    .forEach((outgoing) => {
+      const incoming = transactions.find(
+        (candidate) =>
+          candidate.type === 'income' &&
+          !paired.has(candidate.monoId) &&
+          String(candidate.accountId) !== String(outgoing.accountId) &&
+          candidate.currency === outgoing.currency &&
+          candidate.originalAmount === outgoing.originalAmount &&
+          Math.abs(candidate.date - outgoing.date) <= TRANSFER_PAIR_WINDOW,
+      );
+      if (!incoming) return;
+
+      paired.add(outgoing.monoId);
+      paired.add(incoming.monoId);
+
+      transfers.push({
+        ...outgoing,
+        type: 'transfer',
+        category: undefined,
+        toAccountId: incoming.accountId,
+        pairedMonoId: incoming.monoId,
+        tags: [...new Set([...(outgoing.tags || []), ...(incoming.tags || [])])],
+      });
+    });
+
+  return [...transactions.filter((transaction) => !paired.has(transaction.monoId)), ...transfers];
 };
 
 // Получение информации о клиенте Монобанка
@@ -265,13 +347,21 @@ const getMonobankTransactions = async (token, accountId, fromTime) => {
 // Сохранение транзакций и обновление баланса
 const saveMonobankTransactions = async (transactions, userId, session) => {
   // Предварительная обработка: находим существующие транзакции, чтобы избежать дубликатов
-  const existingMonoIds = await TransactionCollection.distinct('monoId', {
-    userId,
-    monoId: { $in: transactions.map((t) => t.monoId) },
-  });
-
-  // Фильтруем только новые транзакции
-  const newTransactions = transactions.filter((t) => !existingMonoIds.includes(t.monoId));
+  const statementIds = transactions.map((t) => t.monoId);
+  const [savedMonoIds, savedPairedMonoIds] = await Promise.all([
+    TransactionCollection.distinct('monoId', { userId, monoId: { $in: statementIds } }),
+    TransactionCollection.distinct('pairedMonoId', { userId, pairedMonoId: { $in: statementIds } }),
+  ]);
+  const existingMonoIds = [...savedMonoIds, ...savedPairedMonoIds];
+
+  // Транзакции, удалённые пользователем, не восстанавливаем
+  const { excludedMonoIds = [] } = (await MonobankToken.findOne({ userId }, { excludedMonoIds: 1 })) || {};
+
+  // Переводы собираем только из новых операций: если списание уже сохранено прошлой синхронизацией,
+  // пришедшее позже зачисление сохраняется отдельно, а не теряется вместе с ним
+  const newTransactions = pairTransferLegs(
+    transactions.filter((t) => !existingMonoIds.includes(t.monoId) && !excludedMonoIds.includes(t.monoId)),
+  );
 
   if (newTransactions.length === 0) {
     return [];
@@ -280,20 +370,12 @@ const saveMonobankTransactions = async (transactions, userId, session) => {
   // Сохраняем новые транзакции
   const savedTransactions = await TransactionCollection.create(newTransactions, session ? { session } : undefined);
 
-  // Рассчитываем общее изменение баланса
-  const balanceChange = newTransactions.reduce((sum, transaction) => {
-    return sum + (transaction.type === 'income' ? transaction.amount : -transaction.amount);
-  }, 0);
-
-  // Обновляем баланс пользователя
-  await UserCollection.findByIdAndUpdate(
-    userId,
-    {
-      $inc: { balance: balanceChange },
-      lastBalanceUpdate: new Date(),
-    },
-    session ? { session } : undefined,
-  );
+  // Рассчитываем изменение баланса по каждому счёту
+  const balanceChanges = newTransactions.flatMap((transaction) => getAccountChanges(transaction));
+  const balanceChange = getTotalChange(balanceChanges);
+
+  // Обновляем балансы счетов и общий баланс пользователя
+  await applyAccountBalanceChanges(userId, balanceChanges, session);
 
   // Обновляем прогресс целей
   await updateGoalProgress(userId, balanceChange, session);
@@ -0,0 +1,94 @@
+import createHttpError from 'http-errors';
+import { NotificationCollection } from '../db/models/Notification.js';
+import { enqueueNotificationEmails } from './email.js';
+
+const withSession = (session) => (session ? { session } : undefined);
+
+// Stores the notifications and returns the ones that are new; a notification whose dedupeKey was used
+// before is skipped. New ones are also emailed to users who asked for it.
+export const createNotifications = async (userId, notifications, session = null) => {
+  const createdIds = [];
+
+  for (const notification of notifications) {
+    if (!notification.dedupeKey) {
+      const [created] = await NotificationCollection.create([{ ...notification, userId }], withSession(session));
+      createdIds.push(created._id);
+      continue;
+    }
+
+    const result = await NotificationCollection.updateOne(
+      { userId, dedupeKey: notification.dedupeKey },
+      { $setOnInsert: { ...notification, userId } },
+      { upsert: true, ...(session && { session }) },
+    );
+    if (result.upsertedId) createdIds.push(result.upsertedId);
+  }
+
+  if (createdIds.length === 0) return [];
+  const created = await NotificationCollection.find({ _id: { $in: createdIds } }, null, withSession(session)).sort({
+    createdAt: 1,
+  });
+
+  await enqueueNotificationEmails(userId, created, session);
+  return created;
+};
+
+// For producers whose own work must not fail because of a notification
+export const notify = async (userId, notification, session = null) => {
+  try {
+    const [created] = await createNotifications(userId, [notification], session);
+    return created || null;
+  } catch (error) {
+    console.error(`Error creating "${notification.type}" notification (non-critical):`, error.message);
+    return null;
+  }
+};
+
+export const getNotifications = async (userId, { unreadOnly = false, type, before, limit = 50 } = {}) => {
+  const filter = { userId };
+  if (unreadOnly) filter.readAt = null;
+  if (type) filter.type = type;
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  const [notifications, unreadCount] = await Promise.all([
+    NotificationCollection.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit + 1),
+    getUnreadCount(userId),
+  ]);
+
+  const hasMore = notifications.length > limit;
+  const page = notifications.slice(0, limit);
+  return {
+    notifications: page,
+    unreadCount,
+    nextBefore: hasMore ? page[page.length - 1].createdAt : null,
+  };
+};
+
+export const getUnreadCount = (userId) => NotificationCollection.countDocuments({ userId, readAt: null });
+
+export const markNotificationRead = async (userId, notificationId) => {
+  const notification = await NotificationCollection.findOne({ _id: notificationId, userId });
+  if (!notification) {
+    throw new createHttpError(404, 'Notification not found');
+  }
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return notification;
+};
+
+export const markAllNotificationsRead = async (userId) => {
+  const result = await NotificationCollection.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+  return { updated: result.modifiedCount };
+};
+
+export const deleteNotification = async (userId, notificationId) => {
+  const notification = await NotificationCollection.findOneAndDelete({ _id: notificationId, userId });
+  if (!notification) {
+    throw new createHttpError(404, 'Notification not found');
+  }
+  return notification;
+};
@@ -0,0 +1,151 @@
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+import UserCollection from '../db/models/User.js';
+import { AccountCollection } from '../db/models/Account.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { ensureDefaultAccount, getAccountById } from './accounts.js';
+import { rebuildBalanceSnapshots } from './balanceHistory.js';
+import { getCurrencyConverter } from './exchangeRates.js';
+import { fromMinorUnits, sumMoney, toMinorUnits } from '../utils/money.js';
+
+// Aggregation works on the stored minor units
+const ORIGINAL_AMOUNT = { $ifNull: ['$originalAmount', '$amount'] };
+const negateFor = (types, value) => ({ $cond: [{ $in: ['$type', types] }, { $multiply: [value, -1] }, value] });
+
+// Balance of every account and the base-currency total as the transactions add them up; income and
+// adjustments add, expenses subtract and transfers move money from accountId to toAccountId
+export const getLedgerBalances = async (userId) => {
+  await ensureDefaultAccount(userId);
+
+  const [{ outgoing, incoming, total }] = await TransactionCollection.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    {
+      $facet: {
+        outgoing: [
+          { $group: { _id: '$accountId', amount: { $sum: negateFor(['expense', 'transfer'], ORIGINAL_AMOUNT) } } },
+        ],
+        incoming: [
+          { $match: { type: 'transfer' } },
+          { $group: { _id: '$toAccountId', amount: { $sum: ORIGINAL_AMOUNT } } },
+        ],
+        total: [
+          { $match: { type: { $ne: 'transfer' } } },
+          { $group: { _id: null, amount: { $sum: negateFor(['expense'], '$amount') } } },
+        ],
+      },
+    },
+  ]);
+
+  const accounts = new Map();
+  [...outgoing, ...incoming].forEach(({ _id, amount }) => {
+    const key = String(_id);
+    accounts.set(key, (accounts.get(key) || 0) + amount);
+  });
+
+  return {
+    accounts: new Map([...accounts].map(([accountId, amount]) => [accountId, fromMinorUnits(amount)])),
+    total: fromMinorUnits(total[0]?.amount || 0),
+  };
+};
+
+const difference = (stored, ledger) => fromMinorUnits(toMinorUnits(stored) - toMinorUnits(ledger));
+
+export const getReconciliation = async (userId) => {
+  const [ledger, user, accounts] = await Promise.all([
+    getLedgerBalances(userId),
+    UserCollection.findById(userId),
+    AccountCollection.find({ userId }).sort({ isDefault: -1, createdAt: 1 }),
+  ]);
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+
+  const rows = accounts.map((account) => {
+    const ledgerBalance = ledger.accounts.get(String(account._id)) || 0;
+    return {
+      accountId: account._id,
+      name: account.name,
+      currency: account.currency,
+      stored: account.balance,
+      ledger: ledgerBalance,
+      difference: difference(account.balance, ledgerBalance),
+    };
+  });
+
+  return {
+    currency: user.currency,
+    total: {
+      stored: user.balance,
+      ledger: ledger.total,
+      difference: difference(user.balance, ledger.total),
+    },
+    accounts: rows,
+    isBalanced: rows.every((row) => row.difference === 0) && difference(user.balance, ledger.total) === 0,
+  };
+};
+
+// Trust the transactions: stored balances are overwritten with the ledger ones. Reconciling every account
+// also resets the total; a single account moves the total by its converted difference.
+const recomputeFromLedger = async (userId, rows, report, { singleAccount }) => {
+  if (rows.length > 0) {
+    await AccountCollection.bulkWrite(
+      rows.map((row) => ({
+        updateOne: { filter: { _id: row.accountId, userId }, update: { $set: { balance: row.ledger } } },
+      })),
+    );
+  }
+
+  let total = report.total.ledger;
+  if (singleAccount) {
+    const convert = await getCurrencyConverter(userId);
+    const differences = [];
+    for (const row of rows) {
+      differences.push((await convert({ amount: row.difference }, row.currency)).amount);
+    }
+    total = difference(report.total.stored, sumMoney(differences));
+  }
+
+  await UserCollection.findByIdAndUpdate(userId, { $set: { balance: total, lastBalanceUpdate: new Date() } });
+};
+
+// Trust the stored balances: the unexplained difference is written to the ledger as an adjustment dated
+// before the account's first transaction, without moving the balance again
+const recordDifferences = async (userId, rows) => {
+  const convert = await getCurrencyConverter(userId);
+
+  for (const row of rows) {
+    const first = await TransactionCollection.findOne({ userId, accountId: row.accountId }).sort({ date: 1 });
+    const date = first ? new Date(first.date.getTime() - 1) : new Date();
+
+    await TransactionCollection.create({
+      userId,
+      accountId: row.accountId,
+      type: 'adjustment',
+      date,
+      description: 'Reconciliation: unexplained difference',
+      source: 'manual',
+      ...(await convert({ amount: row.difference, date }, row.currency)),
+    });
+  }
+};
+
+export const reconcileBalances = async (userId, { accountId, strategy = 'recompute' } = {}) => {
+  if (accountId) {
+    await getAccountById(userId, accountId);
+  }
+
+  const report = await getReconciliation(userId);
+  const rows = report.accounts.filter(
+    (row) => row.difference !== 0 && (!accountId || String(row.accountId) === String(accountId)),
+  );
+
+  if (strategy === 'record') {
+    await recordDifferences(userId, rows);
+  } else {
+    await recomputeFromLedger(userId, rows, report, { singleAccount: Boolean(accountId) });
+  }
+
+  await rebuildBalanceSnapshots(userId);
+
+  return { strategy, reconciled: rows.length, before: report, after: await getReconciliation(userId) };
+};
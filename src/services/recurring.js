@@ -0,0 +1,178 @@
+import createHttpError from 'http-errors';
+import { RecurringTransactionCollection } from '../db/models/RecurringTransaction.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { addTransaction, updateTransaction } from './transactions.js';
+import { assertCategory } from './categories.js';
+import { resolveAccount } from './accounts.js';
+import { getNextOccurrence } from '../utils/schedule.js';
+
+const TEMPLATE_FIELDS = ['accountId', 'type', 'amount', 'category', 'description'];
+
+const MINUTE = 60 * 1000;
+// A template that keeps failing is retried with a growing delay and paused after this many attempts
+const MAX_FAILURES = 5;
+const RETRY_DELAY = 30 * MINUTE;
+
+const computeNextRunAt = ({ schedule, startDate, endDate }, after = null) => {
+  const next = getNextOccurrence(schedule, startDate, after);
+  if (!next || (endDate && next > new Date(endDate))) return null;
+  return next;
+};
+
+export const createRecurring = async (userId, data) => {
+  await assertCategory(userId, data.category, data.type);
+  if (data.accountId) await resolveAccount(userId, data.accountId);
+
+  const template = {
+    ...data,
+    startDate: new Date(data.startDate),
+    endDate: data.endDate ? new Date(data.endDate) : null,
+  };
+  const nextRunAt = computeNextRunAt(template);
+  return RecurringTransactionCollection.create({ ...template, userId, nextRunAt, isActive: nextRunAt !== null });
+};
+
+export const getRecurring = async (userId) => {
+  return RecurringTransactionCollection.find({ userId }).sort({ nextRunAt: 1 });
+};
+
+export const getRecurringById = async (userId, recurringId) => {
+  const recurring = await RecurringTransactionCollection.findOne({ _id: recurringId, userId });
+  if (!recurring) {
+    throw new createHttpError(404, 'Recurring transaction not found');
+  }
+  return recurring;
+};
+
+export const updateRecurring = async (userId, recurringId, updateData) => {
+  const { updateExisting = false, effectiveFrom, ...changes } = updateData;
+  const recurring = await getRecurringById(userId, recurringId);
+  const isResumed = changes.isActive === true && !recurring.isActive;
+
+  // Occurrences are only materialized once due, so by default the edit reaches back to the latest one,
+  // i.e. the occurrence of the current period, and everything after it
+  const rewriteFrom = effectiveFrom ? new Date(effectiveFrom) : recurring.lastRunAt || recurring.startDate;
+
+  if (changes.category || changes.type) {
+    await assertCategory(userId, changes.category ?? recurring.category, changes.type ?? recurring.type);
+  }
+  if (changes.accountId) {
+    await resolveAccount(userId, changes.accountId);
+  }
+
+  Object.assign(recurring, changes);
+  if (isResumed) {
+    recurring.failureCount = 0;
+    recurring.retryAt = null;
+  }
+
+  if (changes.schedule || changes.startDate || changes.endDate !== undefined || isResumed) {
+    // A resumed template does not catch up on the occurrences missed while it was paused
+    const after = isResumed ? new Date(Math.max(recurring.lastRunAt || 0, Date.now())) : recurring.lastRunAt;
+    recurring.nextRunAt = computeNextRunAt(recurring, after);
+    if (recurring.nextRunAt === null) recurring.isActive = false;
+  }
+
+  await recurring.save();
+
+  let updatedOccurrences = 0;
+  const occurrenceChanges = Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => changes[field] !== undefined).map((field) => [field, changes[field]]),
+  );
+
+  // Already materialized occurrences are only rewritten on request, each through the regular
+  // transaction update so balance, goal and forecasts are rolled forward correctly
+  if (updateExisting && Object.keys(occurrenceChanges).length > 0) {
+    const occurrences = await TransactionCollection.find({
+      userId,
+      recurringId,
+      date: { $gte: rewriteFrom },
+    });
+
+    for (const occurrence of occurrences) {
+      await updateTransaction(userId, occurrence._id, occurrenceChanges);
+      updatedOccurrences++;
+    }
+  }
+
+  return { recurring, updatedOccurrences };
+};
+
+export const deleteRecurring = async (userId, recurringId) => {
+  const recurring = await RecurringTransactionCollection.findOneAndDelete({ _id: recurringId, userId });
+  if (!recurring) {
+    throw new createHttpError(404, 'Recurring transaction not found');
+  }
+  return recurring;
+};
+
+const materializeTemplate = async (template, now) => {
+  let created = 0;
+  let current = template;
+
+  while (current && current.isActive && current.nextRunAt && current.nextRunAt <= now) {
+    const occurrenceDate = current.nextRunAt;
+    const followingRunAt = computeNextRunAt(current, occurrenceDate);
+
+    // Claim the occurrence by moving nextRunAt forward first, so parallel runs never create it twice
+    const claimed = await RecurringTransactionCollection.findOneAndUpdate(
+      { _id: current._id, nextRunAt: occurrenceDate, isActive: true },
+      { nextRunAt: followingRunAt, isActive: followingRunAt !== null },
+      { new: true },
+    );
+    if (!claimed) return created;
+
+    try {
+      await addTransaction({
+        userId: current.userId,
+        accountId: current.accountId,
+        type: current.type,
+        amount: current.amount,
+        category: current.category,
+        description: current.description,
+        date: occurrenceDate,
+        recurringId: current._id,
+      });
+      created++;
+
+      current = await RecurringTransactionCollection.findByIdAndUpdate(
+        current._id,
+        { lastRunAt: occurrenceDate, lastError: null, failureCount: 0, retryAt: null },
+        { new: true },
+      );
+    } catch (error) {
+      console.error(`Failed to materialize recurring transaction ${current._id}:`, error.message);
+
+      // Release the claim so the occurrence is retried later, or pause the template once it keeps failing
+      const failureCount = (claimed.failureCount || 0) + 1;
+      await RecurringTransactionCollection.findByIdAndUpdate(current._id, {
+        nextRunAt: occurrenceDate,
+        isActive: failureCount < MAX_FAILURES,
+        failureCount,
+        retryAt: new Date(Date.now() + RETRY_DELAY * 2 ** (failureCount - 1)),
+        lastError: error.message,
+      });
+      return created;
+    }
+  }
+
+  return created;
+};
+
+export const materializeDueRecurring = async (now = new Date()) => {
+  const dueTemplates = await RecurringTransactionCollection.find({
+    isActive: true,
+    nextRunAt: { $lte: now },
+    $or: [{ retryAt: null }, { retryAt: { $lte: now } }],
+  });
+
+  let created = 0;
+  for (const template of dueTemplates) {
+    created += await materializeTemplate(template, now);
+  }
+
+  if (created > 0) {
+    console.log(`Materialized ${created} recurring transactions`);
+  }
+  return created;
+};
@@ -0,0 +1,313 @@
+import createHttpError from 'http-errors';
+import UserCollection from '../db/models/User.js';
+import { AccountCollection } from '../db/models/Account.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { GoalCollection } from '../db/models/Goal.js';
+import { ForecastCollection } from '../db/models/Forecast.js';
+import { BudgetCollection } from '../db/models/Budget.js';
+import { EnvelopeCollection } from '../db/models/Envelope.js';
+import { RedenominationJobCollection } from '../db/models/RedenominationJob.js';
+import { CASHFLOW_TYPES } from '../constants/transactions.js';
+import { ensureDefaultAccount } from './accounts.js';
+import { convertAmount, getCurrencyConverter, getExchangeRate } from './exchangeRates.js';
+import { addMoney, multiplyMoney, sumMoney } from '../utils/money.js';
+import { parseMonth } from '../utils/dates.js';
+import { updateForecasts } from './forecast.js';
+
+const BATCH_SIZE = 500;
+
+// A running job that has not reported progress for this long was interrupted, e.g. by a restart
+const STALE_JOB_AGE = 15 * 60 * 1000;
+
+const GOAL_AMOUNT_FIELDS = ['targetAmount', 'currentAmount', 'highestAmount'];
+
+// Account balances are what the user holds now, so they are priced at today's rate rather than a historical
+// one; this is what the total becomes in the new currency
+const getConvertedBalance = async (userId, currency) => {
+  await ensureDefaultAccount(userId);
+  const accounts = await AccountCollection.find({ userId });
+
+  const balances = [];
+  for (const account of accounts) {
+    balances.push(await convertAmount(userId, account.balance, account.currency, currency));
+  }
+  return sumMoney(balances, currency);
+};
+
+// Goal targets and saved amounts are money the user wants or has today, not past spending, so they are
+// priced at the job rate of the day of the change rather than at historical rates
+const convertGoal = (goal, rate, currency) =>
+  Object.fromEntries(GOAL_AMOUNT_FIELDS.map((field) => [field, multiplyMoney(goal[field] || 0, rate, currency)]));
+
+// Every transaction is re-priced from its original amount at the rate of its own date, so running this
+// step again gives the same result
+const convertTransactions = async (job) => {
+  const convert = await getCurrencyConverter(job.userId, job.toCurrency);
+
+  job.total = await TransactionCollection.countDocuments({ userId: job.userId });
+  job.processed = 0;
+  await job.save();
+
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await TransactionCollection.bulkWrite(operations);
+    job.processed += operations.length;
+    operations = [];
+    await job.save();
+  };
+
+  const cursor = TransactionCollection.find(
+    { userId: job.userId },
+    { amount: 1, originalAmount: 1, currency: 1, date: 1 },
+  ).cursor();
+
+  for await (const transaction of cursor) {
+    const converted = await convert(
+      { amount: transaction.originalAmount ?? transaction.amount, date: transaction.date },
+      transaction.currency || job.fromCurrency,
+    );
+    operations.push({ updateOne: { filter: { _id: transaction._id }, update: { $set: converted } } });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+};
+
+const convertBalance = async (job) => {
+  const balance = await getConvertedBalance(job.userId, job.toCurrency);
+  await UserCollection.findByIdAndUpdate(job.userId, { $set: { balance, lastBalanceUpdate: new Date() } });
+};
+
+// Reads the figures a step is about to overwrite once and keeps them on the job
+const loadOriginals = async (job, step, load) => {
+  if (!job.originals?.[step]) {
+    job.originals = { ...job.originals, [step]: await load() };
+    await job.save();
+  }
+  return job.originals[step];
+};
+
+const convertGoals = async (job) => {
+  const goals = await loadOriginals(job, 'goals', async () => {
+    const stored = await GoalCollection.find({ userId: job.userId });
+    return stored.map((goal) => ({
+      _id: goal._id,
+      ...Object.fromEntries(GOAL_AMOUNT_FIELDS.map((field) => [field, goal[field] || 0])),
+    }));
+  });
+  if (goals.length === 0) return;
+
+  await GoalCollection.bulkWrite(
+    goals.map((goal) => ({
+      updateOne: { filter: { _id: goal._id }, update: { $set: convertGoal(goal, job.rate, job.toCurrency) } },
+    })),
+  );
+};
+
+// Budget limits and envelope assignments belong to a month and are priced at that month's rate, like the
+// spending they are compared with; the envelope opening balance at the rate of the day envelopes were switched on
+const convertBudgets = async (job) => {
+  const originals = await loadOriginals(job, 'budgets', async () => {
+    const [user, budgets, envelopes] = await Promise.all([
+      UserCollection.findById(job.userId, { envelopeOpeningBalance: 1, envelopeStartedAt: 1 }),
+      BudgetCollection.find({ userId: job.userId }),
+      EnvelopeCollection.find({ userId: job.userId }),
+    ]);
+    return {
+      envelopeOpeningBalance: user?.envelopeOpeningBalance || 0,
+      envelopeStartedAt: user?.envelopeStartedAt || null,
+      budgets: budgets.map(({ _id, month, limits }) => ({
+        _id,
+        month,
+        limits: limits.map(({ category, amount }) => ({ category, amount })),
+      })),
+      envelopes: envelopes.map(({ _id, month, assigned }) => ({ _id, month, assigned })),
+    };
+  });
+
+  const convert = await getCurrencyConverter(job.userId, job.toCurrency);
+  const convertAt = async (amount, date) => (await convert({ amount, date }, job.fromCurrency)).amount;
+
+  if (originals.envelopeOpeningBalance) {
+    await UserCollection.updateOne(
+      { _id: job.userId },
+      {
+        $set: {
+          envelopeOpeningBalance: await convertAt(
+            originals.envelopeOpeningBalance,
+            originals.envelopeStartedAt || new Date(),
+          ),
+        },
+      },
+    );
+  }
+
+  const envelopeOperations = [];
+  for (const envelope of originals.envelopes) {
+    envelopeOperations.push({
+      updateOne: {
+        filter: { _id: envelope._id },
+        update: { $set: { assigned: await convertAt(envelope.assigned, parseMonth(envelope.month)) } },
+      },
+    });
+  }
+  if (envelopeOperations.length > 0) {
+    await EnvelopeCollection.bulkWrite(envelopeOperations);
+  }
+
+  const budgetOperations = [];
+  for (const budget of originals.budgets) {
+    const limits = [];
+    for (const { category, amount } of budget.limits) {
+      limits.push({ category, amount: await convertAt(amount, parseMonth(budget.month)) });
+    }
+    budgetOperations.push({ updateOne: { filter: { _id: budget._id }, update: { $set: { limits } } } });
+  }
+  if (budgetOperations.length > 0) {
+    await BudgetCollection.bulkWrite(budgetOperations);
+  }
+};
+
+// Cached forecasts hold figures in the old currency; they are dropped and calculated again
+const refreshForecasts = async (job) => {
+  await ForecastCollection.deleteOne({ userId: job.userId });
+  try {
+    await updateForecasts(job.userId, null, true);
+  } catch (error) {
+    console.error('Error recalculating forecasts after currency change (non-critical):', error.message);
+  }
+};
+
+const STEPS = [
+  { name: 'transactions', run: convertTransactions },
+  { name: 'balance', run: convertBalance },
+  { name: 'goals', run: convertGoals },
+  { name: 'budgets', run: convertBudgets },
+  { name: 'forecasts', run: refreshForecasts },
+];
+
+const runRedenomination = async (job) => {
+  job.status = 'running';
+  job.startedAt = new Date();
+  job.error = undefined;
+  await job.save();
+
+  try {
+    for (const step of STEPS) {
+      if (job.completedSteps.includes(step.name)) continue;
+
+      console.log(`Re-denomination ${job._id}: ${step.name} (${job.fromCurrency} -> ${job.toCurrency})`);
+      await step.run(job);
+      job.completedSteps.push(step.name);
+      await job.save();
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Re-denomination ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+const startInBackground = (job) => {
+  runRedenomination(job).catch((error) => console.error(`Re-denomination ${job._id} could not be saved:`, error));
+  return job;
+};
+
+const isStale = (job) => job.status === 'running' && Date.now() - job.updatedAt.getTime() > STALE_JOB_AGE;
+
+export const getLatestRedenomination = (userId) =>
+  RedenominationJobCollection.findOne({ userId }).sort({ createdAt: -1 });
+
+// Switches the base currency right away, so new transactions are already priced in it, and converts
+// the stored figures in the background. Asking for the current currency again resumes a failed job.
+export const changeBaseCurrency = async (userId, toCurrency) => {
+  const user = await UserCollection.findById(userId);
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+
+  const latest = await getLatestRedenomination(userId);
+  const isActive = latest && ['pending', 'running'].includes(latest.status) && !isStale(latest);
+  if (isActive) {
+    throw new createHttpError(409, 'Base currency is already being changed');
+  }
+
+  const isUnfinished = latest && latest.status !== 'completed';
+  if (isUnfinished && latest.toCurrency !== toCurrency) {
+    throw new createHttpError(409, `The previous change to ${latest.toCurrency} did not finish; resume it first`);
+  }
+
+  if (user.currency === toCurrency) {
+    return isUnfinished ? startInBackground(latest) : null;
+  }
+
+  // Fails before anything is changed when there is no rate between the two currencies
+  const rate = await getExchangeRate(userId, user.currency, toCurrency);
+
+  const job = await RedenominationJobCollection.create({
+    userId,
+    fromCurrency: user.currency,
+    toCurrency,
+    rate,
+  });
+  await UserCollection.updateOne({ _id: userId }, { $set: { currency: toCurrency } });
+
+  return startInBackground(job);
+};
+
+export const previewRedenomination = async (userId, toCurrency) => {
+  const user = await UserCollection.findById(userId);
+  if (!user) {
+    throw new createHttpError(404, 'User not found');
+  }
+  if (user.currency === toCurrency) {
+    throw new createHttpError(400, `${toCurrency} is already the base currency`);
+  }
+
+  const rate = await getExchangeRate(userId, user.currency, toCurrency);
+  const convert = await getCurrencyConverter(userId, toCurrency);
+
+  const totals = Object.fromEntries(CASHFLOW_TYPES.map((type) => [type, { current: 0, converted: 0 }]));
+  let count = 0;
+
+  const cursor = TransactionCollection.find(
+    { userId, type: { $in: CASHFLOW_TYPES } },
+    { type: 1, amount: 1, originalAmount: 1, currency: 1, date: 1 },
+  ).cursor();
+
+  for await (const transaction of cursor) {
+    const { amount } = await convert(
+      { amount: transaction.originalAmount ?? transaction.amount, date: transaction.date },
+      transaction.currency || user.currency,
+    );
+    totals[transaction.type].current = addMoney(totals[transaction.type].current, transaction.amount, user.currency);
+    totals[transaction.type].converted = addMoney(totals[transaction.type].converted, amount, toCurrency);
+    count += 1;
+  }
+
+  const goals = await GoalCollection.find({ userId });
+
+  return {
+    fromCurrency: user.currency,
+    toCurrency,
+    rate,
+    balance: {
+      current: user.balance,
+      converted: await getConvertedBalance(userId, toCurrency),
+    },
+    transactions: { count, ...totals },
+    goals: goals.map((goal) => ({
+      _id: goal._id,
+      title: goal.title,
+      isActive: goal.isActive,
+      current: Object.fromEntries(GOAL_AMOUNT_FIELDS.map((field) => [field, goal[field] || 0])),
+      converted: convertGoal(goal, rate, toCurrency),
+    })),
+  };
+};
@@ -0,0 +1,239 @@
+import createHttpError from 'http-errors';
+import { CategoryRuleCollection } from '../db/models/CategoryRule.js';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { assertCategory, getCategoryResolver } from './categories.js';
+import { updateForecasts } from './forecast.js';
+import { FALLBACK_CATEGORY } from '../constants/categories.js';
+import { normalizeTags } from '../utils/tags.js';
+import { compilePattern } from '../utils/patterns.js';
+import { CASHFLOW_TYPES } from '../constants/transactions.js';
+
+const BULK_WRITE_CHUNK = 500;
+
+const compileRule = (rule) => {
+  const { descriptionPattern } = rule.conditions || {};
+  // Rules saved before patterns were checked for safety simply stop matching
+  const pattern = descriptionPattern ? compilePattern(descriptionPattern) : null;
+  return { rule, pattern };
+};
+
+// Amount limits are in the user's base currency, so transactions are matched with their converted amount
+const matchesRule = ({ rule, pattern }, transaction) => {
+  const { type, descriptionPattern, mccCodes, amountMin, amountMax, counterparty, sources } = rule.conditions;
+
+  if (type && transaction.type !== type) return false;
+  if (descriptionPattern && (!pattern || !pattern.test(transaction.description || ''))) return false;
+  if (mccCodes?.length && !mccCodes.includes(transaction.mcc)) return false;
+  if (amountMin !== undefined && amountMin !== null && transaction.amount < amountMin) return false;
+  if (amountMax !== undefined && amountMax !== null && transaction.amount > amountMax) return false;
+  if (counterparty && !(transaction.counterparty || '').toLowerCase().includes(counterparty.toLowerCase())) {
+    return false;
+  }
+  if (sources?.length && !sources.includes(transaction.source || 'manual')) return false;
+
+  return true;
+};
+
+// The first matching rule that sets a category wins, tags from every matching rule are combined
+const evaluateRules = (compiledRules, transaction) => {
+  let category = null;
+  const tags = [];
+  const matchedRules = [];
+
+  for (const compiled of compiledRules) {
+    if (!matchesRule(compiled, transaction)) continue;
+
+    matchedRules.push(compiled.rule._id);
+    if (!category && compiled.rule.actions.category) {
+      category = compiled.rule.actions.category;
+    }
+    tags.push(...(compiled.rule.actions.tags || []));
+  }
+
+  return { category, tags: normalizeTags(tags), matchedRules };
+};
+
+// A rule pointing at a category that was archived or removed since keeps assigning its tags only
+const loadCompiledRules = async (userId, ruleIds = null) => {
+  const filter = { userId, isActive: true };
+  if (ruleIds?.length) filter._id = { $in: ruleIds };
+
+  const [rules, categories] = await Promise.all([
+    CategoryRuleCollection.find(filter).sort({ priority: 1, createdAt: 1 }).lean(),
+    getCategoryResolver(userId),
+  ]);
+
+  return rules.map((rule) => {
+    const { category } = rule.actions;
+    const isCategoryActive = category && categories.byName(category, rule.conditions.type);
+    return compileRule(isCategoryActive ? rule : { ...rule, actions: { ...rule.actions, category: null } });
+  });
+};
+
+// Loads the user's rules once and returns an evaluator usable for a whole batch (sync, import)
+export const getRuleEngine = async (userId) => {
+  const compiledRules = await loadCompiledRules(userId);
+  return (transaction) => evaluateRules(compiledRules, transaction);
+};
+
+const assertRuleCategory = async (userId, { conditions, actions }) => {
+  if (!actions?.category) return;
+  if (!conditions?.type) {
+    throw new createHttpError(400, 'A rule that sets a category must specify the transaction type');
+  }
+  await assertCategory(userId, actions.category, conditions.type);
+};
+
+export const getRules = async (userId) => {
+  return CategoryRuleCollection.find({ userId }).sort({ priority: 1, createdAt: 1 });
+};
+
+export const createRule = async (userId, data) => {
+  await assertRuleCategory(userId, data);
+  return CategoryRuleCollection.create({
+    ...data,
+    userId,
+    actions: { ...data.actions, tags: normalizeTags(data.actions.tags) },
+  });
+};
+
+export const updateRule = async (userId, ruleId, updateData) => {
+  const rule = await CategoryRuleCollection.findOne({ _id: ruleId, userId });
+  if (!rule) {
+    throw new createHttpError(404, 'Rule not found');
+  }
+
+  const conditions = updateData.conditions ?? rule.conditions.toObject();
+  const actions = updateData.actions ?? rule.actions.toObject();
+  await assertRuleCategory(userId, { conditions, actions });
+
+  Object.assign(rule, updateData);
+  if (updateData.actions) {
+    rule.actions.tags = normalizeTags(updateData.actions.tags);
+  }
+  await rule.save();
+  return rule;
+};
+
+export const deleteRule = async (userId, ruleId) => {
+  const rule = await CategoryRuleCollection.findOneAndDelete({ _id: ruleId, userId });
+  if (!rule) {
+    throw new createHttpError(404, 'Rule not found');
+  }
+  return rule;
+};
+
+const buildCandidateFilter = (userId, { from, to }, conditions = {}) => {
+  const filter = { userId };
+
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = new Date(from);
+    if (to) filter.date.$lte = new Date(to);
+  }
+  // Transfers and adjustments have no category to set
+  filter.type = conditions.type || { $in: CASHFLOW_TYPES };
+  if (conditions.sources?.length) filter.source = { $in: conditions.sources };
+  if (conditions.mccCodes?.length) filter.mcc = { $in: conditions.mccCodes };
+
+  return filter;
+};
+
+export const previewRule = async (userId, { conditions, actions = {}, from, to, limit = 50 }) => {
+  const compiled = compileRule({ _id: null, conditions, actions });
+  if (conditions.descriptionPattern && !compiled.pattern) {
+    throw new createHttpError(400, 'Invalid or unsafe description pattern');
+  }
+
+  const cursor = TransactionCollection.find(buildCandidateFilter(userId, { from, to }, conditions))
+    .sort({ date: -1 })
+    .cursor();
+
+  let matched = 0;
+  let wouldChange = 0;
+  const samples = [];
+
+  for await (const transaction of cursor) {
+    if (!matchesRule(compiled, transaction)) continue;
+
+    matched++;
+    const proposedCategory = actions.category || transaction.category;
+    const proposedTags = normalizeTags([...(transaction.tags || []), ...(actions.tags || [])]);
+    const changes = proposedCategory !== transaction.category || proposedTags.length !== transaction.tags.length;
+    if (changes) wouldChange++;
+
+    if (samples.length < limit) {
+      samples.push({
+        _id: transaction._id,
+        date: transaction.date,
+        type: transaction.type,
+        amount: transaction.amount,
+        description: transaction.description,
+        category: transaction.category,
+        tags: transaction.tags,
+        proposedCategory,
+        proposedTags,
+      });
+    }
+  }
+
+  return { matched, wouldChange, samples };
+};
+
+export const applyRulesRetroactively = async (userId, { ruleIds, from, to, overwrite = false } = {}) => {
+  const compiledRules = await loadCompiledRules(userId, ruleIds);
+  if (compiledRules.length === 0) {
+    return { matched: 0, updated: 0 };
+  }
+
+  const cursor = TransactionCollection.find(buildCandidateFilter(userId, { from, to })).cursor();
+
+  let matched = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await TransactionCollection.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const transaction of cursor) {
+    const { category, tags, matchedRules } = evaluateRules(compiledRules, transaction);
+    if (matchedRules.length === 0) continue;
+    matched++;
+
+    const update = {};
+    // Without overwrite only transactions still sitting in the fallback category are recategorized;
+    // split transactions keep the categories of their line items
+    if (
+      category &&
+      category !== transaction.category &&
+      !transaction.splits?.length &&
+      (overwrite || transaction.category === FALLBACK_CATEGORY)
+    ) {
+      update.$set = { category };
+    }
+    const newTags = tags.filter((tag) => !transaction.tags.includes(tag));
+    if (newTags.length > 0) {
+      update.$addToSet = { tags: { $each: newTags } };
+    }
+
+    if (Object.keys(update).length > 0) {
+      operations.push({ updateOne: { filter: { _id: transaction._id }, update } });
+      if (operations.length >= BULK_WRITE_CHUNK) await flush();
+    }
+  }
+  await flush();
+
+  if (updated > 0) {
+    try {
+      await updateForecasts(userId, null, true);
+    } catch (error) {
+      console.error('Error updating forecasts after applying rules (non-critical):', error.message);
+    }
+  }
+
+  return { matched, updated };
+};
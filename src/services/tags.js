@@ -0,0 +1,104 @@
+import createHttpError from 'http-errors';
+import mongoose from 'mongoose';
+import { TransactionCollection } from '../db/models/Transaction.js';
+import { CategoryRuleCollection } from '../db/models/CategoryRule.js';
+import { normalizeTag, normalizeTags } from '../utils/tags.js';
+import { CASHFLOW_TYPES } from '../constants/transactions.js';
+import { fromMinorUnits } from '../utils/money.js';
+
+export const getTags = async (userId) => {
+  const tags = await TransactionCollection.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 }, lastUsedAt: { $max: '$date' } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+
+  return tags.map(({ _id, count, lastUsedAt }) => ({ name: _id, count, lastUsedAt }));
+};
+
+const assertTagExists = async (userId, name) => {
+  const exists = await TransactionCollection.exists({ userId, tags: name });
+  if (!exists) {
+    throw new createHttpError(404, `Tag "${name}" not found`);
+  }
+};
+
+export const renameTag = async (userId, currentName, newName) => {
+  const from = normalizeTag(currentName);
+  const to = normalizeTag(newName);
+
+  if (from === to) {
+    throw new createHttpError(400, 'New tag name must differ from the current one');
+  }
+  await assertTagExists(userId, from);
+  if (await TransactionCollection.exists({ userId, tags: to })) {
+    throw new createHttpError(409, `Tag "${to}" already exists; merge the tags instead`);
+  }
+
+  // Tags are unique within a transaction, so the positional operator hits exactly the renamed one
+  const [transactions] = await Promise.all([
+    TransactionCollection.updateMany({ userId, tags: from }, { $set: { 'tags.$': to } }),
+    CategoryRuleCollection.updateMany({ userId, 'actions.tags': from }, { $set: { 'actions.tags.$': to } }),
+  ]);
+
+  return { name: to, updatedTransactions: transactions.modifiedCount };
+};
+
+const replaceTags = async (Collection, filter, field, sources, target) => {
+  await Collection.updateMany({ ...filter, [field]: { $in: sources } }, { $addToSet: { [field]: target } });
+  return Collection.updateMany({ ...filter, [field]: { $in: sources } }, { $pull: { [field]: { $in: sources } } });
+};
+
+export const mergeTags = async (userId, sourceNames, targetName) => {
+  const target = normalizeTag(targetName);
+  const sources = normalizeTags(sourceNames).filter((source) => source !== target);
+
+  if (sources.length === 0) {
+    throw new createHttpError(400, 'Nothing to merge: source tags match the target');
+  }
+
+  const [transactions] = await Promise.all([
+    replaceTags(TransactionCollection, { userId }, 'tags', sources, target),
+    replaceTags(CategoryRuleCollection, { userId }, 'actions.tags', sources, target),
+  ]);
+
+  return { name: target, merged: sources, updatedTransactions: transactions.modifiedCount };
+};
+
+export const getTagTotals = async (userId, { from, to, type, tag } = {}) => {
+  const match = { userId: new mongoose.Types.ObjectId(userId) };
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+  }
+  match.type = type || { $in: CASHFLOW_TYPES };
+
+  const tagFilter = tag ? normalizeTags(Array.isArray(tag) ? tag : [tag]) : null;
+
+  const rows = await TransactionCollection.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    ...(tagFilter ? [{ $match: { tags: { $in: tagFilter } } }] : []),
+    { $group: { _id: { tag: '$tags', type: '$type' }, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+  ]);
+
+  // Aggregation sums the stored minor units; they are turned back into decimals once the totals are known
+  const totals = new Map();
+  rows.forEach(({ _id, total, count }) => {
+    const entry = totals.get(_id.tag) || { tag: _id.tag, income: 0, expense: 0, count: 0 };
+    entry[_id.type] += total;
+    entry.count += count;
+    totals.set(_id.tag, entry);
+  });
+
+  return [...totals.values()]
+    .map((entry) => ({
+      ...entry,
+      income: fromMinorUnits(entry.income),
+      expense: fromMinorUnits(entry.expense),
+      net: fromMinorUnits(entry.income - entry.expense),
+    }))
+    .sort((a, b) => b.expense + b.income - (a.expense + a.income));
+};
@@ -3,15 +3,68 @@ import mongoose from 'mongoose';
 import UserCollection from '../db/models/User.js';
 import createHttpError from 'http-errors';
 import { TransactionCollection } from '../db/models/Transaction.js';
+import MonobankToken from '../db/models/MonobankToken.js';
 import { updateGoalProgress } from './goal.js';
+import { assertCategory } from './categories.js';
+import { getRuleEngine } from './rules.js';
+import { normalizeTag, normalizeTags } from '../utils/tags.js';
+import { removeTransactionAttachments } from './attachments.js';
+import {
+  applyAccountBalanceChanges,
+  checkSufficientFunds,
+  ensureDefaultAccount,
+  getAccountById,
+  getAccountChanges,
+  getTotalChange,
+  resolveAccount,
+} from './accounts.js';
+import { getCurrencyConverter } from './exchangeRates.js';
+import { getEnvelopeFunds } from './envelopes.js';
+import { evaluateAlerts } from './alerts.js';
+import { toMinorUnits } from '../utils/money.js';
+import { runInTransaction } from '../utils/dbSession.js';
 
 import AdvancedAIForecastService from './AIForecastService.js';
 import { updateForecasts as updateForecastsService } from './forecast.js';
 
 const forecastService = new AdvancedAIForecastService();
 
-const DEFAULT_EXPENSE_WINDOW_SIZE = 3;
-const DEFAULT_INCOME_WINDOW_SIZE = 3;
+// Split line items must add up to the parent amount; the parent keeps the category of its largest line
+const resolveSplitCategory = async (userId, { type, amount, splits }) => {
+  const splitTotal = splits.reduce((sum, split) => sum + toMinorUnits(split.amount), 0);
+  if (splitTotal !== toMinorUnits(amount)) {
+    throw new createHttpError(400, 'Split amounts must add up to the transaction amount');
+  }
+
+  for (const category of new Set(splits.map((split) => split.category))) {
+    await assertCategory(userId, category, type);
+  }
+
+  return splits.reduce((largest, split) => (split.amount > largest.amount ? split : largest)).category;
+};
+
+const resolveTransferDestination = async (userId, sourceAccount, toAccountId) => {
+  const destination = await resolveAccount(userId, toAccountId);
+  if (String(destination._id) === String(sourceAccount._id)) {
+    throw new createHttpError(400, 'Source and destination accounts must differ');
+  }
+  if (destination.currency !== sourceAccount.currency) {
+    throw new createHttpError(400, 'Transfers between accounts in different currencies are not supported');
+  }
+  return destination;
+};
+
+// Entries submitted without a category are categorized by the user's rules
+const categorizeByRules = async (userId, transactionData) => {
+  const applyRules = await getRuleEngine(userId);
+  const { category, tags } = applyRules({ ...transactionData, source: transactionData.source || 'manual' });
+
+  if (!category) {
+    throw new createHttpError(400, 'Category is required: no categorization rule matches this transaction');
+  }
+
+  return { ...transactionData, category, tags: normalizeTags([...(transactionData.tags || []), ...tags]) };
+};
 
 export const addTransaction = async (transactionData) => {
   try {
@@ -34,11 +87,44 @@ export const addTransaction = async (transactionData) => {
       throw new createHttpError(400, 'Invalid amount');
     }
 
-    if (transactionData.type === 'expense' && user.balance < amount) {
-      throw new createHttpError(400, 'Not enough balance');
+    if (transactionData.tags) {
+      transactionData = { ...transactionData, tags: normalizeTags(transactionData.tags) };
+    }
+
+    const account = await resolveAccount(user._id, transactionData.accountId);
+    // The amount is entered in the account's currency; the stored amount is in the user's base currency.
+    // Converted before the rules run, since their amount limits are in the base currency too.
+    const convert = await getCurrencyConverter(user._id);
+    transactionData = {
+      ...transactionData,
+      accountId: account._id,
+      ...(await convert({ amount, date: transactionData.date }, account.currency)),
+    };
+
+    if (transactionData.type === 'transfer') {
+      const destination = await resolveTransferDestination(user._id, account, transactionData.toAccountId);
+      transactionData = { ...transactionData, toAccountId: destination._id };
+    } else if (transactionData.splits?.length) {
+      transactionData = {
+        ...transactionData,
+        category: await resolveSplitCategory(user._id, { ...transactionData, amount }),
+      };
+    } else {
+      if (!transactionData.category) {
+        transactionData = await categorizeByRules(user._id, transactionData);
+      }
+
+      await assertCategory(user._id, transactionData.category, transactionData.type);
     }
 
-    return await processSequentially(transactionData);
+    const warnings = await checkSufficientFunds(user._id, getAccountChanges(transactionData));
+
+    const result = await processSequentially(transactionData);
+
+    // In envelope mode new income is waiting to be assigned
+    const envelopeFunds = transactionData.type === 'income' ? await getEnvelopeFunds(user._id) : null;
+
+    return { ...result, warnings, envelopeFunds };
   } catch (error) {
     console.error('Transaction service error:', {
       name: error.name,
@@ -63,104 +149,143 @@ export const addTransaction = async (transactionData) => {
   }
 };
 
-const processSequentially = async (transactionData) => {
+// Balance corrections are kept in the ledger as adjustments: a signed amount in the account's currency,
+// without a category and without a funds check
+export const recordAdjustment = async (userId, { accountId, amount, date = new Date(), description }) => {
+  const account = await resolveAccount(userId, accountId);
+  const convert = await getCurrencyConverter(userId);
+
+  return processSequentially({
+    userId,
+    accountId: account._id,
+    type: 'adjustment',
+    date,
+    description,
+    source: 'manual',
+    ...(await convert({ amount, date }, account.currency)),
+  });
+};
+
+const invalidateForecastCaches = (userId) => {
   try {
-    console.log('Processing transaction sequentially');
+    console.log(`Invalidating caches for user ${userId} before forecast update...`);
 
-    const amount = Number(transactionData.amount);
-    const userId = transactionData.userId;
-    const transactionType = transactionData.type; // 'income' or 'expense'
+    for (const key of [...forecastService.trainedModels.keys()]) {
+      if (key.startsWith(`model_${userId}`)) {
+        console.log(`Invalidating model cache: ${key}`);
+        forecastService.trainedModels.delete(key);
+      }
+    }
 
-    console.log('Creating transaction document');
-    const transaction = await TransactionCollection.create(transactionData);
-    console.log('Transaction created:', transaction._id);
+    forecastService.forecastCache.delete(`forecast_${userId}`);
 
-    const balanceChange = transactionData.type === 'income' ? amount : -amount;
-    console.log('Updating user balance:', { balanceChange });
+    forecastService.goalCalculationCache.delete(`goal_${userId}`);
 
-    const updatedUser = await UserCollection.findByIdAndUpdate(
-      userId,
-      {
-        $inc: { balance: balanceChange },
-        lastBalanceUpdate: new Date(),
-      },
-      { new: true },
-    );
+    console.log(`Caches invalidated for user ${userId}.`);
+  } catch (cacheError) {
+    console.error(`Error invalidating caches for user ${userId} (continuing):`, cacheError);
+  }
+};
+
+const refreshForecasts = async (userId) => {
+  invalidateForecastCaches(userId);
 
-    console.log('User balance updated:', {
-      newBalance: updatedUser.balance,
-      lastUpdate: updatedUser.lastBalanceUpdate,
+  console.log('Updating forecasts with new transaction data');
+  try {
+    const updatedForecasts = await updateForecastsService(userId, null, true);
+    console.log('Forecasts updated successfully', {
+      forecastMethod: updatedForecasts.forecastMethod,
+      confidenceScore: updatedForecasts.confidenceScore,
+      lastUpdated: updatedForecasts.lastUpdated,
     });
 
+    const nextMonthForecast =
+      updatedForecasts.budgetForecasts && updatedForecasts.budgetForecasts.length > 0
+        ? updatedForecasts.budgetForecasts[0]
+        : null;
+
+    return {
+      updated: true,
+      method: updatedForecasts.forecastMethod,
+      confidence: updatedForecasts.confidenceScore,
+      nextMonth: nextMonthForecast
+        ? {
+            month: nextMonthForecast.monthStr,
+            projectedIncome: nextMonthForecast.projectedIncome,
+            projectedExpense: nextMonthForecast.projectedExpense,
+            projectedBalance: nextMonthForecast.projectedBalance,
+          }
+        : null,
+    };
+  } catch (forecastError) {
+    console.error('Error updating forecasts (non-critical):', forecastError.message);
+    return { updated: false, error: forecastError.message };
+  }
+};
+
+// Goals follow the change of the user's total balance, so transfers leave them untouched
+const updateGoalForChanges = async (userId, changes) => {
+  const balanceChange = getTotalChange(changes);
+
+  let goalUpdate = null;
+  if (balanceChange !== 0) {
     console.log('Updating goal progress');
-    let goalUpdate = null;
     try {
       goalUpdate = await updateGoalProgress(userId, balanceChange);
       console.log('Goal progress updated successfully');
     } catch (goalError) {
       console.error('Error updating goal progress (continuing):', goalError.message);
     }
+  }
 
-    try {
-      console.log(`Invalidating caches for user ${userId} before forecast update...`);
+  return goalUpdate;
+};
 
-      const expenseModelKey = `model_${userId}_expense_lstm_w${DEFAULT_EXPENSE_WINDOW_SIZE}`;
-      const incomeModelKey = `model_${userId}_income_lstm_w${DEFAULT_INCOME_WINDOW_SIZE}`;
+// changes is a list of { accountId, amount, baseAmount }
+const applyBalanceChange = async (userId, changes, session = null) => {
+  const updatedUser = await applyAccountBalanceChanges(userId, changes, session);
 
-      for (const key of [...forecastService.trainedModels.keys()]) {
-        if (key.startsWith(`model_${userId}`)) {
-          console.log(`Invalidating model cache: ${key}`);
-          forecastService.trainedModels.delete(key);
-        }
-      }
+  console.log('User balance updated:', {
+    newBalance: updatedUser.balance,
+    lastUpdate: updatedUser.lastBalanceUpdate,
+  });
 
-      forecastService.forecastCache.delete(`forecast_${userId}`);
+  return updatedUser;
+};
 
-      forecastService.goalCalculationCache.delete(`goal_${userId}`);
+const processSequentially = async (transactionData) => {
+  try {
+    console.log('Processing transaction sequentially');
 
-      console.log(`Caches invalidated for user ${userId}.`);
-    } catch (cacheError) {
-      console.error(`Error invalidating caches for user ${userId} (continuing):`, cacheError);
-    }
+    const userId = transactionData.userId;
 
-    console.log('Updating forecasts with new transaction data');
-    let forecastUpdate = null;
-    try {
-      const updatedForecasts = await updateForecastsService(userId, null, true);
-      console.log('Forecasts updated successfully', {
-        forecastMethod: updatedForecasts.forecastMethod,
-        confidenceScore: updatedForecasts.confidenceScore,
-        lastUpdated: updatedForecasts.lastUpdated,
-      });
-
-      const nextMonthForecast =
-        updatedForecasts.budgetForecasts && updatedForecasts.budgetForecasts.length > 0
-          ? updatedForecasts.budgetForecasts[0]
-          : null;
-
-      forecastUpdate = {
-        updated: true,
-        method: updatedForecasts.forecastMethod,
-        confidence: updatedForecasts.confidenceScore,
-        nextMonth: nextMonthForecast
-          ? {
-              month: nextMonthForecast.monthStr,
-              projectedIncome: nextMonthForecast.projectedIncome,
-              projectedExpense: nextMonthForecast.projectedExpense,
-              projectedBalance: nextMonthForecast.projectedBalance,
-            }
-          : null,
-      };
-    } catch (forecastError) {
-      console.error('Error updating forecasts (non-critical):', forecastError.message);
-      forecastUpdate = { updated: false, error: forecastError.message };
-    }
+    // The document and the balances of every affected account are written together
+    console.log('Creating transaction document');
+    const transaction = await runInTransaction(async (session) => {
+      const [created] = await TransactionCollection.create([transactionData], session ? { session } : undefined);
+      console.log('Transaction created:', created._id);
+
+      const changes = getAccountChanges(created);
+      console.log('Updating account balances:', changes);
+      await applyBalanceChange(userId, changes, session);
+
+      return created;
+    });
+
+    // Corrections of the balance are not progress towards a goal
+    const goalUpdate =
+      transaction.type === 'adjustment' ? null : await updateGoalForChanges(userId, getAccountChanges(transaction));
+
+    const notifications = await evaluateAlerts(userId, [transaction]);
+
+    const forecastUpdate = await refreshForecasts(userId);
 
     return {
       transaction,
       goalAchieved: goalUpdate?.isAchieved || false,
       updatedGoal: goalUpdate?.goal,
       forecastUpdate,
+      notifications,
     };
   } catch (error) {
     console.error('Sequential processing error:', {
@@ -173,10 +298,312 @@ const processSequentially = async (transactionData) => {
   }
 };
 
-export const getTransactions = async (userId) => {
+export const addTransactionsBatch = async (userId, transactionsData) => {
+  if (transactionsData.length === 0) {
+    return { transactions: [], goalAchieved: false, updatedGoal: null, forecastUpdate: null };
+  }
+
+  const defaultAccount = await ensureDefaultAccount(userId);
+  const accounts = new Map([[String(defaultAccount._id), defaultAccount]]);
+  const convert = await getCurrencyConverter(userId);
+
+  const documents = [];
+  for (const transactionData of transactionsData) {
+    const accountId = String(transactionData.accountId || defaultAccount._id);
+    if (!accounts.has(accountId)) {
+      accounts.set(accountId, await getAccountById(userId, accountId));
+    }
+
+    documents.push({
+      ...transactionData,
+      ...(await convert(transactionData, accounts.get(accountId).currency)),
+      accountId,
+      userId,
+    });
+  }
+
+  // Either the whole batch lands together with its balance changes or none of it does
+  const { transactions, changes } = await runInTransaction(async (session) => {
+    const inserted = await TransactionCollection.insertMany(documents, session ? { session } : undefined);
+    console.log(`Batch of ${inserted.length} transactions created for user ${userId}`);
+
+    const balanceChanges = inserted.flatMap((transaction) => getAccountChanges(transaction));
+    await applyBalanceChange(userId, balanceChanges, session);
+    return { transactions: inserted, changes: balanceChanges };
+  });
+  const goalUpdate = await updateGoalForChanges(userId, changes);
+
+  const notifications = await evaluateAlerts(userId, transactions);
+
+  const forecastUpdate = await refreshForecasts(userId);
+
+  return {
+    transactions,
+    goalAchieved: goalUpdate?.isAchieved || false,
+    updatedGoal: goalUpdate?.goal,
+    forecastUpdate,
+    notifications,
+  };
+};
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const buildTransactionFilter = (
+  userId,
+  { from, to, type, accountId, category, tag, source, minAmount, maxAmount, search } = {},
+) => {
+  const filter = { userId: new mongoose.Types.ObjectId(userId) };
+
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = new Date(from);
+    if (to) filter.date.$lte = new Date(to);
+  }
+
+  if (type) {
+    filter.type = type;
+  }
+
+  if (accountId) {
+    filter.accountId = { $in: toArray(accountId).map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (category) {
+    const categories = toArray(category);
+    filter.$or = [{ category: { $in: categories } }, { 'splits.category': { $in: categories } }];
+  }
+
+  if (tag) {
+    filter.tags = { $in: toArray(tag).map(normalizeTag) };
+  }
+
+  if (source) {
+    filter.source = { $in: toArray(source) };
+  }
+
+  // Schema setters only run on equality filters, not on operators like $gte, so the bounds are converted
+  // to stored minor units here
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) filter.amount.$gte = toMinorUnits(minAmount);
+    if (maxAmount !== undefined) filter.amount.$lte = toMinorUnits(maxAmount);
+  }
+
+  if (search) {
+    filter.description = { $regex: escapeRegExp(search), $options: 'i' };
+  }
+
+  return filter;
+};
+
+const encodeCursor = (transaction, sortBy) =>
+  Buffer.from(JSON.stringify({ value: transaction[sortBy], id: transaction._id })).toString('base64url');
+
+const decodeCursor = (cursor, sortBy) => {
   try {
-    return await TransactionCollection.find({ userId }).sort({ date: -1 });
-  } catch (error) {
-    throw error;
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid cursor id');
+    }
+    return {
+      value: sortBy === 'amount' ? Number(value) : new Date(value),
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch {
+    throw new createHttpError(400, 'Invalid cursor');
+  }
+};
+
+export const getTransactions = async (userId, options = {}) => {
+  const { sortBy = 'date', order = 'desc', limit = 50, cursor, ...filters } = options;
+
+  const filter = buildTransactionFilter(userId, filters);
+  const direction = order === 'asc' ? 1 : -1;
+
+  let pageFilter = filter;
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sortBy);
+    const comparator = direction === 1 ? '$gt' : '$lt';
+    // The equality branch goes through the amount setter, the range branch has to be in minor units already
+    const bound = sortBy === 'amount' ? toMinorUnits(value) : value;
+    pageFilter = {
+      $and: [filter, { $or: [{ [sortBy]: { [comparator]: bound } }, { [sortBy]: value, _id: { [comparator]: id } }] }],
+    };
+  }
+
+  const [transactions, total] = await Promise.all([
+    TransactionCollection.find(pageFilter)
+      .sort({ [sortBy]: direction, _id: direction })
+      .limit(limit + 1),
+    TransactionCollection.countDocuments(filter),
+  ]);
+
+  const hasMore = transactions.length > limit;
+  const page = hasMore ? transactions.slice(0, limit) : transactions;
+
+  return {
+    transactions: page,
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortBy) : null,
+  };
+};
+
+// The date matters too: it picks the exchange rate of the converted amount
+const BALANCE_FIELDS = ['type', 'amount', 'accountId', 'toAccountId', 'date'];
+
+export const updateTransaction = async (userId, transactionId, updateData) => {
+  const transaction = await TransactionCollection.findOne({ _id: transactionId, userId });
+  if (!transaction) {
+    throw new createHttpError(404, 'Transaction not found');
+  }
+
+  if (transaction.type === 'adjustment') {
+    const lockedField = Object.keys(updateData).find((field) => !['description', 'tags'].includes(field));
+    if (lockedField) {
+      throw new createHttpError(400, 'Only the description and tags of an adjustment can be changed');
+    }
+  }
+
+  const isTransfer = transaction.type === 'transfer';
+  if (updateData.type && (updateData.type === 'transfer') !== isTransfer) {
+    throw new createHttpError(400, 'A transfer cannot be turned into income or expense, or the other way round');
+  }
+  if (isTransfer && (updateData.category || updateData.splits)) {
+    throw new createHttpError(400, 'Transfers have no category');
+  }
+  if (!isTransfer && updateData.toAccountId) {
+    throw new createHttpError(400, 'Only transfers have a destination account');
+  }
+
+  const { splits, ...changes } = updateData;
+  const update = { ...changes };
+  if (changes.tags) {
+    update.tags = normalizeTags(changes.tags);
+  }
+  const nextSplits = splits !== undefined ? splits : transaction.splits;
+
+  if (!isTransfer && nextSplits?.length) {
+    update.splits = nextSplits;
+    update.category = await resolveSplitCategory(userId, {
+      type: updateData.type ?? transaction.type,
+      amount: updateData.amount ?? transaction.originalAmount ?? transaction.amount,
+      splits: nextSplits,
+    });
+  } else if (!isTransfer && (updateData.category || updateData.type)) {
+    await assertCategory(userId, updateData.category ?? transaction.category, updateData.type ?? transaction.type);
   }
+
+  if (!transaction.accountId) {
+    transaction.accountId = (await ensureDefaultAccount(userId))._id;
+  }
+  const nextAccount = await resolveAccount(userId, updateData.accountId ?? transaction.accountId);
+  update.accountId = nextAccount._id;
+
+  if (isTransfer) {
+    const destination = await resolveTransferDestination(
+      userId,
+      nextAccount,
+      updateData.toAccountId ?? transaction.toAccountId,
+    );
+    update.toAccountId = destination._id;
+  }
+
+  // Roll the previous effect back and apply the new one; only the net result per account matters
+  const affectsBalance = BALANCE_FIELDS.some((field) => updateData[field] !== undefined);
+  if (affectsBalance) {
+    const convert = await getCurrencyConverter(userId);
+    Object.assign(
+      update,
+      await convert(
+        {
+          amount: updateData.amount ?? transaction.originalAmount ?? transaction.amount,
+          date: updateData.date ?? transaction.date,
+        },
+        nextAccount.currency,
+      ),
+    );
+  }
+  // The request body is not converted by validation, so the date is cast here: backdated snapshots and the
+  // funds check compare it with Date objects
+  const balanceChanges = affectsBalance
+    ? [
+        ...getAccountChanges(transaction, -1),
+        ...getAccountChanges({
+          type: transaction.type,
+          ...update,
+          date: new Date(updateData.date ?? transaction.date),
+        }),
+      ]
+    : [];
+  const warnings = await checkSufficientFunds(userId, balanceChanges);
+
+  // Monobank rows keep their monoId so the next sync still recognises them as already imported
+  if (transaction.source === 'monobank') {
+    update.isEdited = true;
+  }
+
+  const updatedTransaction = await runInTransaction(async (session) => {
+    const updated = await TransactionCollection.findOneAndUpdate(
+      { _id: transactionId, userId },
+      splits === null ? { $set: update, $unset: { splits: 1 } } : { $set: update },
+      { new: true, runValidators: true, ...(session && { session }) },
+    );
+    if (balanceChanges.length > 0) {
+      await applyBalanceChange(userId, balanceChanges, session);
+    }
+    return updated;
+  });
+
+  const goalUpdate = await updateGoalForChanges(userId, balanceChanges);
+
+  const forecastUpdate = await refreshForecasts(userId);
+
+  return {
+    transaction: updatedTransaction,
+    goalAchieved: goalUpdate?.isAchieved || false,
+    updatedGoal: goalUpdate?.goal,
+    forecastUpdate,
+    warnings,
+  };
+};
+
+export const deleteTransaction = async (userId, transactionId) => {
+  const defaultAccount = await ensureDefaultAccount(userId);
+
+  const { transaction, changes } = await runInTransaction(async (session) => {
+    const deleted = await TransactionCollection.findOneAndDelete(
+      { _id: transactionId, userId },
+      session ? { session } : undefined,
+    );
+    if (!deleted) {
+      throw new createHttpError(404, 'Transaction not found');
+    }
+
+    const rollback = getAccountChanges(
+      { ...deleted.toObject(), accountId: deleted.accountId || defaultAccount._id },
+      -1,
+    );
+    await applyBalanceChange(userId, rollback, session);
+    return { transaction: deleted, changes: rollback };
+  });
+
+  if (transaction.source === 'monobank' && transaction.monoId) {
+    // Remember the deleted statement items so the next sync does not bring them back
+    const monoIds = [transaction.monoId, transaction.pairedMonoId].filter(Boolean);
+    await MonobankToken.findOneAndUpdate({ userId }, { $addToSet: { excludedMonoIds: { $each: monoIds } } });
+  }
+
+  await removeTransactionAttachments(userId, transactionId);
+
+  const goalUpdate = await updateGoalForChanges(userId, changes);
+
+  const forecastUpdate = await refreshForecasts(userId);
+
+  return {
+    transaction,
+    updatedGoal: goalUpdate?.goal,
+    forecastUpdate,
+  };
 };
@@ -0,0 +1,78 @@
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+export const decodeText = (buffer, encoding = 'utf-8') => {
+  const text = new TextDecoder(encoding).decode(buffer);
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+};
+
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+// RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and line breaks
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+const escapeCsvField = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /["\r\n]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCsvLine = (values, delimiter = ',') =>
+  values.map((value) => escapeCsvField(value, delimiter)).join(delimiter) + '\r\n';
@@ -0,0 +1,31 @@
+// Calendar helpers in UTC: rates and balance snapshots are kept per UTC day regardless of the server's timezone
+
+export const startOfUtcDay = (date) => {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+export const addUtcDays = (date, days) => new Date(startOfUtcDay(date).getTime() + days * 24 * 60 * 60 * 1000);
+
+// Weeks start on Monday
+export const startOfUtcWeek = (date) => {
+  const day = startOfUtcDay(date);
+  return addUtcDays(day, -((day.getUTCDay() + 6) % 7));
+};
+
+export const startOfUtcMonth = (date) => {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), 1));
+};
+
+export const addUtcMonths = (date, months) => {
+  const value = startOfUtcMonth(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth() + months, 1));
+};
+
+// Budgets and reports address a calendar month as YYYY-MM
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+export const toMonthString = (date) => startOfUtcMonth(date).toISOString().slice(0, 7);
+
+export const parseMonth = (month) => new Date(`${month}-01T00:00:00.000Z`);
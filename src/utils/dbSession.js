@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+let transactionSupport = null;
+
+// Multi-document transactions need a replica set; on a standalone server writes simply run one by one
+export const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    try {
+      const status = await mongoose.connection.db.admin().command({ replSetGetStatus: 1 });
+      transactionSupport = !!status;
+    } catch {
+      transactionSupport = false;
+    }
+  }
+  return transactionSupport;
+};
+
+export const runInTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
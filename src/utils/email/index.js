@@ -0,0 +1,28 @@
+import nodemailer from 'nodemailer';
+import { env } from '../env.js';
+
+let mailer = null;
+
+// SMTP settings come from env; without them mail goes to localhost:1025, where a fake SMTP server
+// (MailHog, smtp4dev and the like) can catch it during development
+export const getMailer = () => {
+  if (mailer) return mailer;
+
+  const user = process.env.SMTP_USER;
+  mailer = nodemailer.createTransport({
+    host: env('SMTP_HOST', 'localhost'),
+    port: Number(env('SMTP_PORT', '1025')),
+    secure: env('SMTP_SECURE', 'false') === 'true',
+    ...(user && { auth: { user, pass: process.env.SMTP_PASSWORD } }),
+  });
+  return mailer;
+};
+
+// Anything with a nodemailer-style sendMail will do; null makes the next getMailer build the SMTP transport again
+export const setMailer = (transport) => {
+  mailer = transport;
+};
+
+export const getSender = () => env('SMTP_FROM', 'FinanceManager <no-reply@localhost>');
+
+export const isEmailEnabled = () => env('EMAIL_ENABLED', 'false') === 'true';
@@ -0,0 +1,198 @@
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const LOCALES = { uk: 'uk-UA', en: 'en-US' };
+
+const formatMoney = (language, amount, currency) =>
+  new Intl.NumberFormat(LOCALES[language], { style: 'currency', currency }).format(amount || 0);
+
+const formatDate = (language, date) =>
+  new Intl.DateTimeFormat(LOCALES[language], {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  }).format(new Date(date));
+
+const STRINGS = {
+  uk: {
+    greeting: (name) => (name ? `Вітаємо, ${name}!` : 'Вітаємо!'),
+    footer:
+      'Ви отримали цей лист, бо увімкнули сповіщення електронною поштою. Змінити це можна в налаштуваннях профілю.',
+    notification: {
+      subject: (title) => `FinanceManager: ${title}`,
+      intro: 'У вас нове сповіщення:',
+      severity: { info: 'Інформація', success: 'Успіх', warning: 'Увага', critical: 'Важливо' },
+    },
+    digest: {
+      subject: { weekly: 'FinanceManager: підсумки тижня', monthly: 'FinanceManager: підсумки місяця' },
+      period: (from, to) => `Період: ${from} – ${to}`,
+      income: 'Доходи',
+      expense: 'Витрати',
+      net: 'Різниця',
+      topCategories: 'Найбільші категорії витрат',
+      biggestTransactions: 'Найбільші витрати',
+      goal: (title, percent) => `Ціль «${title}»: ${percent}% досягнуто`,
+      projection: (month) => `Прогноз на ${month}`,
+      projectedBalance: 'Очікуваний залишок',
+      nothing: 'За цей період операцій не було.',
+    },
+  },
+  en: {
+    greeting: (name) => (name ? `Hello, ${name}!` : 'Hello!'),
+    footer:
+      'You received this email because email notifications are turned on. You can change this in your profile settings.',
+    notification: {
+      subject: (title) => `FinanceManager: ${title}`,
+      intro: 'You have a new notification:',
+      severity: { info: 'Info', success: 'Success', warning: 'Warning', critical: 'Important' },
+    },
+    digest: {
+      subject: { weekly: 'FinanceManager: your week in review', monthly: 'FinanceManager: your month in review' },
+      period: (from, to) => `Period: ${from} – ${to}`,
+      income: 'Income',
+      expense: 'Expenses',
+      net: 'Net',
+      topCategories: 'Top spending categories',
+      biggestTransactions: 'Biggest expenses',
+      goal: (title, percent) => `Goal "${title}": ${percent}% reached`,
+      projection: (month) => `Projection for ${month}`,
+      projectedBalance: 'Expected balance',
+      nothing: 'There were no transactions in this period.',
+    },
+  },
+};
+
+const layout = (strings, name, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; max-width: 600px; margin: 0 auto; padding: 24px;">
+    <p>${escapeHtml(strings.greeting(name))}</p>
+    ${body}
+    <hr style="border: none; border-top: 1px solid #e4e7eb; margin: 24px 0;" />
+    <p style="font-size: 12px; color: #7b8794;">${escapeHtml(strings.footer)}</p>
+  </body>
+</html>`;
+
+const renderNotification = (strings, { name, notification }) => {
+  const { intro, severity, subject } = strings.notification;
+  const label = severity[notification.severity] || severity.info;
+
+  return {
+    subject: subject(notification.title),
+    html: layout(
+      strings,
+      name,
+      `<p>${escapeHtml(intro)}</p>
+    <p><strong>${escapeHtml(label)}: ${escapeHtml(notification.title)}</strong></p>
+    <p>${escapeHtml(notification.message)}</p>`,
+    ),
+    text: [
+      strings.greeting(name),
+      '',
+      intro,
+      `${label}: ${notification.title}`,
+      notification.message,
+      '',
+      strings.footer,
+    ].join('\n'),
+  };
+};
+
+// Sections are built as { heading, lines } once and written out both as HTML and as plain text
+const buildDigestSections = (strings, language, digest) => {
+  const money = (amount) => formatMoney(language, amount, digest.currency);
+  const { summary } = digest;
+  const sections = [];
+
+  if (!summary.transactionCount) {
+    sections.push({ lines: [strings.nothing] });
+  } else {
+    sections.push({
+      lines: [
+        `${strings.income}: ${money(summary.income)}`,
+        `${strings.expense}: ${money(summary.expense)}`,
+        `${strings.net}: ${money(summary.net)}`,
+      ],
+    });
+  }
+  if (summary.topCategories?.length) {
+    sections.push({
+      heading: strings.topCategories,
+      lines: summary.topCategories.map(({ category, amount, share }) => `${category}: ${money(amount)} (${share}%)`),
+    });
+  }
+  if (summary.biggestTransactions?.length) {
+    sections.push({
+      heading: strings.biggestTransactions,
+      lines: summary.biggestTransactions.map(
+        ({ amount, category, description, date }) =>
+          `${formatDate(language, date)} · ${description || category}: ${money(amount)}`,
+      ),
+    });
+  }
+  if (summary.goal) {
+    const { title, percent, currentAmount, targetAmount } = summary.goal;
+    sections.push({
+      heading: strings.goal(title, percent),
+      lines: [`${money(currentAmount)} / ${money(targetAmount)}`],
+    });
+  }
+  if (summary.projection) {
+    const { month, projectedIncome, projectedExpense, projectedBalance } = summary.projection;
+    sections.push({
+      heading: strings.projection(month),
+      lines: [
+        `${strings.income}: ${money(projectedIncome)}`,
+        `${strings.expense}: ${money(projectedExpense)}`,
+        `${strings.projectedBalance}: ${money(projectedBalance)}`,
+      ],
+    });
+  }
+  return sections;
+};
+
+const renderDigest = (strings, { name, digest, language }) => {
+  const digestStrings = strings.digest;
+  const lastDay = new Date(new Date(digest.periodEnd).getTime() - 24 * 60 * 60 * 1000);
+  const period = digestStrings.period(formatDate(language, digest.periodStart), formatDate(language, lastDay));
+  const sections = buildDigestSections(digestStrings, language, digest);
+
+  const htmlSections = sections
+    .map(
+      ({ heading, lines }) =>
+        `${heading ? `<h3 style="margin-bottom: 4px;">${escapeHtml(heading)}</h3>` : ''}
+    <ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`,
+    )
+    .join('\n    ');
+  const textSections = sections.flatMap(({ heading, lines }) => [
+    ...(heading ? [heading] : []),
+    ...lines.map((line) => `- ${line}`),
+    '',
+  ]);
+
+  return {
+    subject: digestStrings.subject[digest.period],
+    html: layout(strings, name, `<p>${escapeHtml(period)}</p>\n    ${htmlSections}`),
+    text: [strings.greeting(name), '', period, '', ...textSections, strings.footer].join('\n'),
+  };
+};
+
+const TEMPLATES = {
+  notification: renderNotification,
+  digest: renderDigest,
+};
+
+// Returns { subject, html, text } of a template in the given language, falling back to Ukrainian
+export const renderEmail = (template, language, data) => {
+  const render = TEMPLATES[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  const resolvedLanguage = STRINGS[language] ? language : 'uk';
+  return render(STRINGS[resolvedLanguage], { ...data, language: resolvedLanguage });
+};
@@ -0,0 +1,40 @@
+import { CURRENCY_MINOR_DIGITS } from '../constants/currencies.js';
+
+// Every supported currency has two decimal places, which is what schema fields without a currency assume
+const DEFAULT_MINOR_DIGITS = 2;
+
+const minorUnitFactor = (currency) => 10 ** (CURRENCY_MINOR_DIGITS[currency] ?? DEFAULT_MINOR_DIGITS);
+
+// toPrecision drops the binary noise of the multiplication, so 1.005 becomes 101 kopecks rather than 100
+export const toMinorUnits = (amount, currency) =>
+  Math.round(Number((Number(amount) * minorUnitFactor(currency)).toPrecision(15)));
+
+export const fromMinorUnits = (minorUnits, currency) => minorUnits / minorUnitFactor(currency);
+
+export const roundMoney = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+export const sumMoney = (amounts, currency) =>
+  fromMinorUnits(
+    amounts.reduce((sum, amount) => sum + toMinorUnits(amount, currency), 0),
+    currency,
+  );
+
+export const addMoney = (a, b, currency) => sumMoney([a, b], currency);
+
+export const multiplyMoney = (amount, factor, currency) => roundMoney(Number(amount) * factor, currency);
+
+// Schema type for an amount: stored as an integer number of minor units, read and written as a decimal.
+// Setters also run on updates ($set, $inc) and on equality query filters, but not on operators such as
+// $gte / $lt or on aggregation results, which have to be converted with toMinorUnits / fromMinorUnits by hand.
+export const moneyField = (options = {}) => ({
+  type: Number,
+  ...options,
+  set: (value) => (value === null || value === undefined ? value : toMinorUnits(value)),
+  get: (value) => (value === null || value === undefined ? value : fromMinorUnits(value)),
+});
+
+// Schema options that make responses and toObject() show decimal amounts
+export const moneySchemaOptions = {
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false },
+};
@@ -0,0 +1,51 @@
+// User-supplied description patterns run against every transaction of a sync or import, so patterns that
+// can backtrack catastrophically are refused rather than run
+export const MAX_PATTERN_LENGTH = 200;
+
+const REPEATS = ['*', '+', '{'];
+
+// True when a repeated group contains a repetition or an alternation of its own, like (a+)+ or (a|ab)*,
+// which makes the engine try exponentially many ways to split a non-matching input
+export const hasNestedQuantifier = (pattern) => {
+  const groups = [];
+  let inClass = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    const isInGroup = groups.length > 0;
+
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const isVariable = groups.pop();
+      const next = pattern[index + 1];
+      if (isVariable && REPEATS.includes(next)) return true;
+      if (groups.length > 0 && (isVariable || REPEATS.includes(next) || next === '?')) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (isInGroup && (REPEATS.includes(char) || char === '|' || (char === '?' && pattern[index - 1] !== '('))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+};
+
+export const isSafePattern = (pattern) =>
+  typeof pattern === 'string' && pattern.length <= MAX_PATTERN_LENGTH && !hasNestedQuantifier(pattern);
+
+// Case-insensitive RegExp for a description pattern, or null when it is invalid or unsafe
+export const compilePattern = (pattern) => {
+  if (!isSafePattern(pattern)) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,55 @@
+import { addDays, addMonths, addWeeks, getDaysInMonth, isWeekend, lastDayOfMonth, subDays } from 'date-fns';
+
+const MAX_ITERATIONS = 10000;
+
+const withTimeOf = (date, source) => {
+  const result = new Date(date);
+  result.setHours(source.getHours(), source.getMinutes(), source.getSeconds(), 0);
+  return result;
+};
+
+const occurrenceAt = (schedule, startDate, index) => {
+  const interval = schedule.interval || 1;
+
+  switch (schedule.frequency) {
+    case 'daily':
+      return addDays(startDate, index * interval);
+
+    case 'weekly': {
+      const dayOfWeek = schedule.dayOfWeek ?? startDate.getDay();
+      const firstDate = addDays(startDate, (dayOfWeek - startDate.getDay() + 7) % 7);
+      return addWeeks(firstDate, index * interval);
+    }
+
+    case 'monthly': {
+      const month = addMonths(new Date(startDate.getFullYear(), startDate.getMonth(), 1), index * interval);
+      const day = Math.min(schedule.dayOfMonth ?? startDate.getDate(), getDaysInMonth(month));
+      return withTimeOf(new Date(month.getFullYear(), month.getMonth(), day), startDate);
+    }
+
+    case 'lastBusinessDay': {
+      const month = addMonths(new Date(startDate.getFullYear(), startDate.getMonth(), 1), index * interval);
+      let day = lastDayOfMonth(month);
+      while (isWeekend(day)) {
+        day = subDays(day, 1);
+      }
+      return withTimeOf(day, startDate);
+    }
+
+    default:
+      throw new Error(`Unknown schedule frequency: ${schedule.frequency}`);
+  }
+};
+
+// First occurrence on or after startDate that is strictly later than `after` (when given)
+export const getNextOccurrence = (schedule, startDate, after = null) => {
+  const start = new Date(startDate);
+
+  for (let index = 0; index < MAX_ITERATIONS; index++) {
+    const occurrence = occurrenceAt(schedule, start, index);
+    if (occurrence < start) continue;
+    if (!after || occurrence > after) return occurrence;
+  }
+
+  return null;
+};
@@ -0,0 +1,12 @@
+import { multiplyMoney } from './money.js';
+
+// A split transaction is counted per line item; a regular one is a single line in its own category.
+// Split amounts are in the account's currency and are converted like the parent amount.
+export const getCategoryLines = (transaction) =>
+  transaction.splits?.length
+    ? transaction.splits.map(({ category, amount }) => ({
+        category,
+        amount: multiplyMoney(amount, transaction.exchangeRate ?? 1),
+        type: transaction.type,
+      }))
+    : [{ category: transaction.category, amount: transaction.amount, type: transaction.type }];
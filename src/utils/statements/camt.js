@@ -0,0 +1,79 @@
+import createHttpError from 'http-errors';
+import { XMLParser } from 'fast-xml-parser';
+import { buildEntry, parseAmount } from './helpers.js';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) => ['Stmt', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd'].includes(name),
+});
+
+const textOf = (node) => {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '');
+  return String(node);
+};
+
+const readDate = (node) => textOf(node?.DtTm) || textOf(node?.Dt);
+
+const readCounterparty = (entry, details) => {
+  const parties = details?.RltdPties;
+  return entry.CdtDbtInd === 'DBIT'
+    ? textOf(parties?.Cdtr?.Nm || parties?.Cdtr?.Pty?.Nm)
+    : textOf(parties?.Dbtr?.Nm || parties?.Dbtr?.Pty?.Nm);
+};
+
+const describeEntry = (entry, details) => {
+  const remittance = (details?.RmtInf?.Ustrd || []).map(textOf).join(' ');
+  return [readCounterparty(entry, details), remittance || textOf(entry.AddtlNtryInf)].filter(Boolean).join(' — ');
+};
+
+export const parseCamtStatement = (buffer) => {
+  let document;
+  try {
+    document = xmlParser.parse(buffer.toString('utf8'));
+  } catch {
+    throw new createHttpError(400, 'Invalid CAMT.053 XML');
+  }
+
+  const statements = document?.Document?.BkToCstmrStmt?.Stmt;
+  if (!statements) {
+    throw new createHttpError(400, 'File is not a CAMT.053 bank statement');
+  }
+
+  const entries = [];
+  statements.forEach((statement) => {
+    const iban = textOf(statement.Acct?.Id?.IBAN) || textOf(statement.Acct?.Id?.Othr?.Id);
+
+    (statement.Ntry || []).forEach((entry) => {
+      const details = entry.NtryDtls?.[0]?.TxDtls?.[0];
+      const amount = parseAmount(textOf(entry.Amt));
+      const rawDate = readDate(entry.BookgDt) || readDate(entry.ValDt);
+      const reference =
+        textOf(entry.AcctSvcrRef) ||
+        textOf(entry.NtryRef) ||
+        textOf(details?.Refs?.AcctSvcrRef) ||
+        textOf(details?.Refs?.EndToEndId);
+
+      entries.push(
+        buildEntry({
+          row: entries.length + 1,
+          date: rawDate && !isNaN(new Date(rawDate).getTime()) ? new Date(rawDate) : null,
+          rawDate,
+          signedAmount: entry.CdtDbtInd === 'DBIT' ? -Math.abs(amount) : Math.abs(amount),
+          description: describeEntry(entry, details),
+          counterparty: readCounterparty(entry, details),
+          externalId: reference ? [iban, reference].filter(Boolean).join(':') : null,
+        }),
+      );
+    });
+  });
+
+  if (entries.length === 0) {
+    throw new createHttpError(400, 'No entries found in CAMT.053 statement');
+  }
+
+  return entries;
+};
@@ -0,0 +1,92 @@
+import createHttpError from 'http-errors';
+import { decodeText, parseCsv } from '../csv.js';
+import { buildEntry, parseAmount, parseDateWithFormats } from './helpers.js';
+
+const DATE_FORMATS = [
+  'dd.MM.yyyy HH:mm:ss',
+  'dd.MM.yyyy HH:mm',
+  'dd.MM.yyyy',
+  'dd/MM/yyyy',
+  'yyyy-MM-dd HH:mm:ss',
+  'yyyy-MM-dd',
+];
+
+const resolveColumn = (header, ref, name) => {
+  if (ref === undefined) return -1;
+  if (typeof ref === 'number') return ref;
+
+  const index = header.findIndex((title) => title.trim().toLowerCase() === ref.trim().toLowerCase());
+  if (index === -1) {
+    throw new createHttpError(400, `Column "${ref}" for ${name} not found in the file`);
+  }
+  return index;
+};
+
+const parseCsvDate = (value, dateFormat) => {
+  if (dateFormat) return parseDateWithFormats(value, [dateFormat]);
+
+  const date = parseDateWithFormats(value, DATE_FORMATS);
+  if (date) return date;
+
+  const fallback = new Date((value || '').trim());
+  return isNaN(fallback.getTime()) ? null : fallback;
+};
+
+const resolveSignedAmount = (cells, columns, mapping) => {
+  const { signConvention, decimalSeparator } = mapping;
+
+  if (signConvention === 'splitColumns') {
+    const debit = parseAmount(cells[columns.debit], decimalSeparator);
+    const credit = parseAmount(cells[columns.credit], decimalSeparator);
+    if (!isNaN(debit) && debit !== 0) return -Math.abs(debit);
+    if (!isNaN(credit) && credit !== 0) return Math.abs(credit);
+    return NaN;
+  }
+
+  const amount = parseAmount(cells[columns.amount], decimalSeparator);
+
+  if (signConvention === 'positiveIsExpense') return -amount;
+
+  if (signConvention === 'typeColumn') {
+    const typeValue = (cells[columns.type] || '').trim().toLowerCase();
+    const isExpense = mapping.expenseValues.some((value) => value.toLowerCase() === typeValue);
+    return isExpense ? -Math.abs(amount) : Math.abs(amount);
+  }
+
+  return amount;
+};
+
+export const parseCsvStatement = (buffer, mapping) => {
+  const text = decodeText(buffer, mapping.encoding);
+  const rows = parseCsv(text, mapping.delimiter);
+
+  if (rows.length === 0) {
+    throw new createHttpError(400, 'Statement file is empty');
+  }
+
+  const header = mapping.hasHeader ? rows[0] : [];
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+
+  const columns = {
+    date: resolveColumn(header, mapping.date, 'date'),
+    amount: resolveColumn(header, mapping.amount, 'amount'),
+    type: resolveColumn(header, mapping.type, 'type'),
+    debit: resolveColumn(header, mapping.debit, 'debit'),
+    credit: resolveColumn(header, mapping.credit, 'credit'),
+    description: resolveColumn(header, mapping.description, 'description'),
+    category: resolveColumn(header, mapping.category, 'category'),
+    counterparty: resolveColumn(header, mapping.counterparty, 'counterparty'),
+  };
+
+  return dataRows.map((cells, index) =>
+    buildEntry({
+      row: index + (mapping.hasHeader ? 2 : 1),
+      date: parseCsvDate(cells[columns.date], mapping.dateFormat),
+      rawDate: cells[columns.date],
+      signedAmount: resolveSignedAmount(cells, columns, mapping),
+      description: columns.description >= 0 ? cells[columns.description] : '',
+      category: columns.category >= 0 ? cells[columns.category] : '',
+      counterparty: columns.counterparty >= 0 ? cells[columns.counterparty] : '',
+    }),
+  );
+};
@@ -0,0 +1,42 @@
+import { isValid, parse } from 'date-fns';
+
+export const parseAmount = (value, decimalSeparator = '.') => {
+  let cleaned = String(value ?? '').replace(/\s/g, '');
+  const negativeByBrackets = /^\(.*\)$/.test(cleaned);
+
+  cleaned = cleaned.replace(/[^\d.,+-]/g, '');
+  cleaned = decimalSeparator === ',' ? cleaned.replace(/\./g, '').replace(',', '.') : cleaned.replace(/,/g, '');
+
+  if (cleaned === '' || cleaned === '-' || cleaned === '+') return NaN;
+  const amount = Number(cleaned);
+  return negativeByBrackets ? -Math.abs(amount) : amount;
+};
+
+export const parseDateWithFormats = (value, formats) => {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return null;
+
+  for (const pattern of formats) {
+    const date = parse(trimmed, pattern, new Date());
+    if (isValid(date)) return date;
+  }
+  return null;
+};
+
+export const buildEntry = ({ row, date, signedAmount, description, category, counterparty, externalId, rawDate }) => {
+  const errors = [];
+  if (!date) errors.push(`Invalid date "${rawDate ?? ''}"`);
+  if (isNaN(signedAmount) || signedAmount === 0) errors.push('Invalid or empty amount');
+
+  return {
+    row,
+    date,
+    type: signedAmount < 0 ? 'expense' : 'income',
+    amount: Math.abs(signedAmount),
+    description: (description || '').trim(),
+    category: (category || '').trim(),
+    counterparty: (counterparty || '').trim(),
+    externalId: externalId || null,
+    errors,
+  };
+};
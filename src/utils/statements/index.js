@@ -0,0 +1,40 @@
+import createHttpError from 'http-errors';
+import { parseCsvStatement } from './csv.js';
+import { parseOfxStatement } from './ofx.js';
+import { parseQifStatement } from './qif.js';
+import { parseCamtStatement } from './camt.js';
+
+export const STATEMENT_FORMATS = ['csv', 'ofx', 'qif', 'camt'];
+
+export const detectStatementFormat = (filename = '', buffer) => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+
+  const head = buffer.subarray(0, 2048).toString('utf8');
+  if (/<OFX>|OFXHEADER/i.test(head)) return 'ofx';
+  if (/^\s*!Type:/im.test(head)) return 'qif';
+  if (/camt\.053/i.test(head)) return 'camt';
+  if (extension === 'xml') return 'camt';
+
+  return 'csv';
+};
+
+export const parseStatement = (buffer, format, options = {}) => {
+  switch (format) {
+    case 'csv':
+      if (!options.mapping) {
+        throw new createHttpError(400, 'Column mapping is required for CSV statements');
+      }
+      return parseCsvStatement(buffer, options.mapping);
+    case 'ofx':
+      return parseOfxStatement(buffer);
+    case 'qif':
+      return parseQifStatement(buffer, options);
+    case 'camt':
+      return parseCamtStatement(buffer);
+    default:
+      throw new createHttpError(400, `Unsupported statement format "${format}"`);
+  }
+};
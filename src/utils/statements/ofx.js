@@ -0,0 +1,61 @@
+import createHttpError from 'http-errors';
+import { buildEntry, parseAmount } from './helpers.js';
+
+// OFX 1.x is SGML where leaf elements are not closed, OFX 2.x is XML; reading each leaf
+// value up to the next tag or line break handles both
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  if (!match) return '';
+
+  return match[1]
+    .trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+};
+
+// DTPOSTED looks like 20250201 or 20250201123000.000[+2:EET]
+const parseOfxDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/);
+  if (!match) return null;
+
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+  const offsetMatch = value.match(/\[([+-]?\d+(?:\.\d+)?)/);
+
+  if (offsetMatch) {
+    const offsetMinutes = Math.round(Number(offsetMatch[1]) * 60);
+    const utc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    return new Date(utc - offsetMinutes * 60 * 1000);
+  }
+
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+export const parseOfxStatement = (buffer) => {
+  const text = buffer.toString('utf8');
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  if (blocks.length === 0) {
+    throw new createHttpError(400, 'No transactions found in OFX file');
+  }
+
+  const accountId = readTag(text, 'ACCTID');
+
+  return blocks.map((block, index) => {
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+    const fitId = readTag(block, 'FITID');
+    const rawDate = readTag(block, 'DTPOSTED');
+
+    return buildEntry({
+      row: index + 1,
+      date: parseOfxDate(rawDate),
+      rawDate,
+      signedAmount: parseAmount(readTag(block, 'TRNAMT')),
+      description: [name, memo].filter(Boolean).join(' — '),
+      counterparty: name,
+      externalId: fitId ? [accountId, fitId].filter(Boolean).join(':') : null,
+    });
+  });
+};
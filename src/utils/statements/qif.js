@@ -0,0 +1,70 @@
+import createHttpError from 'http-errors';
+import { decodeText } from '../csv.js';
+import { buildEntry, parseAmount, parseDateWithFormats } from './helpers.js';
+
+const DATE_FORMATS = ['MM/dd/yyyy', 'dd.MM.yyyy', 'yyyy-MM-dd'];
+
+// Quicken writes years after 2000 as 1/25'05 and older files use two-digit years
+const normalizeQifDate = (value) =>
+  value
+    .trim()
+    .replace(/'\s?/, '/')
+    .replace(/([/.])(\d{2})$/, (_, separator, year) => `${separator}${Number(year) < 70 ? '20' : '19'}${year}`);
+
+const SUPPORTED_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+export const parseQifStatement = (buffer, { dateFormat, encoding } = {}) => {
+  const lines = decodeText(buffer, encoding).split(/\r?\n/);
+  const formats = dateFormat ? [dateFormat] : DATE_FORMATS;
+
+  const records = [];
+  let record = {};
+  let section = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    if (line.startsWith('!')) {
+      const typeMatch = line.match(/^!Type:(.+)$/i);
+      section = typeMatch ? typeMatch[1].trim().toLowerCase() : null;
+      continue;
+    }
+
+    if (!SUPPORTED_TYPES.includes(section)) continue;
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      records.push(record);
+      record = {};
+    } else if (code === 'D') {
+      record.date = value;
+    } else if (code === 'T' || (code === 'U' && record.amount === undefined)) {
+      record.amount = value;
+    } else if (code === 'P') {
+      record.payee = value;
+    } else if (code === 'M') {
+      record.memo = value;
+    } else if (code === 'L' && !value.startsWith('[')) {
+      // [Account] in the category line marks a transfer, not a category
+      record.category = value.split(':').pop();
+    }
+  }
+
+  if (records.length === 0) {
+    throw new createHttpError(400, 'No transactions found in QIF file');
+  }
+
+  return records.map((item, index) =>
+    buildEntry({
+      row: index + 1,
+      date: parseDateWithFormats(normalizeQifDate(item.date || ''), formats),
+      rawDate: item.date,
+      signedAmount: parseAmount(item.amount),
+      description: [item.payee, item.memo].filter(Boolean).join(' — '),
+      counterparty: item.payee,
+      category: item.category,
+    }),
+  );
+};
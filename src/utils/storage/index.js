@@ -0,0 +1,32 @@
+import { env } from '../env.js';
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+let storage = null;
+
+// Storage backend is chosen once per process: STORAGE_BACKEND=local (default) or s3
+export const getStorage = () => {
+  if (storage) return storage;
+
+  const backend = env('STORAGE_BACKEND', 'local');
+  if (backend === 's3') {
+    storage = createS3Storage({
+      bucket: env('S3_BUCKET'),
+      region: env('S3_REGION', 'us-east-1'),
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    });
+  } else if (backend === 'local') {
+    storage = createLocalStorage({ rootDir: env('ATTACHMENTS_DIR', 'uploads/attachments') });
+  } else {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  return storage;
+};
+
+// Replaces the backend picked from env, e.g. with local storage in a temporary directory; null picks it again
+export const setStorage = (adapter) => {
+  storage = adapter;
+};
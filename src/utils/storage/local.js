@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import createHttpError from 'http-errors';
+
+export const createLocalStorage = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated by the server, but never let one resolve outside the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+      const filePath = resolveKey(key);
+      try {
+        await fs.access(filePath);
+      } catch {
+        throw new createHttpError(404, 'Attachment file not found');
+      }
+      return createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,36 @@
+import { DeleteObjectCommand, GetObjectCommand, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import createHttpError from 'http-errors';
+
+// Works with AWS S3 and with S3-compatible servers (MinIO, LocalStack) through a custom endpoint
+export const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, mimeType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: mimeType }));
+    },
+
+    async read(key) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          throw new createHttpError(404, 'Attachment file not found');
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
@@ -0,0 +1,7 @@
+export const normalizeTag = (tag) =>
+  String(tag || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+
+export const normalizeTags = (tags = []) => [...new Set(tags.map(normalizeTag).filter(Boolean))];
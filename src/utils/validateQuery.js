@@ -0,0 +1,25 @@
+export const validateQuery = (schema) => async (req, res, next) => {
+  try {
+    req.query = await schema.validateAsync(req.query, { abortEarly: false });
+    next();
+  } catch (error) {
+    const errors = error.details?.reduce((acc, detail) => {
+      const key = detail.path[0];
+      if (!acc[key]) {
+        acc[key] = [];
+      }
+      acc[key].push(detail.message);
+      return acc;
+    }, {});
+
+    res.status(400).json({
+      status: 400,
+      message: 'BadRequestError',
+      data: {
+        message: 'Bad request',
+        errors,
+      },
+    });
+  }
+};
+export default validateQuery;
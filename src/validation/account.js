@@ -0,0 +1,75 @@
+import Joi from 'joi';
+import { CURRENCIES } from '../constants/currencies.js';
+import { OVERDRAFT_POLICIES } from '../constants/accounts.js';
+
+const accountTypes = ['cash', 'card', 'savings', 'credit'];
+
+const overdraftKeys = {
+  overdraftPolicy: Joi.string()
+    .valid(...OVERDRAFT_POLICIES)
+    .messages({ 'any.only': `Overdraft policy must be one of: ${OVERDRAFT_POLICIES.join(', ')}.` }),
+  creditLimit: Joi.number().min(0).allow(null).messages({
+    'number.base': 'Credit limit must be a number.',
+    'number.min': 'Credit limit cannot be negative.',
+  }),
+};
+
+export const accountValidationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required().messages({
+    'any.required': 'Account name is required.',
+    'string.empty': 'Account name cannot be empty.',
+  }),
+  type: Joi.string()
+    .valid(...accountTypes)
+    .default('cash')
+    .messages({ 'any.only': `Account type must be one of: ${accountTypes.join(', ')}.` }),
+  currency: Joi.string()
+    .valid(...CURRENCIES)
+    .default('UAH'),
+  balance: Joi.number().default(0),
+  ...overdraftKeys,
+});
+
+export const accountUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50),
+  type: Joi.string()
+    .valid(...accountTypes)
+    .messages({ 'any.only': `Account type must be one of: ${accountTypes.join(', ')}.` }),
+  currency: Joi.string().valid(...CURRENCIES),
+  isArchived: Joi.boolean(),
+  ...overdraftKeys,
+})
+  .min(1)
+  .messages({ 'object.min': 'At least one field must be provided.' });
+
+export const accountQuerySchema = Joi.object({
+  includeArchived: Joi.boolean().default(false),
+});
+
+export const balanceUpdateSchema = Joi.object({
+  balance: Joi.number().required().messages({
+    'number.base': 'Balance must be a number.',
+    'any.required': 'Balance is required.',
+  }),
+  accountId: Joi.string().hex().length(24),
+  description: Joi.string().trim().max(200),
+});
+
+export const reconcileSchema = Joi.object({
+  accountId: Joi.string().hex().length(24),
+  strategy: Joi.string().valid('recompute', 'record').default('recompute').messages({
+    'any.only': 'Strategy must be "recompute" (trust transactions) or "record" (trust stored balances).',
+  }),
+});
+
+export const balanceHistoryQuerySchema = Joi.object({
+  from: Joi.date(),
+  to: Joi.date()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': 'To must not be earlier than from.' }),
+  granularity: Joi.string()
+    .valid('day', 'week', 'month')
+    .default('day')
+    .messages({ 'any.only': 'Granularity must be one of: day, week, month.' }),
+  accountId: Joi.alternatives().try(Joi.array().items(Joi.string().hex().length(24)), Joi.string().hex().length(24)),
+});
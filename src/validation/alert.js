@@ -0,0 +1,49 @@
+import Joi from 'joi';
+import { ALERT_RULE_TYPES } from '../constants/alerts.js';
+
+const threshold = Joi.number().integer().min(1).max(1000).messages({
+  'number.base': 'Threshold must be a number.',
+  'number.min': 'Threshold must be between 1 and 1000 percent.',
+  'number.max': 'Threshold must be between 1 and 1000 percent.',
+});
+
+const amount = Joi.number().positive().messages({
+  'number.base': 'Amount must be a number.',
+  'number.positive': 'Amount must be a positive number.',
+});
+
+export const alertRuleValidationSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow(''),
+  type: Joi.string()
+    .valid(...ALERT_RULE_TYPES)
+    .required()
+    .messages({
+      'any.only': `Type must be one of: ${ALERT_RULE_TYPES.join(', ')}.`,
+      'any.required': 'Alert type is required.',
+    }),
+  category: Joi.string().trim().allow(null),
+  threshold: threshold.when('type', {
+    is: 'budgetThreshold',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  amount: amount.when('type', {
+    is: 'budgetThreshold',
+    then: Joi.forbidden(),
+    otherwise: Joi.required(),
+  }),
+  isActive: Joi.boolean().default(true),
+}).messages({
+  'any.required': '{#label} is required for this alert type.',
+  'any.unknown': '{#label} does not apply to this alert type.',
+});
+
+export const alertRuleUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow(''),
+  category: Joi.string().trim().allow(null),
+  threshold,
+  amount,
+  isActive: Joi.boolean(),
+})
+  .min(1)
+  .messages({ 'object.min': 'At least one field must be provided.' });
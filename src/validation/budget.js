@@ -0,0 +1,74 @@
+import Joi from 'joi';
+import { MONTH_PATTERN } from '../utils/dates.js';
+import { BUDGETING_MODES } from '../constants/budgets.js';
+
+const month = Joi.string().pattern(MONTH_PATTERN).messages({
+  'string.pattern.base': 'Month must be in YYYY-MM format.',
+});
+
+const limitSchema = Joi.object({
+  category: Joi.string().trim().required().messages({
+    'string.empty': 'Category cannot be empty.',
+    'any.required': 'Category is required.',
+  }),
+  amount: Joi.number().min(0).required().messages({
+    'number.base': 'Limit must be a number.',
+    'number.min': 'Limit cannot be negative.',
+    'any.required': 'Limit is required.',
+  }),
+});
+
+const limits = Joi.array()
+  .items(limitSchema)
+  .max(100)
+  .unique('category')
+  .messages({ 'array.unique': 'Each category can only have one limit.' });
+
+export const budgetValidationSchema = Joi.object({
+  month: month.required().messages({ 'any.required': 'Month is required.' }),
+  limits,
+  // Starts from the forecast's suggested limits; limits given alongside override them per category
+  useSuggestions: Joi.boolean().default(false),
+});
+
+export const budgetUpdateSchema = Joi.object({
+  limits: limits.required().messages({ 'any.required': 'Limits are required.' }),
+});
+
+export const budgetSuggestionQuerySchema = Joi.object({
+  month,
+});
+
+export const budgetingModeSchema = Joi.object({
+  mode: Joi.string()
+    .valid(...BUDGETING_MODES)
+    .required()
+    .messages({
+      'any.only': `Mode must be one of: ${BUDGETING_MODES.join(', ')}.`,
+      'any.required': 'Mode is required.',
+    }),
+  // Starts envelopes over from the current balance instead of resuming the previous ones
+  reset: Joi.boolean().default(false),
+});
+
+export const envelopeAssignSchema = Joi.object({
+  category: Joi.string().trim().required().messages({
+    'string.empty': 'Category cannot be empty.',
+    'any.required': 'Category is required.',
+  }),
+  amount: Joi.number().min(0).required().messages({
+    'number.base': 'Amount must be a number.',
+    'number.min': 'Amount cannot be negative.',
+    'any.required': 'Amount is required.',
+  }),
+});
+
+export const envelopeMoveSchema = Joi.object({
+  from: Joi.string().trim().required().messages({ 'any.required': 'Source envelope is required.' }),
+  to: Joi.string().trim().required().messages({ 'any.required': 'Destination envelope is required.' }),
+  amount: Joi.number().positive().required().messages({
+    'number.base': 'Amount must be a number.',
+    'number.positive': 'Amount must be a positive number.',
+    'any.required': 'Amount is required.',
+  }),
+});
@@ -0,0 +1,44 @@
+import Joi from 'joi';
+
+const objectId = Joi.string().hex().length(24);
+const color = Joi.string()
+  .pattern(/^#[0-9a-fA-F]{6}$/)
+  .messages({
+    'string.pattern.base': 'Color must be a hex value like #4CAF50.',
+  });
+
+export const categoryValidationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required().messages({
+    'any.required': 'Category name is required.',
+    'string.empty': 'Category name cannot be empty.',
+  }),
+  type: Joi.string().valid('income', 'expense').required().messages({
+    'any.only': 'Type must be either "income" or "expense".',
+    'any.required': 'Category type is required.',
+  }),
+  parentId: objectId.allow(null),
+  icon: Joi.string().max(50).allow(null),
+  color: color.allow(null),
+  mccCodes: Joi.array().items(Joi.number().integer().min(0).max(9999)),
+});
+
+export const categoryUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50),
+  parentId: objectId.allow(null),
+  icon: Joi.string().max(50).allow(null),
+  color: color.allow(null),
+  mccCodes: Joi.array().items(Joi.number().integer().min(0).max(9999)),
+  isArchived: Joi.boolean(),
+})
+  .min(1)
+  .messages({ 'object.min': 'At least one field must be provided.' });
+
+export const categoryMergeSchema = Joi.object({
+  targetId: objectId.required().messages({ 'any.required': 'Target category is required.' }),
+});
+
+export const categoryQuerySchema = Joi.object({
+  type: Joi.string().valid('income', 'expense'),
+  includeArchived: Joi.boolean().default(false),
+  tree: Joi.boolean().default(false),
+});
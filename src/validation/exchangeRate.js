@@ -0,0 +1,30 @@
+import Joi from 'joi';
+import { CURRENCIES } from '../constants/currencies.js';
+
+const currency = Joi.string()
+  .valid(...CURRENCIES)
+  .messages({ 'any.only': `Currency must be one of: ${CURRENCIES.join(', ')}.` });
+
+export const exchangeRateSchema = Joi.object({
+  currency: currency.required().messages({ 'any.required': 'Currency is required.' }),
+  rate: Joi.number().positive().required().messages({
+    'number.positive': 'Rate must be greater than zero.',
+    'any.required': 'Rate is required.',
+  }),
+  date: Joi.date().max('now').messages({ 'date.max': 'Rate date cannot be in the future.' }),
+});
+
+export const exchangeRateQuerySchema = Joi.object({
+  currency,
+  from: Joi.date(),
+  to: Joi.date()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': 'To must not be earlier than from.' }),
+});
+
+export const convertQuerySchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  from: currency.required(),
+  to: currency.required(),
+  date: Joi.date(),
+});
@@ -0,0 +1,40 @@
+import Joi from 'joi';
+import { STATEMENT_FORMATS } from '../utils/statements/index.js';
+
+const column = Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0));
+
+export const csvMappingSchema = Joi.object({
+  date: column.required().messages({ 'any.required': 'Date column is required.' }),
+  amount: column.when('signConvention', {
+    is: 'splitColumns',
+    then: Joi.forbidden(),
+    otherwise: Joi.required(),
+  }),
+  signConvention: Joi.string()
+    .valid('negativeIsExpense', 'positiveIsExpense', 'typeColumn', 'splitColumns')
+    .default('negativeIsExpense'),
+  type: column.when('signConvention', { is: 'typeColumn', then: Joi.required() }),
+  expenseValues: Joi.array().items(Joi.string()).default(['expense', 'debit', 'витрата', 'дебет']),
+  debit: column.when('signConvention', { is: 'splitColumns', then: Joi.required() }),
+  credit: column.when('signConvention', { is: 'splitColumns', then: Joi.required() }),
+  description: column,
+  category: column,
+  counterparty: column,
+  dateFormat: Joi.string(),
+  delimiter: Joi.string().valid(',', ';', '\t', '|'),
+  decimalSeparator: Joi.string().valid('.', ',').default('.'),
+  encoding: Joi.string().valid('utf-8', 'windows-1251').default('utf-8'),
+  hasHeader: Joi.boolean().default(true),
+  defaultCategory: Joi.string(),
+});
+
+export const importRequestSchema = Joi.object({
+  format: Joi.string().valid(...STATEMENT_FORMATS),
+  mapping: csvMappingSchema,
+  defaultCategory: Joi.string(),
+  dateFormat: Joi.string(),
+  encoding: Joi.string().valid('utf-8', 'windows-1251').default('utf-8'),
+  accountId: Joi.string().hex().length(24),
+  skipPossibleDuplicates: Joi.boolean().default(true),
+  excludeRows: Joi.array().items(Joi.number().integer().min(1)).default([]),
+});
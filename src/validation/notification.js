@@ -0,0 +1,12 @@
+import Joi from 'joi';
+import { NOTIFICATION_TYPES } from '../constants/notifications.js';
+
+export const notificationQuerySchema = Joi.object({
+  unreadOnly: Joi.boolean().default(false),
+  type: Joi.string()
+    .valid(...NOTIFICATION_TYPES)
+    .messages({ 'any.only': `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}.` }),
+  // Cursor: the createdAt of the last notification of the previous page
+  before: Joi.date(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
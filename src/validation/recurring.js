@@ -0,0 +1,50 @@
+import Joi from 'joi';
+
+const scheduleSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'lastBusinessDay').required().messages({
+    'any.only': 'Frequency must be one of: daily, weekly, monthly, lastBusinessDay.',
+    'any.required': 'Frequency is required.',
+  }),
+  interval: Joi.number().integer().min(1).max(365).default(1),
+  dayOfMonth: Joi.number().integer().min(1).max(31).when('frequency', {
+    is: 'monthly',
+    otherwise: Joi.forbidden(),
+  }),
+  dayOfWeek: Joi.number().integer().min(0).max(6).when('frequency', {
+    is: 'weekly',
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const categorySchema = Joi.string().trim();
+const objectId = Joi.string().hex().length(24);
+
+export const recurringValidationSchema = Joi.object({
+  accountId: objectId,
+  type: Joi.string().valid('income', 'expense').required(),
+  amount: Joi.number().positive().required(),
+  category: categorySchema.required(),
+  description: Joi.string().allow('').optional(),
+  schedule: scheduleSchema.required(),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().greater(Joi.ref('startDate')).allow(null),
+});
+
+export const recurringUpdateSchema = Joi.object({
+  accountId: objectId,
+  type: Joi.string().valid('income', 'expense'),
+  amount: Joi.number().positive(),
+  category: categorySchema,
+  description: Joi.string().allow(''),
+  schedule: scheduleSchema,
+  startDate: Joi.date(),
+  endDate: Joi.date().allow(null),
+  isActive: Joi.boolean(),
+  updateExisting: Joi.boolean().default(false),
+  effectiveFrom: Joi.date(),
+})
+  .and('type', 'category')
+  .min(1)
+  .messages({
+    'object.and': 'Type and category must be changed together.',
+  });
@@ -0,0 +1,9 @@
+import Joi from 'joi';
+import { DIGEST_PERIODS } from '../constants/digests.js';
+
+export const digestQuerySchema = Joi.object({
+  period: Joi.string()
+    .valid(...DIGEST_PERIODS)
+    .default('monthly')
+    .messages({ 'any.only': `Period must be one of: ${DIGEST_PERIODS.join(', ')}.` }),
+});
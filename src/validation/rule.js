@@ -0,0 +1,86 @@
+import Joi from 'joi';
+import { MAX_PATTERN_LENGTH, hasNestedQuantifier } from '../utils/patterns.js';
+
+const objectId = Joi.string().hex().length(24);
+
+const regexPattern = Joi.string()
+  .max(MAX_PATTERN_LENGTH)
+  .custom((value, helpers) => {
+    try {
+      new RegExp(value, 'i');
+    } catch {
+      return helpers.error('string.regex');
+    }
+    if (hasNestedQuantifier(value)) {
+      return helpers.error('string.unsafeRegex');
+    }
+    return value;
+  })
+  .messages({
+    'string.regex': 'Description pattern must be a valid regular expression.',
+    'string.unsafeRegex': 'Description pattern must not repeat a group that itself repeats or alternates, like (a+)+.',
+  });
+
+const conditionsSchema = Joi.object({
+  type: Joi.string().valid('income', 'expense'),
+  descriptionPattern: regexPattern,
+  mccCodes: Joi.array().items(Joi.number().integer().min(0).max(9999)).min(1),
+  amountMin: Joi.number().min(0),
+  amountMax: Joi.number()
+    .min(0)
+    .when('amountMin', { is: Joi.exist(), then: Joi.number().min(Joi.ref('amountMin')) })
+    .messages({ 'number.min': 'amountMax must not be less than amountMin.' }),
+  counterparty: Joi.string().trim().max(100),
+  sources: Joi.array()
+    .items(Joi.string().valid('manual', 'monobank', 'import'))
+    .min(1),
+})
+  .or('descriptionPattern', 'mccCodes', 'amountMin', 'amountMax', 'counterparty', 'sources')
+  .messages({ 'object.missing': 'At least one matching condition must be provided.' });
+
+const actionsSchema = Joi.object({
+  category: Joi.string().trim(),
+  tags: Joi.array().items(Joi.string().trim().max(50)).default([]),
+})
+  .or('category', 'tags')
+  .messages({ 'object.missing': 'A rule must set a category or tags.' });
+
+export const ruleValidationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'any.required': 'Rule name is required.',
+  }),
+  priority: Joi.number().integer().min(0).default(100),
+  isActive: Joi.boolean().default(true),
+  conditions: conditionsSchema.required(),
+  actions: actionsSchema.required(),
+});
+
+export const ruleUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  priority: Joi.number().integer().min(0),
+  isActive: Joi.boolean(),
+  conditions: conditionsSchema,
+  actions: actionsSchema,
+})
+  .min(1)
+  .messages({ 'object.min': 'At least one field must be provided.' });
+
+const periodKeys = {
+  from: Joi.date(),
+  to: Joi.date()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': 'To must not be earlier than from.' }),
+};
+
+export const rulePreviewSchema = Joi.object({
+  conditions: conditionsSchema.required(),
+  actions: actionsSchema,
+  ...periodKeys,
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+export const ruleApplySchema = Joi.object({
+  ruleIds: Joi.array().items(objectId),
+  ...periodKeys,
+  overwrite: Joi.boolean().default(false),
+});
@@ -0,0 +1,26 @@
+import Joi from 'joi';
+
+export const tagName = Joi.string().trim().min(1).max(50).messages({
+  'string.empty': 'Tag cannot be empty.',
+  'string.max': 'Tag must be at most 50 characters long.',
+});
+
+export const tagRenameSchema = Joi.object({
+  name: tagName.required().messages({ 'any.required': 'New tag name is required.' }),
+});
+
+export const tagMergeSchema = Joi.object({
+  sources: Joi.array().items(tagName).min(1).required().messages({
+    'any.required': 'Source tags are required.',
+  }),
+  target: tagName.required().messages({ 'any.required': 'Target tag is required.' }),
+});
+
+export const tagTotalsQuerySchema = Joi.object({
+  from: Joi.date(),
+  to: Joi.date()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': 'To must not be earlier than from.' }),
+  type: Joi.string().valid('income', 'expense'),
+  tag: Joi.alternatives().try(Joi.array().items(tagName), tagName),
+});
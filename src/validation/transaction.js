@@ -1,31 +1,69 @@
 import Joi from 'joi';
+import { tagName } from './tag.js';
+import { CASHFLOW_TYPES, ENTRY_TYPES, TRANSACTION_TYPES } from '../constants/transactions.js';
 
-const incomeCategories = ['Зарплата', 'Стипендія', 'Підробіток', 'Інше'];
-const expenseCategories = ['Продукти', 'Транспорт', 'Розваги', 'Комунальні платежі'];
+const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': 'Account id must be a valid id.',
+  'string.length': 'Account id must be a valid id.',
+});
 
-export const transactionValidationSchema = Joi.object({
-  type: Joi.string().valid('income', 'expense').required().messages({
-    'any.only': 'Type must be either "income" or "expense".',
-    'any.required': 'Transaction type is required.',
+const splitItemSchema = Joi.object({
+  amount: Joi.number().positive().required().messages({
+    'number.positive': 'Split amount must be a positive number.',
+    'any.required': 'Split amount is required.',
   }),
+  category: Joi.string().trim().required().messages({
+    'string.empty': 'Split category cannot be empty.',
+    'any.required': 'Split category is required.',
+  }),
+  note: Joi.string().trim().max(200).allow(''),
+});
+
+const splitsSchema = Joi.array().items(splitItemSchema).min(2).max(50).messages({
+  'array.min': 'A split transaction needs at least two line items.',
+});
+
+export const transactionValidationSchema = Joi.object({
+  accountId: objectId,
+  toAccountId: objectId
+    .when('type', {
+      is: 'transfer',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'any.required': 'Destination account is required for a transfer.',
+      'any.unknown': 'Only transfers have a destination account.',
+    }),
+  type: Joi.string()
+    .valid(...ENTRY_TYPES)
+    .required()
+    .messages({
+      'any.only': 'Type must be one of "income", "expense" or "transfer".',
+      'any.required': 'Transaction type is required.',
+    }),
   amount: Joi.number().positive().required().messages({
     'number.positive': 'Amount must be a positive number.',
     'number.base': 'Amount must be a number.',
     'any.required': 'Amount is required.',
   }),
   category: Joi.string()
-    .required()
+    .trim()
+    .optional()
     .when('type', {
-      is: 'income',
-      then: Joi.valid(...incomeCategories).messages({
-        'any.only': `For "income" type, category must be one of: ${incomeCategories.join(', ')}.`,
-        'any.required': 'Category is required.',
-      }),
-      otherwise: Joi.valid(...expenseCategories).messages({
-        'any.only': `For "expense" type, category must be one of: ${expenseCategories.join(', ')}.`,
-        'any.required': 'Category is required.',
-      }),
+      is: 'transfer',
+      then: Joi.forbidden().messages({ 'any.unknown': 'Transfers have no category.' }),
+    })
+    .when('splits', { is: Joi.exist(), then: Joi.forbidden() })
+    .messages({
+      'string.empty': 'Category cannot be empty.',
+      'any.unknown': 'Category of a split transaction is taken from its line items.',
     }),
+  splits: splitsSchema.when('type', {
+    is: 'transfer',
+    then: Joi.forbidden().messages({ 'any.unknown': 'Transfers cannot be split.' }),
+  }),
+  tags: Joi.array().items(tagName).max(20),
   description: Joi.string().allow('').optional().messages({
     'string.base': 'Description must be a string.',
   }),
@@ -33,3 +71,78 @@ export const transactionValidationSchema = Joi.object({
     'date.base': 'Date must be a valid date.',
   }),
 });
+
+export const transactionUpdateSchema = Joi.object({
+  accountId: objectId,
+  toAccountId: objectId,
+  type: Joi.string()
+    .valid(...ENTRY_TYPES)
+    .messages({
+      'any.only': 'Type must be one of "income", "expense" or "transfer".',
+    }),
+  amount: Joi.number().positive().messages({
+    'number.positive': 'Amount must be a positive number.',
+    'number.base': 'Amount must be a number.',
+  }),
+  category: Joi.string().trim().when('splits', { is: Joi.array().required(), then: Joi.forbidden() }).messages({
+    'string.empty': 'Category cannot be empty.',
+    'any.unknown': 'Category of a split transaction is taken from its line items.',
+  }),
+  splits: splitsSchema.allow(null),
+  tags: Joi.array().items(tagName).max(20),
+  description: Joi.string().allow('').messages({
+    'string.base': 'Description must be a string.',
+  }),
+  date: Joi.date().messages({
+    'date.base': 'Date must be a valid date.',
+  }),
+})
+  .with('category', 'type')
+  .when(Joi.object({ type: Joi.valid(...CASHFLOW_TYPES).required() }).unknown(), {
+    then: Joi.object().or('category', 'splits'),
+  })
+  .min(1)
+  .messages({
+    'object.with': 'Type and category must be changed together.',
+    'object.missing': 'Type must be changed together with category or splits.',
+    'object.min': 'At least one field must be provided.',
+  });
+
+const listOf = (item) => Joi.alternatives().try(Joi.array().items(item), item);
+
+const transactionFilterKeys = {
+  from: Joi.date().messages({ 'date.base': 'From must be a valid date.' }),
+  to: Joi.date()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.base': 'To must be a valid date.',
+      'date.min': 'To must not be earlier than from.',
+    }),
+  type: Joi.string().valid(...TRANSACTION_TYPES),
+  accountId: listOf(objectId),
+  category: listOf(Joi.string()),
+  tag: listOf(tagName),
+  source: listOf(Joi.string().valid('manual', 'monobank', 'import')),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number()
+    .min(0)
+    .when('minAmount', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minAmount')) })
+    .messages({
+      'number.min': 'maxAmount must not be less than minAmount.',
+    }),
+  search: Joi.string().trim().max(100).allow(''),
+  sortBy: Joi.string().valid('date', 'amount', 'createdAt').default('date'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+};
+
+export const transactionQuerySchema = Joi.object({
+  ...transactionFilterKeys,
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string(),
+});
+
+export const transactionExportSchema = Joi.object({
+  ...transactionFilterKeys,
+  format: Joi.string().valid('csv', 'xlsx', 'json').default('csv'),
+  lang: Joi.string().valid('uk', 'en').default('uk'),
+});
@@ -0,0 +1,28 @@
+import Joi from 'joi';
+import { BASE_CURRENCIES } from '../constants/currencies.js';
+import { NOTIFICATION_SEVERITIES } from '../constants/notifications.js';
+import { EMAIL_LANGUAGES } from '../constants/email.js';
+
+export const currencyQuerySchema = Joi.object({
+  currency: Joi.string()
+    .valid(...BASE_CURRENCIES)
+    .required()
+    .messages({
+      'any.only': `Currency must be one of: ${BASE_CURRENCIES.join(', ')}.`,
+      'any.required': 'Currency is required.',
+    }),
+});
+
+export const emailPreferencesSchema = Joi.object({
+  notifications: Joi.boolean(),
+  minSeverity: Joi.string()
+    .valid(...NOTIFICATION_SEVERITIES)
+    .messages({ 'any.only': `Minimum severity must be one of: ${NOTIFICATION_SEVERITIES.join(', ')}.` }),
+  weeklyDigest: Joi.boolean(),
+  monthlyDigest: Joi.boolean(),
+  language: Joi.string()
+    .valid(...EMAIL_LANGUAGES)
+    .messages({ 'any.only': `Language must be one of: ${EMAIL_LANGUAGES.join(', ')}.` }),
+})
+  .min(1)
+  .messages({ 'object.min': 'At least one field must be provided.' });
@@ -0,0 +1,607 @@
+import mongoose from 'mongoose';
+
+// An in-memory stand-in for the MongoDB driver collections behind the app's models. Mongoose still casts
+// filters and updates and runs setters and getters; only the storage underneath is replaced, with enough of
+// MongoDB's query, update and aggregation language for the services under test. Anything it does not know
+// throws, so a test never passes on an operator that was silently ignored.
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !isObjectId(value) &&
+  !(value instanceof Date);
+
+const clone = (value) => {
+  if (isObjectId(value)) return new mongoose.Types.ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value);
+  // Mongoose arrays and subdocuments can reach the driver inside updates; they are copied as plain values
+  if (Array.isArray(value)) return Array.from(value, clone);
+  if (typeof value?.toBSON === 'function') return clone(value.toBSON());
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+
+const TYPE_ORDER = ['null', 'number', 'string', 'object', 'array', 'objectId', 'boolean', 'date'];
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (isObjectId(value)) return 'objectId';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const compare = (a, b) => {
+  const [typeA, typeB] = [typeOf(a), typeOf(b)];
+  if (typeA !== typeB) return Math.sign(TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB));
+  if (typeA === 'null') return 0;
+  if (typeA === 'objectId') return Math.sign(a.toHexString().localeCompare(b.toHexString()));
+  if (typeA === 'date') return Math.sign(a.getTime() - b.getTime());
+  if (typeA === 'array' || typeA === 'object') return Math.sign(JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const isEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => isEqual(a[key], b[key]));
+  }
+  return typeOf(a) === typeOf(b) && compare(a, b) === 0;
+};
+
+// Every value a dotted path reaches, descending into arrays along the way
+const resolvePath = (value, path) => {
+  if (path === '') return [value];
+  const [head, ...rest] = path.split('.');
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) return resolvePath(value[Number(head)], rest.join('.'));
+    return value.flatMap((item) => resolvePath(item, path));
+  }
+  if (!isPlainObject(value) || !(head in value)) return [undefined];
+  return resolvePath(value[head], rest.join('.'));
+};
+
+const getPath = (document, path) => path.split('.').reduce((value, key) => value?.[key], document);
+
+// A field condition holds when any value the path reaches, or any element of an array there, satisfies it
+const candidatesOf = (values) => values.flatMap((value) => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const toRegExp = (pattern, options = '') => (pattern instanceof RegExp ? pattern : new RegExp(pattern, options));
+
+const FIELD_OPERATORS = {
+  $eq: (values, expected) => candidatesOf(values).some((value) => isEqual(value ?? null, expected ?? null)),
+  $ne: (values, expected) => !FIELD_OPERATORS.$eq(values, expected),
+  $gt: (values, bound) => candidatesOf(values).some((v) => typeOf(v) === typeOf(bound) && compare(v, bound) > 0),
+  $gte: (values, bound) => candidatesOf(values).some((v) => typeOf(v) === typeOf(bound) && compare(v, bound) >= 0),
+  $lt: (values, bound) => candidatesOf(values).some((v) => typeOf(v) === typeOf(bound) && compare(v, bound) < 0),
+  $lte: (values, bound) => candidatesOf(values).some((v) => typeOf(v) === typeOf(bound) && compare(v, bound) <= 0),
+  $in: (values, list) =>
+    list.some((expected) =>
+      expected instanceof RegExp
+        ? candidatesOf(values).some((value) => typeof value === 'string' && expected.test(value))
+        : FIELD_OPERATORS.$eq(values, expected),
+    ),
+  $nin: (values, list) => !FIELD_OPERATORS.$in(values, list),
+  $exists: (values, shouldExist) => values.some((value) => value !== undefined) === Boolean(shouldExist),
+  $regex: (values, pattern, condition) =>
+    candidatesOf(values).some(
+      (value) => typeof value === 'string' && toRegExp(pattern, condition.$options).test(value),
+    ),
+  $options: () => true,
+  $size: (values, size) => values.some((value) => Array.isArray(value) && value.length === size),
+  $all: (values, list) => list.every((expected) => FIELD_OPERATORS.$eq(values, expected)),
+  $elemMatch: (values, query) =>
+    values.some((value) => Array.isArray(value) && value.some((item) => matchesCondition(item, query))),
+  $not: (values, condition) => !matchesField(values, condition),
+};
+
+const matchesField = (values, condition) => {
+  if (condition instanceof RegExp) return FIELD_OPERATORS.$regex(values, condition, {});
+  if (isPlainObject(condition) && Object.keys(condition).some((key) => key.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!FIELD_OPERATORS[operator]) throw new Error(`memoryDb: unsupported query operator ${operator}`);
+      return FIELD_OPERATORS[operator](values, operand, condition);
+    });
+  }
+  return FIELD_OPERATORS.$eq(values, condition);
+};
+
+// $elemMatch on arrays of documents takes a query, on arrays of values an operator expression
+const matchesCondition = (item, query) =>
+  isPlainObject(item) && !Object.keys(query).some((key) => key.startsWith('$') && FIELD_OPERATORS[key])
+    ? matches(item, query)
+    : matchesField([item], query);
+
+export const matches = (document, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matches(document, part));
+    if (key === '$or') return condition.some((part) => matches(document, part));
+    if (key === '$nor') return !condition.some((part) => matches(document, part));
+    if (key.startsWith('$')) throw new Error(`memoryDb: unsupported query operator ${key}`);
+    return matchesField(resolvePath(document, key), condition);
+  });
+
+const sortDocuments = (documents, sort) => {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return documents;
+  return [...documents].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compare(getPath(a, path) ?? null, getPath(b, path) ?? null);
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+};
+
+// Update paths may address array elements by index, by the first element the filter matched ($) or by
+// named array filters ($[name])
+const setPaths = (document, path, callback, context, create = true) => {
+  const [head, ...rest] = path.split('.');
+  const isLast = rest.length === 0;
+
+  if (head === '$' || head.startsWith('$[')) {
+    if (!Array.isArray(document)) return;
+    const indexes =
+      head === '$'
+        ? [document.findIndex((item) => context.positional(item))]
+        : document
+            .map((item, index) => [item, index])
+            .filter(([item]) => head === '$[]' || context.arrayFilter(head.slice(2, -1), item))
+            .map(([, index]) => index);
+    indexes
+      .filter((index) => index >= 0)
+      .forEach((index) => {
+        if (isLast) document[index] = callback(document[index]);
+        else setPaths(document[index], rest.join('.'), callback, context, create);
+      });
+    return;
+  }
+
+  if (isLast) {
+    const next = callback(document[head]);
+    if (next === undefined) delete document[head];
+    else document[head] = next;
+    return;
+  }
+  if (document[head] === undefined || document[head] === null) {
+    if (!create) return;
+    document[head] = /^\d+$/.test(rest[0]) ? [] : {};
+  }
+  setPaths(document[head], rest.join('.'), callback, context, create);
+};
+
+const UPDATE_OPERATORS = {
+  $set: (current, value) => clone(value),
+  $setOnInsert: () => undefined,
+  $unset: () => undefined,
+  $inc: (current, value) => (current ?? 0) + value,
+  $min: (current, value) => (current === undefined || compare(value, current) < 0 ? value : current),
+  $max: (current, value) => (current === undefined || compare(value, current) > 0 ? value : current),
+  $push: (current, value) => [...(current || []), ...(isPlainObject(value) && value.$each ? value.$each : [value])],
+  $addToSet: (current, value) => {
+    const items = isPlainObject(value) && value.$each ? value.$each : [value];
+    return items.reduce(
+      (list, item) => (list.some((existing) => isEqual(existing, item)) ? list : [...list, item]),
+      [...(current || [])],
+    );
+  },
+  $pull: (current, condition) =>
+    (current || []).filter((item) =>
+      isPlainObject(condition) ? !matchesCondition(item, condition) : !isEqual(item, condition),
+    ),
+};
+
+const applyUpdate = (document, update, { filter = {}, arrayFilters = [], isInsert = false } = {}) => {
+  const namedFilters = Object.fromEntries(
+    arrayFilters.flatMap((arrayFilter) =>
+      Object.entries(arrayFilter).map(([key, condition]) => {
+        const [name, ...rest] = key.split('.');
+        return [name, { path: rest.join('.'), condition }];
+      }),
+    ),
+  );
+  const context = {
+    arrayFilter: (name, item) => {
+      const { path, condition } = namedFilters[name];
+      return path ? matches(item, { [path]: condition }) : matchesField([item], condition);
+    },
+    positional: (item) =>
+      Object.entries(filter).some(([key, condition]) => {
+        const [, ...rest] = key.split('.');
+        return rest.length > 0 ? matches(item, { [rest.join('.')]: condition }) : false;
+      }),
+  };
+
+  if (!Object.keys(update).some((key) => key.startsWith('$'))) {
+    Object.keys(document)
+      .filter((key) => key !== '_id')
+      .forEach((key) => delete document[key]);
+    Object.assign(document, clone(update));
+    return;
+  }
+
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (operator === '$setOnInsert') {
+      if (isInsert)
+        Object.entries(fields).forEach(([path, value]) => setPaths(document, path, () => clone(value), context));
+      return;
+    }
+    const apply = UPDATE_OPERATORS[operator];
+    if (!apply) throw new Error(`memoryDb: unsupported update operator ${operator}`);
+    Object.entries(fields).forEach(([path, value]) =>
+      setPaths(document, path, (current) => apply(current, value), context, operator !== '$unset'),
+    );
+  });
+};
+
+// Equality conditions of a filter become fields of a document created by an upsert
+const seedFromFilter = (filter) => {
+  const document = {};
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (key === '$and') condition.forEach((part) => Object.assign(document, seedFromFilter(part)));
+    if (key.startsWith('$')) return;
+    if (isPlainObject(condition) && Object.keys(condition).some((operator) => operator.startsWith('$'))) {
+      if ('$eq' in condition) setPaths(document, key, () => clone(condition.$eq), {});
+      return;
+    }
+    setPaths(document, key, () => clone(condition), {});
+  });
+  return document;
+};
+
+const project = (document, projection) => {
+  const fields = Object.entries(projection || {}).filter(([key]) => key !== '_id');
+  if (fields.length === 0 || !fields.some(([, include]) => include)) {
+    const copy = clone(document);
+    fields.forEach(([key]) => delete copy[key]);
+    if (projection?._id === 0) delete copy._id;
+    return copy;
+  }
+  const copy = projection._id === 0 ? {} : { _id: clone(document._id) };
+  fields.forEach(([key]) => {
+    const value = getPath(document, key);
+    if (value !== undefined) setPaths(copy, key, () => clone(value), {});
+  });
+  return copy;
+};
+
+const createCursor = (load) => {
+  let documents = null;
+  let position = 0;
+  const all = () => (documents ??= load());
+  return {
+    toArray: async () => all().slice(position),
+    next: async () => all()[position++] ?? null,
+    hasNext: async () => position < all().length,
+    close: async () => {},
+    rewind: () => {
+      position = 0;
+    },
+    addCursorFlag() {},
+    async *[Symbol.asyncIterator]() {
+      while (position < all().length) yield all()[position++];
+    },
+  };
+};
+
+// Aggregation expressions: field paths, literals and the handful of operators the reports use
+const evaluate = (expression, document) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(document, expression.slice(1));
+  if (Array.isArray(expression)) return expression.map((item) => evaluate(item, document));
+  if (!isPlainObject(expression)) return expression;
+
+  const [operator] = Object.keys(expression);
+  if (!operator?.startsWith('$')) {
+    return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, document)]));
+  }
+  const args = [].concat(expression[operator]).map((item) => evaluate(item, document));
+  switch (operator) {
+    case '$add':
+      return args.reduce((sum, value) => sum + (value ?? 0), 0);
+    case '$subtract':
+      return args[0] - args[1];
+    case '$multiply':
+      return args.reduce((product, value) => product * value, 1);
+    case '$abs':
+      return Math.abs(args[0]);
+    case '$ifNull':
+      return args[0] ?? args[1];
+    case '$eq':
+      return isEqual(args[0], args[1]);
+    case '$cond':
+      return isPlainObject(expression.$cond)
+        ? evaluate(expression.$cond[evaluate(expression.$cond.if, document) ? 'then' : 'else'], document)
+        : args[0]
+          ? args[1]
+          : args[2];
+    case '$in':
+      return args[1].some((item) => isEqual(item, args[0]));
+    case '$dateToString':
+      return evaluate(expression.$dateToString.date, document)
+        .toISOString()
+        .slice(0, expression.$dateToString.format === '%Y-%m' ? 7 : 10);
+    default:
+      throw new Error(`memoryDb: unsupported aggregation operator ${operator}`);
+  }
+};
+
+const ACCUMULATORS = {
+  $sum: (values) => values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0),
+  $avg: (values) => (values.length ? ACCUMULATORS.$sum(values) / values.length : null),
+  $min: (values) => values.reduce((min, value) => (min === null || compare(value, min) < 0 ? value : min), null),
+  $max: (values) => values.reduce((max, value) => (max === null || compare(value, max) > 0 ? value : max), null),
+  $first: (values) => values[0] ?? null,
+  $last: (values) => values[values.length - 1] ?? null,
+  $push: (values) => values,
+  $addToSet: (values) => values.filter((value, index) => values.findIndex((item) => isEqual(item, value)) === index),
+};
+
+const STAGES = {
+  $match: (documents, filter) => documents.filter((document) => matches(document, filter)),
+  $sort: (documents, sort) => sortDocuments(documents, sort),
+  $limit: (documents, limit) => documents.slice(0, limit),
+  $skip: (documents, skip) => documents.slice(skip),
+  $project: (documents, projection) =>
+    documents.map((document) => {
+      const isComputed = Object.values(projection).some(
+        (value) => typeof value !== 'number' && typeof value !== 'boolean',
+      );
+      if (!isComputed) return project(document, projection);
+      const result = projection._id === 0 ? {} : { _id: document._id };
+      Object.entries(projection).forEach(([key, value]) => {
+        if (key === '_id') return;
+        result[key] = value === 1 || value === true ? getPath(document, key) : evaluate(value, document);
+      });
+      return result;
+    }),
+  $addFields: (documents, fields) =>
+    documents.map((document) => ({
+      ...document,
+      ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, evaluate(value, document)])),
+    })),
+  $unwind: (documents, path) => {
+    const field = (typeof path === 'string' ? path : path.path).slice(1);
+    return documents.flatMap((document) =>
+      (getPath(document, field) || []).map((item) => {
+        const copy = clone(document);
+        setPaths(copy, field, () => item, {});
+        return copy;
+      }),
+    );
+  },
+  $group: (documents, { _id: key, ...fields }) => {
+    const groups = new Map();
+    documents.forEach((document) => {
+      const id = evaluate(key, document) ?? null;
+      const hash = JSON.stringify(id);
+      if (!groups.has(hash)) groups.set(hash, { id, documents: [] });
+      groups.get(hash).documents.push(document);
+    });
+    return [...groups.values()].map(({ id, documents: members }) => ({
+      _id: id,
+      ...Object.fromEntries(
+        Object.entries(fields).map(([field, accumulator]) => {
+          const [operator] = Object.keys(accumulator);
+          if (!ACCUMULATORS[operator]) throw new Error(`memoryDb: unsupported accumulator ${operator}`);
+          return [field, ACCUMULATORS[operator](members.map((member) => evaluate(accumulator[operator], member)))];
+        }),
+      ),
+    }));
+  },
+  $count: (documents, field) => (documents.length ? [{ [field]: documents.length }] : []),
+};
+
+const duplicateKeyError = (collectionName, index) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${index}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  return error;
+};
+
+class MemoryCollection {
+  constructor(name, uniqueIndexes) {
+    this.name = name;
+    this.uniqueIndexes = uniqueIndexes;
+    this.documents = [];
+  }
+
+  // Rejects a document that collides with another one on _id or on one of the schema's unique indexes
+  assertUnique(document, ignored = null) {
+    const others = this.documents.filter((other) => other !== ignored);
+    [['_id'], ...this.uniqueIndexes].forEach((fields) => {
+      const collides = others.some((other) =>
+        fields.every((field) => isEqual(getPath(other, field), getPath(document, field))),
+      );
+      if (collides) throw duplicateKeyError(this.name, fields.join('_'));
+    });
+  }
+
+  store(document) {
+    const stored = clone(document);
+    stored._id ??= new mongoose.Types.ObjectId();
+    this.assertUnique(stored);
+    this.documents.push(stored);
+    return stored;
+  }
+
+  select(filter, { sort, skip = 0, limit = 0 } = {}) {
+    const found = sortDocuments(
+      this.documents.filter((document) => matches(document, filter)),
+      sort,
+    ).slice(skip);
+    return limit ? found.slice(0, Math.abs(limit)) : found;
+  }
+
+  updateDocument(document, update, options) {
+    const updated = clone(document);
+    applyUpdate(updated, update, options);
+    this.assertUnique(updated, document);
+    this.documents[this.documents.indexOf(document)] = updated;
+    return updated;
+  }
+
+  upsert(filter, update, options) {
+    const document = { ...seedFromFilter(filter) };
+    applyUpdate(document, update, { ...options, filter, isInsert: true });
+    return this.store(document);
+  }
+
+  find(filter = {}, options = {}) {
+    return createCursor(() => this.select(filter, options).map((document) => project(document, options.projection)));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [document] = this.select(filter, { ...options, limit: 1 });
+    return document ? project(document, options.projection) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.select(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.select(filter)
+      .flatMap((document) => resolvePath(document, field))
+      .flatMap((value) => (Array.isArray(value) ? value : [value]))
+      .filter((value) => value !== undefined);
+    return values.filter((value, index) => values.findIndex((item) => isEqual(item, value)) === index);
+  }
+
+  async insertOne(document) {
+    const stored = this.store(document);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(documents, { ordered = true } = {}) {
+    const insertedIds = {};
+    let firstError = null;
+    documents.forEach((document, index) => {
+      if (firstError && ordered) return;
+      try {
+        insertedIds[index] = this.store(document)._id;
+      } catch (error) {
+        firstError ??= error;
+      }
+    });
+    if (firstError) throw firstError;
+    return { acknowledged: true, insertedCount: documents.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [document] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!document) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const created = this.upsert(filter, update, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+    }
+    this.updateDocument(document, update, { ...options, filter });
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const documents = this.select(filter);
+    if (documents.length === 0 && options.upsert) return this.updateOne(filter, update, options);
+    documents.forEach((document) => this.updateDocument(document, update, { ...options, filter }));
+    return { acknowledged: true, matchedCount: documents.length, modifiedCount: documents.length, upsertedCount: 0 };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [document] = this.select(filter, { sort: options.sort, limit: 1 });
+    const returnNew = options.returnDocument === 'after';
+    let result;
+    if (!document) {
+      if (!options.upsert) return null;
+      const created = this.upsert(filter, update, options);
+      result = returnNew ? created : null;
+    } else {
+      const updated = this.updateDocument(document, update, { ...options, filter });
+      result = returnNew ? updated : document;
+    }
+    return result ? project(result, options.projection) : null;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [document] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!document) return null;
+    this.documents.splice(this.documents.indexOf(document), 1);
+    return clone(document);
+  }
+
+  async deleteOne(filter) {
+    const [document] = this.select(filter, { limit: 1 });
+    if (document) this.documents.splice(this.documents.indexOf(document), 1);
+    return { acknowledged: true, deletedCount: document ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const removed = this.select(filter);
+    this.documents = this.documents.filter((document) => !removed.includes(document));
+    return { acknowledged: true, deletedCount: removed.length };
+  }
+
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      const [type] = Object.keys(operation);
+      const { filter, update, upsert, arrayFilters, document, replacement } = operation[type];
+      let outcome;
+      if (type === 'insertOne') {
+        this.store(document);
+        result.insertedCount += 1;
+        continue;
+      } else if (type === 'updateOne') outcome = await this.updateOne(filter, update, { upsert, arrayFilters });
+      else if (type === 'updateMany') outcome = await this.updateMany(filter, update, { upsert, arrayFilters });
+      else if (type === 'replaceOne') outcome = await this.updateOne(filter, replacement, { upsert });
+      else if (type === 'deleteOne') outcome = await this.deleteOne(filter);
+      else if (type === 'deleteMany') outcome = await this.deleteMany(filter);
+      else throw new Error(`memoryDb: unsupported bulk operation ${type}`);
+
+      result.matchedCount += outcome.matchedCount || 0;
+      result.modifiedCount += outcome.modifiedCount || 0;
+      result.deletedCount += outcome.deletedCount || 0;
+      result.upsertedCount += outcome.upsertedCount || 0;
+    }
+    return { acknowledged: true, ...result, isOk: () => true };
+  }
+
+  aggregate(pipeline) {
+    return createCursor(() =>
+      pipeline.reduce((documents, stage) => {
+        const [name] = Object.keys(stage);
+        if (!STAGES[name]) throw new Error(`memoryDb: unsupported aggregation stage ${name}`);
+        return STAGES[name](documents, stage[name]);
+      }, clone(this.documents)),
+    );
+  }
+
+  async createIndex() {
+    return 'index';
+  }
+}
+
+const uniqueIndexesOf = (model) =>
+  model.schema
+    .indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields]) => Object.keys(fields));
+
+// Puts every registered model on a fresh in-memory collection; call it again to start from an empty database
+export const useMemoryDb = () => {
+  const collections = {};
+  mongoose.modelNames().forEach((name) => {
+    const model = mongoose.model(name);
+    const collection = new MemoryCollection(model.collection.name, uniqueIndexesOf(model));
+    model.collection.collection = collection;
+    model.collection.buffer = false;
+    collections[name] = collection;
+  });
+  return collections;
+};
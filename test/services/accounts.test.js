@@ -0,0 +1,46 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+import UserCollection from '../../src/db/models/User.js';
+import { AccountCollection } from '../../src/db/models/Account.js';
+import { TransactionCollection } from '../../src/db/models/Transaction.js';
+import { linkMonobankAccount } from '../../src/services/accounts.js';
+
+// Statement items carry signed amounts in minor units
+const statement = [
+  { id: 'op-1', amount: -15000, time: 1790000000 },
+  { id: 'op-2', amount: 5025, time: 1790100000 },
+];
+
+describe('linking a Monobank account', () => {
+  let user;
+
+  beforeEach(async () => {
+    useMemoryDb();
+    user = await UserCollection.create({ email: 'olena@example.com', password: 'x', currency: 'UAH' });
+  });
+
+  it('opens with the bank balance before the synced operations', async () => {
+    const monoAccount = { id: 'mono-1', name: '*1234', currencyCode: 980, balance: 1000 };
+
+    const account = await linkMonobankAccount(user._id, monoAccount, statement);
+
+    assert.equal(account.balance, 1099.75);
+    assert.equal(account.type, 'monobank');
+    const opening = await TransactionCollection.findOne({ accountId: account._id, type: 'adjustment' });
+    assert.equal(opening.amount, 1099.75);
+    assert.equal((await UserCollection.findById(user._id)).balance, 1099.75);
+  });
+
+  it('leaves an account that is already linked as it is', async () => {
+    const monoAccount = { id: 'mono-1', name: '*1234', currencyCode: 980, balance: 1000 };
+    const first = await linkMonobankAccount(user._id, monoAccount, statement);
+
+    const second = await linkMonobankAccount(user._id, { ...monoAccount, balance: 50 }, []);
+
+    assert.equal(String(second._id), String(first._id));
+    assert.equal(second.balance, 1099.75);
+    assert.equal(await AccountCollection.countDocuments({ userId: user._id, type: 'monobank' }), 1);
+    assert.equal(await TransactionCollection.countDocuments({ userId: user._id, type: 'adjustment' }), 1);
+  });
+});
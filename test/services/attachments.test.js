@@ -0,0 +1,131 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { text } from 'node:stream/consumers';
+import mongoose from 'mongoose';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+
+process.env.ATTACHMENT_URL_SECRET = 'test-secret';
+process.env.ATTACHMENT_URL_TTL_MINUTES = '15';
+
+const { AttachmentCollection } = await import('../../src/db/models/Attachment.js');
+const { TransactionCollection } = await import('../../src/db/models/Transaction.js');
+const { setStorage } = await import('../../src/utils/storage/index.js');
+const { createLocalStorage } = await import('../../src/utils/storage/local.js');
+const { addAttachment, openSignedDownload, removeTransactionAttachments } =
+  await import('../../src/services/attachments.js');
+
+const TTL = 15 * 60 * 1000;
+const PNG = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.from('image data')]);
+
+const exists = (filePath) =>
+  access(filePath).then(
+    () => true,
+    () => false,
+  );
+
+const searchParams = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('attachments', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let transactionId;
+  let rootDir;
+
+  before(async () => {
+    rootDir = await mkdtemp(path.join(tmpdir(), 'attachments-'));
+    setStorage(createLocalStorage({ rootDir }));
+  });
+
+  after(async () => {
+    setStorage(null);
+    await rm(rootDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    useMemoryDb();
+    const transaction = await TransactionCollection.create({
+      userId,
+      type: 'expense',
+      amount: 120,
+      category: 'Продукти',
+    });
+    transactionId = transaction._id;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const upload = () =>
+    addAttachment(userId, transactionId, {
+      buffer: PNG,
+      mimetype: 'image/png',
+      originalname: 'receipt.png',
+      size: PNG.length,
+    });
+
+  it('stores the file and serves it through the signed link', async () => {
+    const attachment = await upload();
+
+    assert.equal(attachment.storage, 'local');
+    assert.match(attachment.storageKey, new RegExp(`^${userId}/${transactionId}/.+\\.png$`));
+    assert.equal(await exists(path.join(rootDir, attachment.storageKey)), true);
+
+    const { stream } = await openSignedDownload(attachment._id, searchParams(attachment.download.url));
+    assert.equal(await text(stream), PNG.toString());
+  });
+
+  it('rejects content that does not match the declared type', async () => {
+    const file = { buffer: Buffer.from('not a pdf'), mimetype: 'application/pdf', originalname: 'a.pdf', size: 9 };
+
+    await assert.rejects(addAttachment(userId, transactionId, file), { status: 415 });
+  });
+
+  it('rejects links with a tampered signature, expiry or attachment', async () => {
+    const attachment = await upload();
+    const { expires, signature } = searchParams(attachment.download.url);
+    const forged = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+    await assert.rejects(openSignedDownload(attachment._id, { expires, signature: forged }), {
+      status: 403,
+      message: 'Invalid download link',
+    });
+    await assert.rejects(openSignedDownload(attachment._id, { expires: Number(expires) + TTL, signature }), {
+      status: 403,
+      message: 'Invalid download link',
+    });
+    await assert.rejects(openSignedDownload(new mongoose.Types.ObjectId(), { expires, signature }), {
+      status: 403,
+      message: 'Invalid download link',
+    });
+    await assert.rejects(openSignedDownload(attachment._id, { expires }), { status: 403 });
+  });
+
+  it('rejects links once they have expired', async () => {
+    const attachment = await upload();
+    const params = searchParams(attachment.download.url);
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + TTL + 1000);
+
+    await assert.rejects(openSignedDownload(attachment._id, params), {
+      status: 403,
+      message: 'Download link has expired',
+    });
+  });
+
+  it('removes files and records of a deleted transaction', async () => {
+    const first = await upload();
+    const second = await addAttachment(userId, transactionId, {
+      buffer: PNG,
+      mimetype: 'image/png',
+      originalname: 'second.png',
+      size: PNG.length,
+    });
+    // A file that is already gone must not keep the records from being cleaned up
+    await rm(path.join(rootDir, second.storageKey));
+
+    assert.equal(await removeTransactionAttachments(userId, transactionId), 2);
+    assert.equal(await exists(path.join(rootDir, first.storageKey)), false);
+    assert.equal(await AttachmentCollection.countDocuments({ transactionId }), 0);
+  });
+});
@@ -0,0 +1,65 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+import { AccountCollection } from '../../src/db/models/Account.js';
+import { BalanceSnapshotCollection } from '../../src/db/models/BalanceSnapshot.js';
+import { getMinimumBalanceSince, recordBalanceChanges } from '../../src/services/balanceHistory.js';
+import { addUtcDays, startOfUtcDay } from '../../src/utils/dates.js';
+
+const today = startOfUtcDay(new Date());
+const daysAgo = (days) => addUtcDays(today, -days);
+
+const snapshotsOf = async (accountId) =>
+  (await BalanceSnapshotCollection.find({ accountId }).sort({ date: 1 })).map(({ date, balance }) => [
+    Math.round((today - date) / (24 * 60 * 60 * 1000)),
+    balance,
+  ]);
+
+describe('balance history', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let account;
+
+  beforeEach(async () => {
+    useMemoryDb();
+    account = await AccountCollection.create({ userId, name: 'Card', balance: 900 });
+    await BalanceSnapshotCollection.create([
+      { userId, accountId: account._id, date: daysAgo(10), balance: 1000 },
+      { userId, accountId: account._id, date: daysAgo(3), balance: 900 },
+      { userId, accountId: account._id, date: today, balance: 900 },
+    ]);
+  });
+
+  it('gives a backdated change its own snapshot before moving the later ones', async () => {
+    await AccountCollection.updateOne({ _id: account._id }, { $inc: { balance: -50 } });
+
+    await recordBalanceChanges(userId, [{ accountId: account._id, amount: -50, date: daysAgo(7) }]);
+
+    assert.deepEqual(await snapshotsOf(account._id), [
+      [10, 1000],
+      [7, 950],
+      [3, 850],
+      [0, 850],
+    ]);
+  });
+
+  it('moves the snapshot of a day that already has one', async () => {
+    await AccountCollection.updateOne({ _id: account._id }, { $inc: { balance: 25.5 } });
+
+    await recordBalanceChanges(userId, [{ accountId: account._id, amount: 25.5, date: daysAgo(3) }]);
+
+    assert.deepEqual(await snapshotsOf(account._id), [
+      [10, 1000],
+      [3, 925.5],
+      [0, 925.5],
+    ]);
+  });
+
+  it('finds the lowest end-of-day balance from a date through today', async () => {
+    await BalanceSnapshotCollection.create({ userId, accountId: account._id, date: daysAgo(5), balance: 120 });
+
+    assert.equal(await getMinimumBalanceSince(account, daysAgo(8)), 120);
+    assert.equal(await getMinimumBalanceSince(account, daysAgo(3)), 900);
+    assert.equal(await getMinimumBalanceSince(account, daysAgo(20)), 120);
+  });
+});
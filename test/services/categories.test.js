@@ -0,0 +1,154 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+import { CategoryCollection } from '../../src/db/models/Category.js';
+import { CategoryRuleCollection } from '../../src/db/models/CategoryRule.js';
+import { BudgetCollection } from '../../src/db/models/Budget.js';
+import { EnvelopeCollection } from '../../src/db/models/Envelope.js';
+import { AlertRuleCollection } from '../../src/db/models/AlertRule.js';
+import { ensureDefaultCategories, mergeCategory, updateCategory } from '../../src/services/categories.js';
+import { getRuleEngine } from '../../src/services/rules.js';
+
+const findCategory = (userId, name) => CategoryCollection.findOne({ userId, name });
+
+describe('renaming and merging categories', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let groceries;
+  let fun;
+
+  beforeEach(async () => {
+    useMemoryDb();
+    await ensureDefaultCategories(userId);
+    groceries = await findCategory(userId, 'Продукти');
+    fun = await findCategory(userId, 'Розваги');
+  });
+
+  describe('rules', () => {
+    beforeEach(async () => {
+      await CategoryRuleCollection.create([
+        {
+          userId,
+          name: 'Supermarket',
+          conditions: { type: 'expense', descriptionPattern: 'silpo' },
+          actions: { category: 'Продукти' },
+        },
+        {
+          userId,
+          name: 'Cinema',
+          conditions: { type: 'expense', descriptionPattern: 'multiplex' },
+          actions: { category: 'Розваги' },
+        },
+      ]);
+    });
+
+    it('keep assigning a renamed category', async () => {
+      await updateCategory(userId, groceries._id, { name: 'Їжа' });
+
+      const applyRules = await getRuleEngine(userId);
+      assert.equal(applyRules({ type: 'expense', description: 'SILPO 12', amount: 100 }).category, 'Їжа');
+      assert.equal(applyRules({ type: 'expense', description: 'Multiplex', amount: 100 }).category, 'Розваги');
+    });
+
+    it('assign the target of a merge', async () => {
+      await mergeCategory(userId, fun._id, groceries._id);
+
+      const applyRules = await getRuleEngine(userId);
+      assert.equal(applyRules({ type: 'expense', description: 'Multiplex', amount: 100 }).category, 'Продукти');
+    });
+  });
+
+  describe('budgets', () => {
+    const limitsOf = async (month) =>
+      (await BudgetCollection.findOne({ userId, month })).limits.map(({ category, amount }) => [category, amount]);
+
+    beforeEach(async () => {
+      await BudgetCollection.create([
+        {
+          userId,
+          month: '2026-09',
+          limits: [
+            { category: 'Продукти', amount: 4000.5 },
+            { category: 'Розваги', amount: 800 },
+          ],
+        },
+        { userId, month: '2026-10', limits: [{ category: 'Розваги', amount: 600 }] },
+      ]);
+    });
+
+    it('keep the limits of a renamed category', async () => {
+      await updateCategory(userId, fun._id, { name: 'Дозвілля' });
+
+      assert.deepEqual(await limitsOf('2026-09'), [
+        ['Продукти', 4000.5],
+        ['Дозвілля', 800],
+      ]);
+      assert.deepEqual(await limitsOf('2026-10'), [['Дозвілля', 600]]);
+    });
+
+    it('add the limit of a merged category to the target', async () => {
+      await mergeCategory(userId, fun._id, groceries._id);
+
+      assert.deepEqual(await limitsOf('2026-09'), [['Продукти', 4800.5]]);
+      assert.deepEqual(await limitsOf('2026-10'), [['Продукти', 600]]);
+    });
+  });
+
+  describe('envelopes', () => {
+    const envelopesOf = async (month) =>
+      (await EnvelopeCollection.find({ userId, month }).sort({ category: 1 })).map(({ category, assigned }) => [
+        category,
+        assigned,
+      ]);
+
+    beforeEach(async () => {
+      await EnvelopeCollection.create([
+        { userId, month: '2026-09', category: 'Продукти', assigned: 3000 },
+        { userId, month: '2026-09', category: 'Розваги', assigned: 450.25 },
+        { userId, month: '2026-10', category: 'Розваги', assigned: 500 },
+      ]);
+    });
+
+    it('keep the money of a renamed category', async () => {
+      await updateCategory(userId, fun._id, { name: 'Дозвілля' });
+
+      assert.deepEqual(await envelopesOf('2026-09'), [
+        ['Дозвілля', 450.25],
+        ['Продукти', 3000],
+      ]);
+      assert.deepEqual(await envelopesOf('2026-10'), [['Дозвілля', 500]]);
+    });
+
+    it('add the money of a merged category to the target', async () => {
+      await mergeCategory(userId, fun._id, groceries._id);
+
+      assert.deepEqual(await envelopesOf('2026-09'), [['Продукти', 3450.25]]);
+      assert.deepEqual(await envelopesOf('2026-10'), [['Продукти', 500]]);
+    });
+  });
+
+  describe('alert rules', () => {
+    const alertCategories = async () =>
+      (await AlertRuleCollection.find({ userId }).sort({ name: 1 })).map(({ category }) => category);
+
+    beforeEach(async () => {
+      await AlertRuleCollection.create([
+        { userId, name: 'Cinema', type: 'dailySpend', category: 'Розваги', amount: 500 },
+        { userId, name: 'Everything', type: 'dailySpend', amount: 2000 },
+        { userId, name: 'Groceries', type: 'budgetThreshold', category: 'Продукти', threshold: 80 },
+      ]);
+    });
+
+    it('watch a renamed category', async () => {
+      await updateCategory(userId, fun._id, { name: 'Дозвілля' });
+
+      assert.deepEqual(await alertCategories(), ['Дозвілля', null, 'Продукти']);
+    });
+
+    it('watch the target of a merge', async () => {
+      await mergeCategory(userId, fun._id, groceries._id);
+
+      assert.deepEqual(await alertCategories(), ['Продукти', null, 'Продукти']);
+    });
+  });
+});
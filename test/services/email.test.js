@@ -0,0 +1,283 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { SMTPServer } from 'smtp-server';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+import UserCollection from '../../src/db/models/User.js';
+import { EmailJobCollection } from '../../src/db/models/EmailJob.js';
+import { setMailer } from '../../src/utils/email/index.js';
+import { renderEmail } from '../../src/utils/email/templates.js';
+import { enqueueEmail, enqueueNotificationEmails, processEmailQueue } from '../../src/services/email.js';
+
+const MINUTE = 60 * 1000;
+
+const createTransport = () => {
+  const transport = {
+    sent: [],
+    failures: 0,
+    async sendMail(message) {
+      if (transport.failures > 0) {
+        transport.failures -= 1;
+        throw new Error('Connection refused');
+      }
+      transport.sent.push(message);
+      return { messageId: `<${transport.sent.length}@test>` };
+    },
+  };
+  return transport;
+};
+
+const notification = (severity, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'largeTransaction',
+  severity,
+  title: `${severity} alert`,
+  message: `Something ${severity} happened`,
+  ...overrides,
+});
+
+const createUser = (emailPreferences) =>
+  UserCollection.create({ name: 'Olena', email: 'olena@example.com', password: 'x', emailPreferences });
+
+const queuedJobs = () => EmailJobCollection.find().sort({ createdAt: 1 });
+
+// Makes a job due now, as if its retry delay had passed
+const makeDue = (job) =>
+  EmailJobCollection.updateOne({ _id: job._id }, { $set: { nextAttemptAt: new Date(Date.now() - 1) } });
+
+describe('email queue', () => {
+  let transport;
+
+  beforeEach(() => {
+    useMemoryDb();
+    transport = createTransport();
+    setMailer(transport);
+  });
+
+  afterEach(() => {
+    setMailer(null);
+  });
+
+  it('queues only notifications at or above the preferred severity, never digests', async () => {
+    const user = await createUser({ notifications: true, minSeverity: 'warning', language: 'en' });
+
+    await enqueueNotificationEmails(user._id, [
+      notification('info'),
+      notification('warning'),
+      notification('critical'),
+      notification('critical', { type: 'digest', title: 'Monthly digest' }),
+    ]);
+
+    const jobs = await queuedJobs();
+    assert.deepEqual(
+      jobs.map((job) => job.subject),
+      ['FinanceManager: warning alert', 'FinanceManager: critical alert'],
+    );
+    assert.equal(jobs[0].to, 'olena@example.com');
+    assert.equal(jobs[0].template, 'notification');
+  });
+
+  it('queues nothing when email notifications are off', async () => {
+    const user = await createUser({ notifications: false, minSeverity: 'info' });
+
+    await enqueueNotificationEmails(user._id, [notification('critical')]);
+
+    assert.equal(await EmailJobCollection.countDocuments(), 0);
+  });
+
+  it('sends queued jobs through the transport', async () => {
+    const user = await createUser({ notifications: true, language: 'en' });
+    await enqueueNotificationEmails(user._id, [notification('critical')]);
+
+    assert.deepEqual(await processEmailQueue(), { sent: 1, pending: 0, failed: 0 });
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to, 'olena@example.com');
+    assert.equal(transport.sent[0].subject, 'FinanceManager: critical alert');
+    assert.match(transport.sent[0].text, /Something critical happened/);
+    const [job] = await queuedJobs();
+    assert.equal(job.status, 'sent');
+    assert.ok(job.sentAt instanceof Date);
+  });
+
+  it('retries failed sends with a doubling delay and gives up after five attempts', async () => {
+    const user = await createUser({ notifications: true });
+    await enqueueNotificationEmails(user._id, [notification('critical')]);
+    transport.failures = 5;
+
+    for (const delay of [1, 2, 4, 8]) {
+      const startedAt = Date.now();
+      assert.deepEqual(await processEmailQueue(), { sent: 0, pending: 1, failed: 0 });
+
+      const [job] = await queuedJobs();
+      const wait = job.nextAttemptAt.getTime() - startedAt;
+      assert.ok(wait >= delay * MINUTE && wait < delay * MINUTE + 1000, `expected ~${delay} min, got ${wait} ms`);
+      assert.equal(job.lastError, 'Connection refused');
+
+      // Not due yet: the next run leaves the job alone
+      assert.deepEqual(await processEmailQueue(), { sent: 0, pending: 0, failed: 0 });
+      await makeDue(job);
+    }
+
+    assert.deepEqual(await processEmailQueue(), { sent: 0, pending: 0, failed: 1 });
+    const [job] = await queuedJobs();
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 5);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  it('sends a job that succeeds on retry', async () => {
+    const user = await createUser({ notifications: true });
+    await enqueueNotificationEmails(user._id, [notification('critical')]);
+    transport.failures = 1;
+
+    await processEmailQueue();
+    await makeDue((await queuedJobs())[0]);
+
+    assert.deepEqual(await processEmailQueue(), { sent: 1, pending: 0, failed: 0 });
+    const [job] = await queuedJobs();
+    assert.equal(job.lastError, null);
+    assert.equal(job.attempts, 2);
+  });
+
+  it('claims a job again when its send was interrupted long enough ago', async () => {
+    const user = await createUser({ notifications: true });
+    const [stale, recent] = await Promise.all([
+      enqueueEmail(user, { template: 'notification', data: { notification: notification('critical') } }),
+      enqueueEmail(user, { template: 'notification', data: { notification: notification('warning') } }),
+    ]);
+    // Left as sending by a worker that stopped; the second one may still be in flight
+    await EmailJobCollection.updateOne(
+      { _id: stale._id },
+      { $set: { status: 'sending', attempts: 1, updatedAt: new Date(Date.now() - 11 * MINUTE) } },
+      { timestamps: false },
+    );
+    await EmailJobCollection.updateOne(
+      { _id: recent._id },
+      { $set: { status: 'sending', attempts: 1, updatedAt: new Date(Date.now() - 2 * MINUTE) } },
+      { timestamps: false },
+    );
+
+    assert.deepEqual(await processEmailQueue(), { sent: 1, pending: 0, failed: 0 });
+    assert.deepEqual(
+      transport.sent.map((message) => message.subject),
+      ['FinanceManager: critical alert'],
+    );
+    const jobs = await EmailJobCollection.find({ _id: { $in: [stale._id, recent._id] } });
+    const byId = new Map(jobs.map((job) => [String(job._id), job]));
+    assert.equal(byId.get(String(stale._id)).status, 'sent');
+    assert.equal(byId.get(String(stale._id)).attempts, 2);
+    assert.equal(byId.get(String(recent._id)).status, 'sending');
+  });
+});
+
+describe('email delivery over SMTP', () => {
+  const received = [];
+  let server;
+  const smtpEnv = {};
+
+  before(async () => {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('end', () => {
+          received.push({ to: session.envelope.rcptTo.map(({ address }) => address), raw: Buffer.concat(chunks) });
+          callback();
+        });
+      },
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    for (const name of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_FROM']) smtpEnv[name] = process.env[name];
+    Object.assign(process.env, {
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(server.server.address().port),
+      SMTP_FROM: 'FinanceManager <alerts@example.com>',
+    });
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(smtpEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    useMemoryDb();
+    // Built again from the settings above by the first send
+    setMailer(null);
+  });
+
+  afterEach(() => {
+    setMailer(null);
+  });
+
+  it('delivers queued jobs through the transport built from the SMTP settings', async () => {
+    const user = await createUser({ notifications: true, language: 'en' });
+    await enqueueNotificationEmails(user._id, [notification('critical')]);
+
+    assert.deepEqual(await processEmailQueue(), { sent: 1, pending: 0, failed: 0 });
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(received[0].to, ['olena@example.com']);
+    const message = received[0].raw.toString();
+    assert.match(message, /^From: FinanceManager <alerts@example\.com>$/m);
+    assert.match(message, /^Subject: FinanceManager: critical alert$/m);
+    assert.match(message, /Something critical happened/);
+  });
+});
+
+describe('email templates', () => {
+  it('renders notifications in the chosen language and escapes HTML', () => {
+    const { subject, html, text } = renderEmail('notification', 'en', {
+      name: 'Olena',
+      notification: notification('warning', { title: '<b>Budget</b>', message: 'Food & drinks at 90%' }),
+    });
+
+    assert.equal(subject, 'FinanceManager: <b>Budget</b>');
+    assert.match(html, /Hello, Olena!/);
+    assert.match(html, /Warning: &lt;b&gt;Budget&lt;\/b&gt;/);
+    assert.match(html, /Food &amp; drinks at 90%/);
+    assert.match(text, /Warning: <b>Budget<\/b>\nFood & drinks at 90%/);
+  });
+
+  it('falls back to Ukrainian for unknown languages', () => {
+    const { html } = renderEmail('notification', 'de', { notification: notification('critical') });
+
+    assert.match(html, /Вітаємо!/);
+    assert.match(html, /Важливо: critical alert/);
+  });
+
+  it('renders digest totals and the last day of the period', () => {
+    const { subject, text } = renderEmail('digest', 'en', {
+      name: 'Olena',
+      digest: {
+        period: 'weekly',
+        currency: 'UAH',
+        periodStart: new Date('2025-03-03T00:00:00Z'),
+        periodEnd: new Date('2025-03-10T00:00:00Z'),
+        summary: {
+          transactionCount: 3,
+          income: 1000,
+          expense: 250.5,
+          net: 749.5,
+          topCategories: [{ category: 'Food', amount: 250.5, share: 100 }],
+        },
+      },
+    });
+
+    assert.equal(subject, 'FinanceManager: your week in review');
+    assert.match(text, /Period: March 3, 2025 – March 9, 2025/);
+    assert.match(text, /- Expenses: UAH\s?250\.50/);
+    assert.match(text, /Top spending categories\n- Food: UAH\s?250\.50 \(100%\)/);
+  });
+
+  it('rejects unknown templates', () => {
+    assert.throws(() => renderEmail('invoice', 'en', {}), /Unknown email template/);
+  });
+});
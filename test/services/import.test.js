@@ -0,0 +1,72 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+import UserCollection from '../../src/db/models/User.js';
+import { AccountCollection } from '../../src/db/models/Account.js';
+import { ExchangeRateCollection } from '../../src/db/models/ExchangeRate.js';
+import { TransactionCollection } from '../../src/db/models/Transaction.js';
+import { ensureDefaultCategories } from '../../src/services/categories.js';
+import { previewImport, readStatement } from '../../src/services/import.js';
+
+const statement = Buffer.from(['!Type:Bank', 'D10/01/2026', 'T-30.00', 'PConcert', '^'].join('\n'));
+
+describe('import duplicate detection', () => {
+  let user;
+  let dollars;
+
+  beforeEach(async () => {
+    useMemoryDb();
+    user = await UserCollection.create({ email: 'olena@example.com', password: 'x', currency: 'UAH' });
+    await ensureDefaultCategories(user._id);
+    dollars = await AccountCollection.create({ userId: user._id, name: 'Dollars', currency: 'USD', balance: 1000 });
+    await ExchangeRateCollection.create({ currency: 'USD', rate: 41, date: new Date('2026-01-01') });
+  });
+
+  const preview = async () => {
+    const read = await readStatement(
+      user._id,
+      { originalname: 'statement.qif', buffer: statement },
+      { accountId: dollars._id },
+    );
+    return previewImport(user._id, read);
+  };
+
+  it('flags a row matching a stored transaction in the account currency', async () => {
+    await TransactionCollection.create({
+      userId: user._id,
+      accountId: dollars._id,
+      type: 'expense',
+      amount: 1230,
+      originalAmount: 30,
+      currency: 'USD',
+      category: 'Розваги',
+      date: new Date(2026, 9, 1, 20),
+    });
+
+    const { rows } = await preview();
+
+    assert.deepEqual(
+      rows.map((row) => row.status),
+      ['possibleDuplicate'],
+    );
+  });
+
+  it('does not flag a row whose amount only matches a stored base-currency amount', async () => {
+    await TransactionCollection.create({
+      userId: user._id,
+      type: 'expense',
+      amount: 30,
+      originalAmount: 0.75,
+      currency: 'USD',
+      category: 'Розваги',
+      date: new Date(2026, 9, 1, 20),
+    });
+
+    const { rows } = await preview();
+
+    assert.deepEqual(
+      rows.map((row) => row.status),
+      ['new'],
+    );
+  });
+});
@@ -0,0 +1,104 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+import UserCollection from '../../src/db/models/User.js';
+import { AccountCollection } from '../../src/db/models/Account.js';
+import { CategoryRuleCollection } from '../../src/db/models/CategoryRule.js';
+import { ExchangeRateCollection } from '../../src/db/models/ExchangeRate.js';
+import { TransactionCollection } from '../../src/db/models/Transaction.js';
+import { ensureDefaultCategories } from '../../src/services/categories.js';
+import { addTransaction } from '../../src/services/transactions.js';
+import { readStatement } from '../../src/services/import.js';
+import { applyRulesRetroactively, previewRule } from '../../src/services/rules.js';
+
+// Two card payments in dollars: 30 USD is above the rule's 1000 UAH, 20 USD is below it
+const qif = (entries) => ({
+  originalname: 'statement.qif',
+  buffer: Buffer.from(
+    ['!Type:Bank', ...entries.flatMap(([payee, amount]) => ['D10/01/2026', `T${amount}`, `P${payee}`, '^'])].join('\n'),
+  ),
+});
+
+describe('rule amount ranges', () => {
+  let user;
+  let dollars;
+
+  beforeEach(async () => {
+    useMemoryDb();
+    user = await UserCollection.create({ email: 'olena@example.com', password: 'x', currency: 'UAH' });
+    await ensureDefaultCategories(user._id);
+    dollars = await AccountCollection.create({ userId: user._id, name: 'Dollars', currency: 'USD', balance: 1000 });
+    await ExchangeRateCollection.create({ currency: 'USD', rate: 41, date: new Date('2026-01-01') });
+    await CategoryRuleCollection.create({
+      userId: user._id,
+      name: 'Big evenings out',
+      conditions: { type: 'expense', amountMin: 1000 },
+      actions: { category: 'Розваги' },
+    });
+  });
+
+  it('compare a manual entry in its base currency amount', async () => {
+    const { transaction } = await addTransaction({
+      userId: user._id,
+      accountId: dollars._id,
+      type: 'expense',
+      amount: 30,
+      description: 'Concert',
+    });
+
+    assert.equal(transaction.category, 'Розваги');
+    assert.equal(transaction.amount, 1230);
+    await assert.rejects(
+      addTransaction({ userId: user._id, accountId: dollars._id, type: 'expense', amount: 20, description: 'Cafe' }),
+      { status: 400, message: /no categorization rule matches/ },
+    );
+  });
+
+  it('compare imported rows in their base currency amount', async () => {
+    const { entries } = await readStatement(
+      user._id,
+      qif([
+        ['Concert', '-30.00'],
+        ['Cafe', '-20.00'],
+      ]),
+      {
+        accountId: dollars._id,
+      },
+    );
+
+    assert.deepEqual(
+      entries.map(({ amount, category }) => [amount, category]),
+      [
+        [30, 'Розваги'],
+        [20, 'Інше'],
+      ],
+    );
+  });
+
+  it('compare stored transactions the same way in previews and retroactive runs', async () => {
+    await TransactionCollection.create(
+      [30, 20].map((originalAmount) => ({
+        userId: user._id,
+        accountId: dollars._id,
+        type: 'expense',
+        amount: originalAmount * 41,
+        originalAmount,
+        currency: 'USD',
+        category: 'Інше',
+      })),
+    );
+
+    const preview = await previewRule(user._id, { conditions: { type: 'expense', amountMin: 1000 } });
+    assert.deepEqual(
+      preview.samples.map((sample) => sample.amount),
+      [1230],
+    );
+
+    assert.deepEqual(await applyRulesRetroactively(user._id), { matched: 1, updated: 1 });
+    const categories = await TransactionCollection.find({ userId: user._id }).sort({ amount: -1 });
+    assert.deepEqual(
+      categories.map(({ category }) => category),
+      ['Розваги', 'Інше'],
+    );
+  });
+});
@@ -0,0 +1,94 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useMemoryDb } from '../helpers/memoryDb.js';
+import UserCollection from '../../src/db/models/User.js';
+import { AccountCollection } from '../../src/db/models/Account.js';
+import { TransactionCollection } from '../../src/db/models/Transaction.js';
+import { BalanceSnapshotCollection } from '../../src/db/models/BalanceSnapshot.js';
+import { updateTransaction } from '../../src/services/transactions.js';
+import { addUtcDays, startOfUtcDay } from '../../src/utils/dates.js';
+
+const today = startOfUtcDay(new Date());
+const daysAgo = (days) => addUtcDays(today, -days);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// [days before today, balance] for every snapshot of the account, oldest first
+const snapshotBalances = async (accountId) =>
+  (await BalanceSnapshotCollection.find({ accountId }).sort({ date: 1 })).map(({ date, balance }) => [
+    (today - date) / DAY,
+    balance,
+  ]);
+
+describe('editing a backdated transaction', () => {
+  let user;
+  let account;
+  let transaction;
+
+  // 1000 on the card ten days ago, a 100 expense five days ago, nothing since
+  beforeEach(async () => {
+    useMemoryDb();
+    user = await UserCollection.create({ email: 'olena@example.com', password: 'x', balance: 900 });
+    account = await AccountCollection.create({ userId: user._id, name: 'Card', balance: 900, isDefault: true });
+    transaction = await TransactionCollection.create({
+      userId: user._id,
+      accountId: account._id,
+      type: 'expense',
+      amount: 100,
+      originalAmount: 100,
+      currency: 'UAH',
+      category: 'Food',
+      date: addUtcDays(daysAgo(5), 0.5),
+    });
+    await BalanceSnapshotCollection.create([
+      { userId: user._id, accountId: account._id, date: daysAgo(10), balance: 1000 },
+      { userId: user._id, accountId: account._id, date: daysAgo(5), balance: 900 },
+      { userId: user._id, accountId: account._id, date: today, balance: 900 },
+    ]);
+  });
+
+  it('moves past snapshots by the difference of the amounts', async () => {
+    assert.deepEqual(await snapshotBalances(account._id), [
+      [10, 1000],
+      [5, 900],
+      [0, 900],
+    ]);
+
+    await updateTransaction(user._id, transaction._id, { amount: 150 });
+
+    assert.deepEqual(await snapshotBalances(account._id), [
+      [10, 1000],
+      [5, 850],
+      [0, 850],
+    ]);
+    assert.equal((await AccountCollection.findById(account._id)).balance, 850);
+    assert.equal((await UserCollection.findById(user._id)).balance, 850);
+  });
+
+  it('moves the expense to the day sent as a date string', async () => {
+    await updateTransaction(user._id, transaction._id, { date: daysAgo(7).toISOString().slice(0, 10) });
+
+    assert.deepEqual(await snapshotBalances(account._id), [
+      [10, 1000],
+      [7, 900],
+      [5, 900],
+      [0, 900],
+    ]);
+  });
+
+  it('is blocked when it would take a past day below zero', async () => {
+    // Money that came in today does not cover an overdraft five days ago
+    await AccountCollection.updateOne({ _id: account._id }, { $inc: { balance: 5000 } });
+    await BalanceSnapshotCollection.updateOne({ accountId: account._id, date: today }, { $inc: { balance: 5000 } });
+
+    await assert.rejects(updateTransaction(user._id, transaction._id, { amount: 1200 }), {
+      status: 400,
+      message: 'Not enough balance',
+    });
+    assert.deepEqual(await snapshotBalances(account._id), [
+      [10, 1000],
+      [5, 900],
+      [0, 5900],
+    ]);
+  });
+});
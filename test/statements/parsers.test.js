@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { detectStatementFormat, parseStatement } from '../../src/utils/statements/index.js';
+
+const fixture = (name) => readFile(new URL(`../fixtures/statements/${name}`, import.meta.url));
+
+const pick = ({ date, type, amount, description }) => ({ date: date?.toISOString(), type, amount, description });
+
+describe('OFX statements', () => {
+  it('parses SGML (OFX 1.x) files', async () => {
+    const buffer = await fixture('sgml.ofx');
+    assert.equal(detectStatementFormat('sgml.ofx', buffer), 'ofx');
+
+    const entries = parseStatement(buffer, 'ofx');
+
+    assert.equal(entries.length, 2);
+    assert.deepEqual(pick(entries[0]), {
+      date: new Date(2025, 0, 5).toISOString(),
+      type: 'expense',
+      amount: 42.5,
+      description: 'Corner Grocery — Card purchase',
+    });
+    assert.deepEqual(pick(entries[1]), {
+      date: '2025-01-15T10:00:00.000Z',
+      type: 'income',
+      amount: 1500,
+      description: 'ACME & Sons Payroll',
+    });
+    assert.equal(entries[0].externalId, '000123456789:2025010501');
+    assert.deepEqual(entries[0].errors, []);
+  });
+
+  it('parses XML (OFX 2.x) files', async () => {
+    const buffer = await fixture('xml.ofx');
+    const [entry, ...rest] = parseStatement(buffer, 'ofx');
+
+    assert.equal(rest.length, 0);
+    assert.deepEqual(pick(entry), {
+      date: '2025-02-03T08:30:00.000Z',
+      type: 'expense',
+      amount: 12.99,
+      description: 'Streaming Service — Monthly plan',
+    });
+    assert.equal(entry.externalId, 'DE89370400440532013000:TX-1001');
+  });
+
+  it('rejects files without transactions', () => {
+    assert.throws(() => parseStatement(Buffer.from('<OFX></OFX>'), 'ofx'), { status: 400 });
+  });
+});
+
+describe('QIF statements', () => {
+  it('parses payee, memo, category and Quicken-style years', async () => {
+    const buffer = await fixture('sample.qif');
+    assert.equal(detectStatementFormat('export.txt', buffer), 'qif');
+
+    const entries = parseStatement(buffer, 'qif');
+
+    assert.equal(entries.length, 2);
+    assert.deepEqual(pick(entries[0]), {
+      date: new Date(2025, 2, 1).toISOString(),
+      type: 'expense',
+      amount: 1234.56,
+      description: 'Landlord LLC — March rent',
+    });
+    assert.equal(entries[0].category, 'Rent');
+    assert.deepEqual(pick(entries[1]), {
+      date: new Date(2025, 2, 15).toISOString(),
+      type: 'income',
+      amount: 250,
+      description: 'Savings',
+    });
+    assert.equal(entries[1].category, '', 'transfer targets are not categories');
+  });
+
+  it('honours an explicit date format', async () => {
+    const buffer = Buffer.from('!Type:Cash\nD05.04.2025\nT-10\nPKiosk\n^\n');
+    const [entry] = parseStatement(buffer, 'qif', { dateFormat: 'dd.MM.yyyy' });
+
+    assert.equal(entry.date.toISOString(), new Date(2025, 3, 5).toISOString());
+  });
+});
+
+describe('CAMT.053 statements', () => {
+  it('parses booked entries with counterparties and remittance info', async () => {
+    const buffer = await fixture('camt053.xml');
+    assert.equal(detectStatementFormat('statement.xml', buffer), 'camt');
+
+    const entries = parseStatement(buffer, 'camt');
+
+    assert.equal(entries.length, 2);
+    assert.deepEqual(pick(entries[0]), {
+      date: new Date('2025-04-08').toISOString(),
+      type: 'expense',
+      amount: 850.25,
+      description: 'Kyivenergo — Electricity for March',
+    });
+    assert.equal(entries[0].counterparty, 'Kyivenergo');
+    assert.equal(entries[0].externalId, 'UA213223130000026007233566001:REF-1');
+    assert.deepEqual(pick(entries[1]), {
+      date: '2025-04-09T10:15:00.000Z',
+      type: 'income',
+      amount: 20000,
+      description: 'Employer LLC — Salary',
+    });
+    assert.equal(entries[1].externalId, 'UA213223130000026007233566001:SVC-2');
+  });
+
+  it('rejects XML that is not a bank statement', () => {
+    assert.throws(() => parseStatement(Buffer.from('<Document><Other/></Document>'), 'camt'), { status: 400 });
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compilePattern, hasNestedQuantifier, MAX_PATTERN_LENGTH } from '../../src/utils/patterns.js';
+
+describe('description patterns', () => {
+  it('flags repeated groups that repeat or alternate inside', () => {
+    ['(a+)+', '(a*)*b', '(\\d+)*$', '(a|ab)+', '((ab)+c)*', '(?:x+y?){2,}', '([a-z]+\\s?)+$'].forEach((pattern) =>
+      assert.equal(hasNestedQuantifier(pattern), true, pattern),
+    );
+  });
+
+  it('accepts ordinary patterns', () => {
+    ['silpo|atb', '^uber', '(netflix|spotify)', '(?:tax)+', '\\d{4}', '[(+)]+', 'coffee\\(+\\)', '(a+)?'].forEach(
+      (pattern) => assert.equal(hasNestedQuantifier(pattern), false, pattern),
+    );
+  });
+
+  it('compiles safe patterns case-insensitively and refuses the rest', () => {
+    assert.equal(compilePattern('SILPO').test('Silpo #12'), true);
+    assert.equal(compilePattern('(a+)+$'), null);
+    assert.equal(compilePattern('(unclosed'), null);
+    assert.equal(compilePattern('a'.repeat(MAX_PATTERN_LENGTH + 1)), null);
+  });
+});
@@ -0,0 +1,84 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { text } from 'node:stream/consumers';
+import S3rver from 's3rver';
+import { createLocalStorage } from '../../src/utils/storage/local.js';
+import { createS3Storage } from '../../src/utils/storage/s3.js';
+
+describe('local storage', () => {
+  let rootDir;
+  let storage;
+
+  before(async () => {
+    rootDir = await mkdtemp(path.join(tmpdir(), 'storage-'));
+    storage = createLocalStorage({ rootDir });
+  });
+
+  after(() => rm(rootDir, { recursive: true, force: true }));
+
+  it('saves, reads and removes files under nested keys', async () => {
+    await storage.save('user/transaction/receipt.pdf', Buffer.from('%PDF-1.7 receipt'));
+
+    assert.equal(await readFile(path.join(rootDir, 'user/transaction/receipt.pdf'), 'utf8'), '%PDF-1.7 receipt');
+    assert.equal(await text(await storage.read('user/transaction/receipt.pdf')), '%PDF-1.7 receipt');
+
+    await storage.remove('user/transaction/receipt.pdf');
+    await assert.rejects(storage.read('user/transaction/receipt.pdf'), { status: 404 });
+  });
+
+  it('ignores removing a file that is already gone', async () => {
+    await storage.remove('user/transaction/missing.png');
+  });
+
+  it('refuses keys that resolve outside the storage root', async () => {
+    await assert.rejects(storage.save('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.read('/etc/passwd'), /Invalid storage key/);
+  });
+});
+
+describe('S3 storage', () => {
+  let dataDir;
+  let server;
+  let storage;
+
+  // s3rver keeps the buckets in a directory and accepts its own fixed credentials
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 's3rver-'));
+    server = new S3rver({
+      address: '127.0.0.1',
+      port: 0,
+      silent: true,
+      directory: dataDir,
+      configureBuckets: [{ name: 'attachments' }],
+    });
+    const { port } = await server.run();
+    storage = createS3Storage({
+      bucket: 'attachments',
+      region: 'us-east-1',
+      endpoint: `http://127.0.0.1:${port}`,
+      accessKeyId: 'S3RVER',
+      secretAccessKey: 'S3RVER',
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('saves, reads and removes objects under nested keys', async () => {
+    await storage.save('user/transaction/receipt.pdf', Buffer.from('%PDF-1.7 receipt'), 'application/pdf');
+
+    assert.equal(await text(await storage.read('user/transaction/receipt.pdf')), '%PDF-1.7 receipt');
+
+    await storage.remove('user/transaction/receipt.pdf');
+    await assert.rejects(storage.read('user/transaction/receipt.pdf'), { status: 404 });
+  });
+
+  it('ignores removing an object that is already gone', async () => {
+    await storage.remove('user/transaction/missing.png');
+  });
+});